@@ -1,393 +1,1233 @@
-const { spawn } = require("child_process");
-const crypto = require("crypto");
-const express = require("express");
-const http = require("http");
-const path = require("path");
-const { WebSocketServer } = require("ws");
+import { spawn } from "child_process";
+import crypto from "crypto";
+import express from "express";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { WebSocketServer } from "ws";
+import { createChatFilter } from "./server/chatFilter.js";
+import { createDefaultAppearance, isSameAppearance } from "./shared/appearance.js";
+import { createEnemyAi, isWindingUp, updateEnemies } from "./server/enemyAi.js";
+import { createLeaderboard } from "./server/leaderboard.js";
+import { MAX_MESSAGE_BYTES, parseClientMessage } from "./server/messages.js";
+import { createNavGrid } from "./server/navigation.js";
+import { createTokenBucket } from "./server/rateLimit.js";
+import { createReplayStore } from "./server/replays.js";
+import { normalizeChatText } from "./shared/chat.js";
+import { generateDungeon, MAX_DUNGEON_SEED } from "./shared/dungeon.js";
+import { applyMoveInput, clampToAreas, getPlayerAreas } from "./shared/movement.js";
+import { MAX_NAME_LENGTH, normalizeName } from "./shared/names.js";
+import {
+  diffSnapshots,
+  encodeSnapshot,
+  fitsPositionRange,
+  POSITION_RANGE,
+  quantizeEnemy,
+  quantizePlayer,
+} from "./shared/protocol.js";
+import {
+  areHallsAdjacent,
+  findHallAt,
+  getColumnHalfExtent,
+  getWalkableAreas,
+  parseLevel,
+  pickPointInZone,
+} from "./shared/world.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const HTTP_PORT = 3000;
 const WS_PORT = 4000;
-const SYNC_MESSAGE = "move";
-
-// Enemy configuration - matching Scene.jsx dimensions
-const HALL_SCALE = 5;
-const SCALE = (value) => value * HALL_SCALE;
-const HALL_WIDTH = SCALE(44 * 5);
-const HALL_LENGTH = SCALE(110 * 5);
-const HALL_HALF_WIDTH = HALL_WIDTH / 2;
-const HALL_HALF_LENGTH = HALL_LENGTH / 2;
-const ENEMY_BOUNDARY_MARGIN = 50; // Keep enemies away from walls
-const ENEMY_COUNT = 4;
-const ENEMY_SPEED = 4; // units per second - increased for more aggressive pursuit
-const ENEMY_UPDATE_INTERVAL = 50; // ms
-const ENEMY_STOP_DISTANCE = 12; // units - enemies stop pursuing when this close to player
-const ENEMY_DETECTION_RANGE = 1000; // units - enemies can detect players across the entire map
-const RESPAWN_DELAY = 5000; // ms - wait before respawning all enemies
-
-// Enemy spawn/patrol area constraints - keep enemies near player spawn point (0, 0, 0)
-// This creates a more focused combat area instead of enemies spawning across the massive map
-const ENEMY_SPAWN_RADIUS = 150; // Enemies spawn within this radius of center (much smaller than full map)
-const ENEMY_MAX_RANGE = 250; // Enemies won't wander further than this from their spawn zone center
-const ENEMY_LEASH_RANGE = 300; // If enemy gets beyond this, force return to spawn area
-const SPAWN_AREA_CENTER_X = 0; // Player spawn point X
-const SPAWN_AREA_CENTER_Z = 0; // Player spawn point Z
+const SYNC_MESSAGE = "input";
+
+// Enemy configuration - hall size, spawn zones and columns come from the level file
+const ENEMY_SPEED = 4; // units per second on wave 1 - increased for more aggressive pursuit
+const ENEMY_FACE_COUNT = 4; // Profile pictures the client cycles through (useEnemyFaceTextures)
+const ENEMY_SPAWN_ATTEMPTS = 10; // Random spawn points tried before falling back to the zone center
+
+// Enemy navigation - A* grid over every hall floor and doorway, blocked where World.jsx places columns
+const ENEMY_NAV_CELL_SIZE = 5; // units
+const ENEMY_NAV_CLEARANCE = 2; // units - enemy body radius kept clear of column faces and door frames
+const PATH_DEBUG_INTERVAL = 5; // ticks between enemy path updates for ?debug=paths clients
+
+// Attack validation - matching ATTACK_RANGE/ATTACK_COOLDOWN in Combat.jsx
+// The client measures range from the camera to the enemy torso; the server only knows the
+// last synced player position, so it checks horizontal distance with some slack for VR arm
+// reach and the positions drifting between sync messages.
+const ATTACK_RANGE = 3.0; // units
+const ATTACK_RANGE_TOLERANCE = 2.0; // units
+const ATTACK_COOLDOWN = 300; // ms
+const ATTACK_COOLDOWN_TOLERANCE = 50; // ms - allow for network jitter between attack messages
+
+// Enemy health and damage model
+const ENEMY_MAX_HEALTH = 100; // Wave 1 - later waves scale it up
+const ENEMY_INVULNERABILITY_MS = 250; // ms - brief immunity after taking a hit
+const DEFAULT_ATTACK_TYPE = "slash";
+const ATTACK_DAMAGE = {
+  slash: 34, // Flat-screen click/tap/trigger - three hits to kill
+  swing: 50, // VR sword swing - two hits to kill, rewards the physical motion
+};
+
+// Waves - clearing every enemy starts an intermission, then a bigger, faster, tougher wave
+const WAVE_BASE_ENEMIES = 4;
+const WAVE_ENEMY_GROWTH = 2; // extra enemies per wave
+const WAVE_MAX_ENEMIES = 20;
+const WAVE_SPEED_GROWTH = 0.08; // +8% speed per wave
+const WAVE_MAX_SPEED = ENEMY_SPEED * 1.75; // units per second - stays below the player MAX_SPEED (8) so retreating still works
+const WAVE_HEALTH_GROWTH = 0.2; // +20% health per wave
+const WAVE_INTERMISSION = Number(process.env.WAVE_INTERMISSION_MS ?? 8000); // ms between waves
+const WAVE_STATE_ACTIVE = "active";
+const WAVE_STATE_INTERMISSION = "intermission";
+// Enemy types join from later waves: every Nth enemy of a wave (checked in order) uses the profile
+// Ranges, attacks and state transitions per type live in ENEMY_PROFILES (server/enemyAi.js)
+const WAVE_PROFILE_MIX = [
+  { profile: "brute", fromWave: 3, every: 5 },
+  { profile: "flanker", fromWave: 2, every: 3 },
+];
+
+// Player health and respawn
+const PLAYER_MAX_HEALTH = 100;
+const PLAYER_RESPAWN_DELAY = 5000; // ms
+const PLAYER_SPAWN_HEIGHT = 0.9; // Matches AVATAR_HEIGHT in constants.js
+
+// Server-simulated movement - clients send input commands, rules live in shared/movement.js
+const MAX_QUEUED_INPUTS = 60; // Per player; oldest commands are dropped past this
+const INPUT_TIME_BUDGET = 0.25; // seconds - simulated time a player may bank to absorb jitter
+
+// Session resume - a dropped player keeps their id, color and position for this long
+// and can reclaim them by reconnecting with the resume token from their welcome message
+const RESUME_GRACE_PERIOD = 15000; // ms
+
+// Heartbeat - application-level ping/pong so browsers can measure latency too
+const HEARTBEAT_INTERVAL = 2000; // ms between pings
+const HEARTBEAT_TIMEOUT = 10000; // ms without a pong before the socket is dropped
+const RTT_SMOOTHING = 0.25; // Weight of the newest sample in the smoothed round-trip time
+
+// Abuse protection - per-connection message budget, and strikes for rejected messages
+// Normal play sends ~45 messages/s (inputs and snapshot acks at 20 Hz, attacks, pongs);
+// voice signaling adds a burst of ICE candidates whenever two players connect
+const MESSAGE_RATE_LIMIT = { capacity: 120, refillPerSecond: 60 };
+const STRIKE_LIMIT = { capacity: 10, refillPerSecond: 0.2 }; // 10 strikes, one forgiven every 5 s
+const POLICY_VIOLATION = 1008; // WebSocket close code
+
+// Spectators (?spectate=1) watch a room without a body: they get the same snapshots and room
+// messages as players, but aren't in the player list, can't be targeted and may only send these
+const SPECTATOR_MESSAGES = new Set(["pong", "ack"]);
+
+// Chat - the budget is per player, not per socket, so reconnecting doesn't refill it
+const CHAT_RATE_LIMIT = { capacity: 5, refillPerSecond: 0.5 }; // bursts of 5, then one message every 2 s
+const CHAT_HISTORY = 20; // Recent messages kept per room and sent in the welcome
+// Extra blocked words on top of the filter's built-in list, comma separated
+const CHAT_BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS ?? "").split(",").map((word) => word.trim()).filter(Boolean);
+
+// Levels - each room generates a dungeon from its own seed (shared/dungeon.js), unless
+// LEVEL_FILE names a level every room plays instead (shared/levels/, format in shared/world.js)
+const LEVEL_FILE = process.env.LEVEL_FILE ?? null;
+
+// All-time leaderboard file - mount its directory as a volume to keep it across deploys
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE ?? path.join(__dirname, "data", "leaderboard.json");
+
+// Session replays (shared/replay.js) - one file per room session in this folder; an empty REPLAY_DIR turns recording off
+const REPLAY_DIR = process.env.REPLAY_DIR ?? path.join(__dirname, "data", "replays");
+
+// Game rooms - each room code gets its own players, enemies and update loop
+const DEFAULT_ROOM_CODE = "lobby";
+const ROOM_CODE_PATTERN = /^[a-z0-9-]{1,32}$/; // Matches resolveRoomCode in utils.js
+
+// State snapshots - binary delta frames by default (shared/protocol.js), JSON with ?protocol=json
+const PROTOCOL_BINARY = "binary";
+const PROTOCOL_JSON = "json";
+const SNAPSHOT_HISTORY = 64; // Ticks of room snapshots kept as potential delta baselines
+
+// Fixed simulation tick - each tick advances the room and sends exactly one snapshot
+const TICK_RATE = 20; // Hz
+const TICK_INTERVAL = 1000 / TICK_RATE; // ms
+const MAX_NET_ID = 0xffff; // Net ids are u16 on the wire
+const REPLAY_FRAME_TICKS = 2; // Record every other tick - 10 frames per second, interpolated on playback
+
+// An invalid level file stops the server here rather than in the middle of a wave
+const fixedLevel = LEVEL_FILE ? parseLevel(JSON.parse(fs.readFileSync(LEVEL_FILE, "utf8"))) : null;
+if (fixedLevel && !fitsPositionRange(fixedLevel.bounds)) {
+  throw new Error(`Level "${fixedLevel.id}" reaches past the snapshot position range (+-${POSITION_RANGE} units)`);
+}
 
 const servePath = path.join(__dirname, "node_modules", ".bin", "serve");
 const staticServer = spawn(servePath, ["-s", "dist", "-l", String(HTTP_PORT)], {
   stdio: "inherit",
 });
 
+const leaderboard = createLeaderboard({ filePath: LEADERBOARD_FILE });
+// Absolute, since res.sendFile rejects relative paths (REPLAY_DIR=data/replays)
+const replays = REPLAY_DIR ? createReplayStore({ directory: path.resolve(REPLAY_DIR) }) : null;
+const chatFilter = createChatFilter({ extraWords: CHAT_BLOCKED_WORDS });
+
+/**
+ * Build what a room's simulation needs from its level
+ * @param {Object} level - Parsed level
+ * @param {number|null} seed - Dungeon seed the level was generated from (null for LEVEL_FILE)
+ * @returns {Object} - { level, seed, playerAreas, enemyWorld } - enemyWorld is the floor clamp,
+ *   column navigation and hall tracking for the enemy AI (each enemy carries its own home)
+ */
+const createRoomWorld = (level, seed) => {
+  // Enemies keep their boundary margin off the walls but still fit through doorways
+  const enemyAreas = getWalkableAreas(level, {
+    wallMargin: level.enemyBoundaryMargin,
+    doorMargin: ENEMY_NAV_CLEARANCE,
+  });
+  const isInEnemyArea = (x, z) =>
+    enemyAreas.some((area) => x >= area.minX && x <= area.maxX && z >= area.minZ && z <= area.maxZ);
+
+  const nav = createNavGrid({
+    bounds: level.bounds,
+    isOpen: isInEnemyArea,
+    obstacles: level.columns.map(([x, , z]) => ({ x, z, halfExtent: getColumnHalfExtent() })),
+    cellSize: ENEMY_NAV_CELL_SIZE,
+    clearance: ENEMY_NAV_CLEARANCE,
+  });
+
+  return {
+    level,
+    seed,
+    // Where players may stand - hall floors joined by doorway passages (shared with client prediction)
+    playerAreas: getPlayerAreas(level),
+    enemyWorld: {
+      clamp: (position) => clampToAreas(position, enemyAreas),
+      nav,
+      findHall: (x, z) => findHallAt(level, x, z)?.id ?? null,
+      hallsAdjacent: (fromId, toId) => areHallsAdjacent(level, fromId, toId),
+    },
+  };
+};
+
+// Rooms share one world when every room plays LEVEL_FILE
+const fixedWorld = fixedLevel ? createRoomWorld(fixedLevel, null) : null;
+
+// A fresh dungeon for a new room - the generator always produces a valid level
+const createDungeonWorld = () => {
+  const seed = crypto.randomInt(1, MAX_DUNGEON_SEED + 1);
+  return createRoomWorld(parseLevel(generateDungeon(seed)), seed);
+};
+
+// One line describing a room's level for the logs
+const describeWorld = ({ level, seed, enemyWorld }) => {
+  const source = seed === null ? `Level "${level.id}"` : `Dungeon seed ${seed}`;
+  const halls = level.halls.map((hall) => `${hall.name} ${hall.width}x${hall.length}`).join(", ");
+  return `${source}: ${halls}; ${level.columns.length} columns, nav grid ${enemyWorld.nav.cols}x${enemyWorld.nav.rows} with ${enemyWorld.nav.blockedCells} cells blocked`;
+};
+
 const app = express();
 app.get("/health", (_req, res) => {
   res.status(200).send("ok");
 });
+// Read-only all-time leaderboard for the Home page (served from another port, hence CORS)
+app.get("/api/leaderboard", (req, res) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Cache-Control", "no-store");
+  res.json(leaderboard.getTop(Number(req.query.limit)));
+});
+// Saved session replays of one room for the replay viewer, newest first - ?room= names a
+// private room (its code is the only key to it), anything else lists the public lobby
+app.get("/api/replays", (req, res) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Cache-Control", "no-store");
+  const code = String(req.query.room ?? "").trim().toLowerCase();
+  const room = ROOM_CODE_PATTERN.test(code) ? code : DEFAULT_ROOM_CODE;
+  res.json({ room, replays: replays?.list(room) ?? [] });
+});
+// One replay file - a room still being recorded returns what has been written so far
+app.get("/api/replays/:id", (req, res) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Cache-Control", "no-store");
+  const filePath = replays?.getFilePath(req.params.id);
+  if (!filePath) {
+    res.status(404).json({ error: "Replay not found" });
+    return;
+  }
+  res.type("application/x-ndjson");
+  res.sendFile(filePath, { cacheControl: false, lastModified: false }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: "Replay not found" });
+    }
+  });
+});
 const wsServer = http.createServer(app);
-const wss = new WebSocketServer({ server: wsServer });
-const players = new Map();
-
-// Enemy state management
-const enemies = new Map();
-let respawnPending = false;
-
-const randomColor = () =>
-  `#${Math.floor(Math.random() * 0xffffff)
-    .toString(16)
-    .padStart(6, "0")}`;
-
-// Calculate distance from spawn area center
-const getDistanceFromSpawnArea = (enemy) => {
-  const dx = enemy.x - SPAWN_AREA_CENTER_X;
-  const dz = enemy.z - SPAWN_AREA_CENTER_Z;
-  return Math.sqrt(dx * dx + dz * dz);
-};
-
-// Initialize enemy with random position within spawn area (near player spawn point)
-const createEnemy = (id, faceIndex) => {
-  // Spawn enemies in a circle around the spawn area center (player spawn point)
-  // This ensures enemies are always findable and combat-ready
-  const angle = Math.random() * Math.PI * 2;
-  const distance = ENEMY_SPAWN_RADIUS * 0.5 + Math.random() * ENEMY_SPAWN_RADIUS * 0.5; // 50-100% of radius
-  
-  const spawnX = SPAWN_AREA_CENTER_X + Math.cos(angle) * distance;
-  const spawnZ = SPAWN_AREA_CENTER_Z + Math.sin(angle) * distance;
+const wss = new WebSocketServer({ server: wsServer, maxPayload: MAX_MESSAGE_BYTES });
+
+// Active rooms keyed by room code, created on first join and removed when empty
+const rooms = new Map();
+
+// Initialize enemy at a random point in one of the level's enemy spawn zones
+// config comes from getWaveConfig and sets the wave's health and speed, scaled by the enemy's profile
+// The zone center becomes the enemy's home for patrol and leash range
+const createEnemy = (world, id, faceIndex, config, profileName, zone) => {
+  const { enemyWorld } = world;
+  // Columns can stand inside a zone - retry points that land in one
+  let spawnX = zone.x;
+  let spawnZ = zone.z;
+  for (let attempt = 0; attempt < ENEMY_SPAWN_ATTEMPTS; attempt++) {
+    const { x, z } = enemyWorld.clamp(pickPointInZone(zone));
+    if (enemyWorld.nav.isWalkable(x, z)) {
+      spawnX = x;
+      spawnZ = z;
+      break;
+    }
+  }
   
-  // Clamp to hall bounds (safety check)
-  const limitX = HALL_HALF_WIDTH - ENEMY_BOUNDARY_MARGIN;
-  const limitZ = HALL_HALF_LENGTH - ENEMY_BOUNDARY_MARGIN;
+  const ai = createEnemyAi(profileName, { x: zone.x, z: zone.z, hall: zone.hall });
+  const health = Math.round(config.health * ai.profile.healthMultiplier);
   
   return {
+    ...ai,
     id,
-    x: Math.max(-limitX, Math.min(limitX, spawnX)),
+    x: spawnX,
     y: 0, // Ground level
-    z: Math.max(-limitZ, Math.min(limitZ, spawnZ)),
+    z: spawnZ,
     alive: true,
-    faceIndex, // Which profile picture to use (0, 1, or 2)
-    directionX: 0, // Will be set by AI when pursuing player
-    directionZ: 0,
-    lastDirectionChange: null, // Used for random wandering when no players present
-    // Track spawn position for leash system
+    health,
+    maxHealth: health,
+    speed: Math.min(config.speed * ai.profile.speedMultiplier, WAVE_MAX_SPEED), // units per second
+    invulnerableUntil: 0, // Timestamp until which hits are ignored
+    faceIndex, // Which profile picture to use (0 to ENEMY_FACE_COUNT - 1)
     spawnX: spawnX,
     spawnZ: spawnZ,
   };
 };
 
-// Initialize all enemies
-const initializeEnemies = () => {
+
+// Allocate a compact numeric id for the snapshot protocol (wraps, skipping 0)
+const allocateNetId = (room) => {
+  room.nextNetId = (room.nextNetId % MAX_NET_ID) + 1;
+  return room.nextNetId;
+};
+
+// Enemy count, speed and health for a wave number (1-based)
+const getWaveConfig = (wave) => {
+  const level = wave - 1;
+  return {
+    enemyCount: Math.min(WAVE_BASE_ENEMIES + level * WAVE_ENEMY_GROWTH, WAVE_MAX_ENEMIES),
+    speed: Math.min(ENEMY_SPEED * (1 + level * WAVE_SPEED_GROWTH), WAVE_MAX_SPEED),
+    health: Math.round(ENEMY_MAX_HEALTH * (1 + level * WAVE_HEALTH_GROWTH)),
+  };
+};
+
+// Enemy type for the index-th enemy of a wave (grunt unless a WAVE_PROFILE_MIX rule matches)
+const pickEnemyProfile = (wave, index) => {
+  const rule = WAVE_PROFILE_MIX.find(({ fromWave, every }) => wave >= fromWave && index % every === every - 1);
+  return rule?.profile ?? "grunt";
+};
+
+// Wave progress as sent to clients - startsIn counts down the intermission
+const getWaveStatus = (room) => ({
+  wave: room.wave,
+  state: room.waveState,
+  enemyCount: room.enemies.size,
+  startsIn: room.waveState === WAVE_STATE_INTERMISSION ? Math.max(0, room.nextWaveAt - Date.now()) : 0,
+});
+
+// Spawn the next wave's enemies and announce it
+const startWave = (room) => {
+  const { enemies } = room;
+  const { enemySpawnZones } = room.world.level;
+  room.wave += 1;
+  room.waveState = WAVE_STATE_ACTIVE;
+  room.waveStartedAt = Date.now();
+  room.waveTimer = null;
+  const config = getWaveConfig(room.wave);
   enemies.clear();
-  console.log(`Initializing ${ENEMY_COUNT} enemies within ${ENEMY_SPAWN_RADIUS} units of spawn point...`);
-  for (let i = 0; i < ENEMY_COUNT; i++) {
+  console.log(`[${room.code}] Wave ${room.wave}: ${config.enemyCount} enemies (health ${config.health}, speed ${config.speed.toFixed(1)}) across ${enemySpawnZones.length} spawn zone(s)`);
+  for (let i = 0; i < config.enemyCount; i++) {
     const id = `enemy-${i}`;
-    const enemy = createEnemy(id, i);
+    const enemy = createEnemy(
+      room.world,
+      id,
+      i % ENEMY_FACE_COUNT,
+      config,
+      pickEnemyProfile(room.wave, i),
+      enemySpawnZones[i % enemySpawnZones.length],
+    );
+    enemy.netId = allocateNetId(room);
     enemies.set(id, enemy);
-    console.log(`  ${id}: spawned at (${enemy.x.toFixed(1)}, ${enemy.z.toFixed(1)}) - ${getDistanceFromSpawnArea(enemy).toFixed(1)} units from center`);
   }
-  respawnPending = false;
+  broadcast(room, { type: "wave", ...getWaveStatus(room) });
+  recordReplayEvent(room, { type: "wave", wave: room.wave, state: room.waveState });
 };
 
-// Find the closest player to an enemy
-const findClosestPlayer = (enemy) => {
-  if (players.size === 0) return null;
-  
-  let closestPlayer = null;
-  let closestDistance = Infinity;
-  
-  for (const player of players.values()) {
-    const pos = player.position;
-    if (!pos) continue;
-    
-    const dx = pos.x - enemy.x;
-    const dz = pos.z - enemy.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-    
-    if (distance < closestDistance && distance < ENEMY_DETECTION_RANGE) {
-      closestDistance = distance;
-      closestPlayer = { player, distance, dx, dz };
-    }
+// Send a message to a single player's socket
+const sendToPlayer = (player, message) => {
+  const socket = player.socket;
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
   }
+};
+
+// Pick a respawn point in one of the level's player spawns (spread by its radius so players don't stack)
+const getPlayerSpawn = ({ level, playerAreas }) => {
+  const spawn = level.playerSpawns[Math.floor(Math.random() * level.playerSpawns.length)];
+  const { x, z } = clampToAreas(pickPointInZone(spawn), playerAreas);
+  return { position: { x, y: PLAYER_SPAWN_HEIGHT, z }, hall: spawn.hall };
+};
+
+// Track which hall a player stands in - unchanged while crossing a doorway passage
+const updatePlayerHall = (room, player) => {
+  const hall = findHallAt(room.world.level, player.position.x, player.position.z);
+  if (!hall || hall.id === player.hall) return;
+  player.hall = hall.id;
+  console.log(`[${room.code}] Player ${player.id} entered ${hall.name}`);
+};
+
+// Bring a dead player back at the spawn area with full health
+const respawnPlayer = (room, player) => {
+  player.respawnTimer = null;
+  if (!room.players.has(player.id)) return;
+  
+  player.health = PLAYER_MAX_HEALTH;
+  player.alive = true;
+  const spawn = getPlayerSpawn(room.world);
+  player.position = spawn.position;
+  player.hall = spawn.hall;
+  console.log(`[${room.code}] Player ${player.id} respawned`);
   
-  return closestPlayer;
+  broadcast(room, {
+    type: "respawn",
+    playerId: player.id,
+    position: player.position,
+    health: player.health,
+  });
 };
 
-// Update enemy position (server-side AI) - pursues closest player within patrol range
-const updateEnemyPosition = (enemy, deltaSeconds) => {
-  if (!enemy.alive) return;
+// Apply damage to a player; handles death and schedules the respawn
+const damagePlayer = (room, player, amount, sourceId) => {
+  if (!player.alive) return;
   
-  const distanceFromSpawn = getDistanceFromSpawnArea(enemy);
+  player.health = Math.max(0, player.health - amount);
+  sendToPlayer(player, {
+    type: "damage",
+    amount,
+    health: player.health,
+    sourceId,
+  });
   
-  // LEASH SYSTEM: If enemy is beyond the leash range, force return to spawn area
-  if (distanceFromSpawn > ENEMY_LEASH_RANGE) {
-    // Calculate direction back to spawn area center
-    const dx = SPAWN_AREA_CENTER_X - enemy.x;
-    const dz = SPAWN_AREA_CENTER_Z - enemy.z;
-    const dirLength = Math.sqrt(dx * dx + dz * dz);
-    
-    if (dirLength > 0.001) {
-      enemy.directionX = dx / dirLength;
-      enemy.directionZ = dz / dirLength;
-    }
-    
-    // Move back toward spawn area at full speed
-    const moveX = enemy.directionX * ENEMY_SPEED * deltaSeconds;
-    const moveZ = enemy.directionZ * ENEMY_SPEED * deltaSeconds;
-    
-    enemy.x += moveX;
-    enemy.z += moveZ;
-  } else {
-    // Normal AI behavior: pursue closest player or wander
-    const target = findClosestPlayer(enemy);
-    
-    if (target) {
-      const { distance, dx, dz } = target;
-      const playerPos = target.player.position;
-      
-      // Check if pursuing this player would take us beyond max range
-      const playerDistFromSpawn = Math.sqrt(
-        Math.pow(playerPos.x - SPAWN_AREA_CENTER_X, 2) + 
-        Math.pow(playerPos.z - SPAWN_AREA_CENTER_Z, 2)
-      );
-      
-      // Only pursue if the player is within the patrol area OR enemy isn't already at max range
-      const canPursue = playerDistFromSpawn <= ENEMY_MAX_RANGE || distanceFromSpawn < ENEMY_MAX_RANGE;
-      
-      if (canPursue && distance > ENEMY_STOP_DISTANCE) {
-        // Normalize direction toward player
-        const dirLength = Math.sqrt(dx * dx + dz * dz);
-        if (dirLength > 0.001) {
-          enemy.directionX = dx / dirLength;
-          enemy.directionZ = dz / dirLength;
-        }
-        
-        // Calculate next position
-        let nextX = enemy.x + enemy.directionX * ENEMY_SPEED * deltaSeconds;
-        let nextZ = enemy.z + enemy.directionZ * ENEMY_SPEED * deltaSeconds;
-        
-        // Check if next position would exceed max range
-        const nextDistFromSpawn = Math.sqrt(
-          Math.pow(nextX - SPAWN_AREA_CENTER_X, 2) + 
-          Math.pow(nextZ - SPAWN_AREA_CENTER_Z, 2)
-        );
-        
-        if (nextDistFromSpawn <= ENEMY_MAX_RANGE) {
-          // Safe to move toward player
-          enemy.x = nextX;
-          enemy.z = nextZ;
-        }
-        // else: don't move - player is outside patrol area and we're at edge
-      }
-      // If within stop distance, enemy holds position (ready to be attacked)
-    } else {
-      // No players - wander randomly within patrol area
-      const now = Date.now();
-      if (!enemy.lastDirectionChange || now - enemy.lastDirectionChange > 3000) {
-        const angle = Math.random() * Math.PI * 2;
-        enemy.directionX = Math.cos(angle);
-        enemy.directionZ = Math.sin(angle);
-        enemy.lastDirectionChange = now;
-      }
-      
-      // Calculate next position
-      let nextX = enemy.x + enemy.directionX * ENEMY_SPEED * 0.5 * deltaSeconds;
-      let nextZ = enemy.z + enemy.directionZ * ENEMY_SPEED * 0.5 * deltaSeconds;
-      
-      // Check if next position would exceed max range during wandering
-      const nextDistFromSpawn = Math.sqrt(
-        Math.pow(nextX - SPAWN_AREA_CENTER_X, 2) + 
-        Math.pow(nextZ - SPAWN_AREA_CENTER_Z, 2)
-      );
-      
-      if (nextDistFromSpawn <= ENEMY_MAX_RANGE) {
-        enemy.x = nextX;
-        enemy.z = nextZ;
-      } else {
-        // Turn around - head back toward spawn center
-        enemy.directionX = -enemy.directionX;
-        enemy.directionZ = -enemy.directionZ;
-        enemy.lastDirectionChange = now;
-      }
-    }
-  }
+  if (player.health > 0) return;
   
-  // Final boundary check - clamp to hall bounds (safety net)
-  const limitX = HALL_HALF_WIDTH - ENEMY_BOUNDARY_MARGIN;
-  const limitZ = HALL_HALF_LENGTH - ENEMY_BOUNDARY_MARGIN;
+  player.alive = false;
+  player.deaths += 1;
+  player.streak = 0;
+  console.log(`[${room.code}] Player ${player.id} was slain by ${sourceId}`);
+  broadcast(room, {
+    type: "death",
+    playerId: player.id,
+    killerId: sourceId,
+    respawnIn: PLAYER_RESPAWN_DELAY,
+  });
+  recordReplayEvent(room, { type: "death", playerId: player.id, killerId: sourceId });
+  broadcastScoreboard(room);
+  
+  player.respawnAt = Date.now() + PLAYER_RESPAWN_DELAY;
+  player.respawnTimer = setTimeout(() => respawnPlayer(room, player), PLAYER_RESPAWN_DELAY);
+};
+
+// When the last enemy of a wave falls, record the clear and start the intermission
+const checkWaveCleared = (room) => {
+  if (room.waveState !== WAVE_STATE_ACTIVE) return;
   
-  enemy.x = Math.max(-limitX, Math.min(limitX, enemy.x));
-  enemy.z = Math.max(-limitZ, Math.min(limitZ, enemy.z));
+  const allDead = Array.from(room.enemies.values()).every(e => !e.alive);
+  if (!allDead) return;
+  
+  const clearTime = Date.now() - room.waveStartedAt;
+  // Unnamed players are left out - their "Player 1a2b" label is new every session
+  const names = Array.from(room.players.values()).filter(p => p.connected && p.name).map(p => p.name);
+  leaderboard.recordWaveClear(names, room.wave, clearTime);
+  
+  room.waveState = WAVE_STATE_INTERMISSION;
+  room.nextWaveAt = Date.now() + WAVE_INTERMISSION;
+  room.waveTimer = setTimeout(() => startWave(room), WAVE_INTERMISSION);
+  console.log(`[${room.code}] Wave ${room.wave} cleared in ${(clearTime / 1000).toFixed(1)}s - next wave in ${WAVE_INTERMISSION / 1000} seconds`);
+  broadcast(room, { type: "wave", ...getWaveStatus(room), clearTime });
+  recordReplayEvent(room, { type: "wave", wave: room.wave, state: room.waveState });
 };
 
-// Check if all enemies are dead and trigger respawn
-const checkRespawn = () => {
-  if (respawnPending) return;
+// Validate an attack against the attacker's last known position and cooldown
+// Returns null when the attack is allowed, otherwise the rejection reason
+const validateAttack = (player, enemy, now) => {
+  if (!player.alive) return "dead";
+  if (!enemy) return "unknown_enemy";
+  if (!enemy.alive) return "already_dead";
+  
+  if (now - player.lastAttackAt < ATTACK_COOLDOWN - ATTACK_COOLDOWN_TOLERANCE) {
+    return "cooldown";
+  }
   
-  const allDead = Array.from(enemies.values()).every(e => !e.alive);
-  if (allDead) {
-    respawnPending = true;
-    console.log(`All enemies eliminated! Respawning in ${RESPAWN_DELAY / 1000} seconds...`);
-    setTimeout(() => {
-      initializeEnemies();
-      broadcastEnemyState();
-      console.log("Enemies respawned!");
-    }, RESPAWN_DELAY);
+  if (now < enemy.invulnerableUntil) {
+    return "invulnerable";
   }
+  
+  const pos = player.position;
+  const dx = enemy.x - pos.x;
+  const dz = enemy.z - pos.z;
+  if (Math.sqrt(dx * dx + dz * dz) > ATTACK_RANGE + ATTACK_RANGE_TOLERANCE) {
+    return "out_of_range";
+  }
+  
+  return null;
 };
 
 // Handle attack from player
-const handleAttack = (enemyId, playerId) => {
-  const enemy = enemies.get(enemyId);
-  if (!enemy || !enemy.alive) return false;
+// Returns { hit: true, damage, health, killed } or { hit: false, reason } so the client can show a miss
+const handleAttack = (room, enemyId, playerId, attackType) => {
+  const player = room.players.get(playerId);
+  if (!player) return { hit: false, reason: "unknown_player" };
+  
+  const enemy = room.enemies.get(enemyId);
+  const now = Date.now();
+  const reason = validateAttack(player, enemy, now);
+  
+  // Cooldown rejections don't reset the timer, anything else counts as a swing
+  if (reason !== "cooldown") {
+    player.lastAttackAt = now;
+  }
+  if (reason) {
+    return { hit: false, reason };
+  }
   
-  enemy.alive = false;
-  console.log(`Player ${playerId} eliminated ${enemyId}`);
+  const type = Object.hasOwn(ATTACK_DAMAGE, attackType) ? attackType : DEFAULT_ATTACK_TYPE;
+  const damage = ATTACK_DAMAGE[type];
+  enemy.health = Math.max(0, enemy.health - damage);
+  enemy.invulnerableUntil = now + ENEMY_INVULNERABILITY_MS;
   
-  broadcastEnemyState();
-  checkRespawn();
+  const killed = enemy.health === 0;
+  if (killed) {
+    enemy.alive = false;
+    player.kills += 1;
+    player.streak += 1;
+    player.bestStreak = Math.max(player.bestStreak, player.streak);
+    if (player.name) {
+      leaderboard.recordKill(player.name);
+    }
+    console.log(`[${room.code}] Player ${playerId} eliminated ${enemyId} (${player.kills} kills)`);
+    broadcastScoreboard(room);
+  }
   
-  return true;
+  if (killed) {
+    checkWaveCleared(room);
+  }
+  
+  return { hit: true, damage, health: enemy.health, killed };
 };
 
+// Public view of an enemy for broadcasting
+const toEnemyState = (e) => ({
+  id: e.id,
+  x: e.x,
+  y: e.y,
+  z: e.z,
+  alive: e.alive,
+  health: e.health,
+  maxHealth: e.maxHealth,
+  windup: isWindingUp(e),
+  faceIndex: e.faceIndex,
+});
+
 // Get enemy state for broadcasting
-const getEnemyState = () => {
-  return Array.from(enemies.values()).map(e => ({
-    id: e.id,
-    x: e.x,
-    y: e.y,
-    z: e.z,
-    alive: e.alive,
-    faceIndex: e.faceIndex,
-  }));
-};
-
-// Broadcast enemy state to all clients
-const broadcastEnemyState = () => {
-  const payload = JSON.stringify({
-    type: "enemies",
-    enemies: getEnemyState(),
-  });
-  wss.clients.forEach((client) => {
-    if (client.readyState === client.OPEN) {
-      client.send(payload);
+const getEnemyState = (room) => {
+  return Array.from(room.enemies.values()).map(toEnemyState);
+};
+
+const isJsonClient = (player) => player.protocol === PROTOCOL_JSON;
+
+// Everyone who receives room updates - players (including ones in their grace period) and spectators
+const getRecipients = (room) => [...room.players.values(), ...room.spectators.values()];
+
+// Log label for a connection
+const describeClient = (client) => `${client.spectator ? "Spectator" : "Player"} ${client.id}`;
+
+// Send a message to every player and spectator in a room
+const broadcast = (room, message) => {
+  const payload = JSON.stringify(message);
+  for (const player of getRecipients(room)) {
+    const socket = player.socket;
+    if (socket && socket.readyState === socket.OPEN) {
+      socket.send(payload);
     }
+  }
+};
+
+// Build the quantized snapshot of a room, keyed by net id
+const buildRoomSnapshot = (room) => {
+  const snapshot = { players: new Map(), enemies: new Map() };
+  for (const player of room.players.values()) {
+    if (!player.connected) continue;
+    snapshot.players.set(player.netId, quantizePlayer(toPlayerState(player)));
+  }
+  for (const enemy of room.enemies.values()) {
+    snapshot.enemies.set(enemy.netId, quantizeEnemy(toEnemyState(enemy)));
+  }
+  return snapshot;
+};
+
+// Send this tick's snapshot to everyone in the room
+// Binary clients get a delta against the last tick they acknowledged, JSON clients the full state
+const broadcastSnapshot = (room, time) => {
+  const current = buildRoomSnapshot(room);
+  room.snapshots.set(room.tick, current);
+  room.snapshots.delete(room.tick - SNAPSHOT_HISTORY);
+  
+  let jsonState = null;
+  for (const player of getRecipients(room)) {
+    const socket = player.socket;
+    if (!socket || socket.readyState !== socket.OPEN) continue;
+    
+    if (isJsonClient(player)) {
+      jsonState ??= {
+        type: "snapshot",
+        seq: room.tick,
+        time,
+        players: getPlayerState(room),
+        enemies: getEnemyState(room),
+      };
+      socket.send(JSON.stringify({ ...jsonState, inputAck: player.lastInputSeq }));
+      continue;
+    }
+    
+    // Unchanged ticks still go out (header only) so clients keep an even timeline
+    const baseline = room.snapshots.get(player.snapshotAck) ?? null;
+    const delta = diffSnapshots(baseline, current);
+    socket.send(encodeSnapshot({
+      seq: room.tick,
+      baselineSeq: baseline ? player.snapshotAck : 0,
+      time,
+      inputAck: player.lastInputSeq,
+      delta,
+    }));
+  }
+};
+
+// Send the routes enemies are following to players who asked for them (?debug=paths)
+const broadcastEnemyPaths = (room) => {
+  const watchers = getRecipients(room).filter((p) => p.debugPaths && p.connected);
+  if (watchers.length === 0) return;
+  const enemies = [];
+  for (const enemy of room.enemies.values()) {
+    if (!enemy.alive || !enemy.route) continue;
+    enemies.push({
+      id: enemy.id,
+      direct: enemy.route.direct,
+      points: [[enemy.x, enemy.z], ...enemy.route.points.map(({ x, z }) => [x, z])].map(([x, z]) => [
+        Math.round(x * 10) / 10,
+        Math.round(z * 10) / 10,
+      ]),
+    });
+  }
+  for (const player of watchers) {
+    sendToPlayer(player, { type: "paths", enemies });
+  }
+};
+
+// Record a client's snapshot acknowledgement (seq 0 asks for a full snapshot)
+const handleSnapshotAck = (room, player, seq) => {
+  if (!Number.isInteger(seq)) return;
+  if (seq === 0) {
+    player.snapshotAck = 0;
+    return;
+  }
+  if (seq > player.snapshotAck && room.snapshots.has(seq)) {
+    player.snapshotAck = seq;
+  }
+};
+
+// Queue a player's movement commands for the next tick
+// (payload already validated against the input schema in server/messages.js)
+const queuePlayerInputs = (player, payload) => {
+  // Dead players stay where they fell until respawn moves them
+  if (player.alive) {
+    const { x, y, z, w } = payload.rotation;
+    player.rotation = { x, y, z, w };
+  }
+  for (const input of payload.inputs) {
+    if (input.seq <= player.lastQueuedSeq) continue;
+    player.pendingInputs.push({ seq: input.seq, x: input.x, z: input.z, dt: input.dt });
+    player.lastQueuedSeq = input.seq;
+  }
+  if (player.pendingInputs.length > MAX_QUEUED_INPUTS) {
+    player.pendingInputs.splice(0, player.pendingInputs.length - MAX_QUEUED_INPUTS);
+  }
+};
+
+// Apply queued movement commands, limited to the time that has actually passed (plus a
+// small bank for jitter) so a client can't move faster by sending more or longer commands
+const processPlayerInputs = (room, player, deltaSeconds) => {
+  player.inputBudget = Math.min(player.inputBudget + deltaSeconds, INPUT_TIME_BUDGET);
+  while (player.pendingInputs.length > 0 && player.pendingInputs[0].dt <= player.inputBudget) {
+    const input = player.pendingInputs.shift();
+    player.inputBudget -= input.dt;
+    player.lastInputSeq = input.seq;
+    // Commands sent while dead are acknowledged but don't move the body
+    if (player.alive) {
+      applyMoveInput(player.position, input, room.world.playerAreas);
+    }
+  }
+};
+
+// Start a replay file for the room, from its current wave on (none when the replay folder is full)
+const startReplay = (room) => {
+  if (!replays) return;
+  room.replay = replays.startRecording({
+    room: room.code,
+    time: Date.now() - room.createdAt,
+    frameInterval: REPLAY_FRAME_TICKS * TICK_INTERVAL,
+    world: { seed: room.world.seed, level: room.world.level.data },
+    wave: getWaveStatus(room),
   });
+  if (room.replay) {
+    console.log(`[${room.code}] Recording replay ${room.replay.id}`);
+  }
+};
+
+// Record the room's state for the replay, continuing in a new file once the current one is full
+const recordReplayFrame = (room, time) => {
+  if (!room.replay) return;
+  if (room.replay.isFull()) {
+    room.replay.close();
+    startReplay(room);
+  }
+  room.replay?.recordFrame(
+    time,
+    Array.from(room.players.values()).filter(p => p.connected),
+    getEnemyState(room),
+  );
 };
 
-// Initialize enemies on server start
-initializeEnemies();
+// Add an attack, death or wave change to the room's replay
+const recordReplayEvent = (room, event) => {
+  room.replay?.recordEvent(Date.now() - room.createdAt, event);
+};
 
-// Enemy update loop
-let lastEnemyUpdate = Date.now();
-const enemyUpdateLoop = setInterval(() => {
+// Fixed room tick - advance the simulation, then send one snapshot of the result
+const tickRoom = (room) => {
   const now = Date.now();
-  const deltaSeconds = (now - lastEnemyUpdate) / 1000;
-  lastEnemyUpdate = now;
+  const deltaSeconds = (now - room.lastTickAt) / 1000;
+  room.lastTickAt = now;
   
-  // Update each enemy's position
-  for (const enemy of enemies.values()) {
-    updateEnemyPosition(enemy, deltaSeconds);
+  for (const player of room.players.values()) {
+    processPlayerInputs(room, player, deltaSeconds);
+    updatePlayerHall(room, player);
   }
   
-  // Broadcast updated positions
-  broadcastEnemyState();
-}, ENEMY_UPDATE_INTERVAL);
-
-const broadcastState = () => {
-  const payload = JSON.stringify({
-    type: "state",
-    players: Array.from(players.values()),
+  // Enemy AI - targets are living, connected players
+  updateEnemies({
+    enemies: Array.from(room.enemies.values()),
+    players: Array.from(room.players.values()).filter(p => p.alive && p.connected && p.position),
+    world: room.world.enemyWorld,
+    deltaSeconds,
+    now,
+    onStrike: (enemy, player, damage) => damagePlayer(room, player, damage, enemy.id),
   });
-  wss.clients.forEach((client) => {
-    if (client.readyState === client.OPEN) {
-      client.send(payload);
-    }
+  
+  room.tick += 1;
+  broadcastSnapshot(room, now - room.createdAt);
+  if (room.tick % REPLAY_FRAME_TICKS === 0) {
+    recordReplayFrame(room, now - room.createdAt);
+  }
+  if (room.tick % PATH_DEBUG_INTERVAL === 0) {
+    broadcastEnemyPaths(room);
+  }
+};
+
+// Create a room with fresh enemies and start its update loop
+const createRoom = (code) => {
+  const room = {
+    code,
+    world: fixedWorld ?? createDungeonWorld(), // Level, walkable areas and enemy navigation
+    players: new Map(),
+    enemies: new Map(),
+    wave: 0, // Current wave number, 0 until the first spawns
+    waveState: WAVE_STATE_ACTIVE,
+    waveStartedAt: 0,
+    waveTimer: null, // Intermission countdown to the next wave
+    nextWaveAt: 0,
+    createdAt: Date.now(),
+    lastTickAt: Date.now(),
+    tick: 0,
+    snapshots: new Map(), // tick -> quantized snapshot, baselines for binary deltas
+    updateLoop: null,
+    nextNetId: 0,
+    chat: [], // Last CHAT_HISTORY messages, oldest first
+    chatSeq: 0, // Id of the last chat message
+    spectators: new Map(), // Connected spectators by id - they leave for good when their socket closes
+    replay: null, // Recorder for the session's replay file, null when recording is off
+  };
+  startWave(room);
+  room.updateLoop = setInterval(() => tickRoom(room), TICK_INTERVAL);
+  rooms.set(code, room);
+  console.log(`[${code}] Room created (${rooms.size} active) - ${describeWorld(room.world)}`);
+  startReplay(room);
+  return room;
+};
+
+// Stop a room's timers and forget it
+const destroyRoom = (room) => {
+  clearInterval(room.updateLoop);
+  clearTimeout(room.waveTimer);
+  room.replay?.close();
+  for (const player of room.players.values()) {
+    clearTimeout(player.respawnTimer);
+    clearTimeout(player.disconnectTimer);
+  }
+  rooms.delete(room.code);
+  console.log(`[${room.code}] Room closed (${rooms.size} active)`);
+};
+
+const getOrCreateRoom = (code) => rooms.get(code) ?? createRoom(code);
+
+// Read connection options from the WebSocket URL:
+// ?room= (falls back to the shared lobby), ?protocol=json (debug fallback for snapshots)
+// ?resume= (token from a previous welcome, to reclaim a dropped session),
+// ?debug=paths (also send the routes enemies are following) and ?spectate=1 (watch without playing)
+const parseConnectionParams = (requestUrl) => {
+  let params = new URLSearchParams();
+  try {
+    params = new URL(requestUrl ?? "/", "ws://localhost").searchParams;
+  } catch (error) {
+    // Malformed URL - use defaults
+  }
+  const code = (params.get("room") ?? "").trim().toLowerCase();
+  return {
+    roomCode: ROOM_CODE_PATTERN.test(code) ? code : DEFAULT_ROOM_CODE,
+    protocol: params.get("protocol") === PROTOCOL_JSON ? PROTOCOL_JSON : PROTOCOL_BINARY,
+    resumeToken: params.get("resume"),
+    debugPaths: params.get("debug") === "paths",
+    spectate: params.get("spectate") === "1",
+  };
+};
+
+// Public view of a player for broadcasting (server-only bookkeeping stays private)
+const toPlayerState = (p) => ({
+  id: p.id,
+  name: p.name,
+  color: p.color,
+  appearance: p.appearance,
+  position: p.position,
+  rotation: p.rotation,
+  health: p.health,
+  alive: p.alive,
+});
+
+// Name for logs and messages - the chosen name, or the client's getPlayerLabel fallback
+const getDisplayName = (player) => player.name ?? `Player ${player.id.slice(0, 4)}`;
+
+// Names players can't take: ones that read as the local "You" label
+const RESERVED_NAMES = new Set(["you"]);
+
+// Sanitize a requested name and make it unique in the room ("Ada", "Ada 2"...); null keeps the default
+const assignName = (room, player, requested) => {
+  const base = normalizeName(requested);
+  if (!base || RESERVED_NAMES.has(base.toLowerCase()) || chatFilter.filter(base).masked > 0) {
+    return null;
+  }
+  const taken = new Set();
+  for (const other of room.players.values()) {
+    if (other !== player && other.name) taken.add(other.name.toLowerCase());
+  }
+  let name = base;
+  for (let copy = 2; taken.has(name.toLowerCase()); copy++) {
+    const suffix = ` ${copy}`;
+    name = `${base.slice(0, MAX_NAME_LENGTH - suffix.length).trimEnd()}${suffix}`;
+  }
+  return name;
+};
+
+// Apply a hello: resumed sessions send it again, so an unchanged name and look is a no-op
+const handleHello = (room, player, { name: requested, appearance = player.appearance }) => {
+  const name = assignName(room, player, requested);
+  const restyled = !isSameAppearance(appearance, player.appearance);
+  if (name === player.name && !restyled) return;
+  if (name !== player.name) {
+    player.name = name;
+    console.log(`[${room.code}] Player ${player.id} is now ${getDisplayName(player)}`);
+  }
+  if (restyled) {
+    // color mirrors the body color for the scoreboard and chat
+    player.appearance = { ...appearance, body: appearance.body.toLowerCase() };
+    player.color = player.appearance.body;
+  }
+  broadcastScoreboard(room);
+};
+
+// Session scoreboard - connected players, most kills first (fewest deaths breaks ties)
+const getScoreboard = (room) => {
+  return Array.from(room.players.values())
+    .filter(p => p.connected)
+    .map(p => ({
+      id: p.id,
+      name: p.name,
+      color: p.color,
+      kills: p.kills,
+      deaths: p.deaths,
+      streak: p.streak,
+      bestStreak: p.bestStreak,
+    }))
+    .sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+};
+
+// Send the scoreboard whenever kills, deaths or the player list change
+const broadcastScoreboard = (room) => {
+  broadcast(room, {
+    type: "scoreboard",
+    players: getScoreboard(room),
   });
 };
 
-wss.on("connection", (socket) => {
-  const id = crypto.randomUUID();
-  const player = {
-    id,
-    color: randomColor(),
-    position: { x: 0, y: 0.9, z: 0 },
+// Filter a chat message and send it to the room; over-budget messages are refused to the sender only
+const handleChat = (room, player, text) => {
+  if (!player.chatBudget.take()) {
+    sendToPlayer(player, { type: "chatRejected", reason: "rate_limited" });
+    return;
+  }
+  room.chatSeq += 1;
+  const entry = {
+    id: room.chatSeq,
+    playerId: player.id,
+    name: player.name,
+    color: player.color,
+    text: chatFilter.filter(normalizeChatText(text)).text,
+    sentAt: Date.now(),
+  };
+  room.chat.push(entry);
+  if (room.chat.length > CHAT_HISTORY) {
+    room.chat.shift();
+  }
+  broadcast(room, { type: "chat", ...entry });
+};
+
+// Relay a voice chat signal (offer, answer or ICE candidate) to another player in the room
+// Voice itself is peer to peer - the server only introduces the peers
+const relaySignal = (room, player, { to, kind, sdp, candidate }) => {
+  const isCandidate = kind === "candidate";
+  if (isCandidate !== (candidate !== undefined) || isCandidate === (sdp !== undefined)) {
+    return "invalid_signal";
+  }
+  // Peers that just left or are inside their grace period are skipped, not errors
+  const target = room.players.get(to);
+  if (!target || target === player || !target.connected) {
+    return null;
+  }
+  sendToPlayer(target, { type: "signal", from: player.id, kind, ...(isCandidate ? { candidate } : { sdp }) });
+  return null;
+};
+
+// Get player state for broadcasting (players inside their resume grace period are hidden)
+const getPlayerState = (room) => {
+  return Array.from(room.players.values()).filter(p => p.connected).map(toPlayerState);
+};
+
+// Record a pong: the client echoes the server timestamp from our ping
+const handlePong = (player, sentAt) => {
+  const now = Date.now();
+  if (!Number.isFinite(sentAt) || sentAt > now) return;
+  const sample = now - sentAt;
+  player.rtt = player.rtt === null ? sample : Math.round(player.rtt + (sample - player.rtt) * RTT_SMOOTHING);
+  player.lastPongAt = now;
+};
+
+// Ping every connected player and spectator and drop sockets that stopped answering
+// Terminating triggers the normal close path, so the player can still resume
+const runHeartbeat = () => {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    for (const player of getRecipients(room)) {
+      if (!player.connected) continue;
+      if (now - player.lastPongAt > HEARTBEAT_TIMEOUT) {
+        console.log(`[${room.code}] ${describeClient(player)} stopped responding, dropping connection`);
+        player.socket.terminate();
+        continue;
+      }
+      sendToPlayer(player, { type: "ping", t: now, rtt: player.rtt });
+    }
+  }
+};
+
+const heartbeatLoop = setInterval(runHeartbeat, HEARTBEAT_INTERVAL);
+
+// Create a new player in a room
+const createPlayer = (room) => {
+  const appearance = createDefaultAppearance();
+  return {
+    id: crypto.randomUUID(),
+    netId: allocateNetId(room),
+    resumeToken: null,
+    name: null, // Display name from the player's hello, null until they send one
+    appearance, // Default look until the player's hello
+    color: appearance.body, // Kept equal to appearance.body - scoreboard rows and chat use it
+    position: { x: room.world.level.playerSpawns[0].x, y: PLAYER_SPAWN_HEIGHT, z: room.world.level.playerSpawns[0].z },
+    hall: room.world.level.playerSpawns[0].hall, // Hall the player is standing in (updated every tick)
     rotation: { x: 0, y: 0, z: 0, w: 1 },
+    health: PLAYER_MAX_HEALTH,
+    alive: true,
+    respawnAt: 0,
+    lastAttackAt: 0,
+    respawnTimer: null,
+    socket: null,
+    connected: false,
+    disconnectTimer: null,
+    protocol: PROTOCOL_BINARY,
+    debugPaths: false, // Connected with ?debug=paths
+    snapshotAck: 0, // Last tick the client acknowledged (binary delta baseline)
+    pendingInputs: [], // Movement commands waiting for the next tick
+    lastQueuedSeq: 0,
+    lastInputSeq: 0, // Last command applied - echoed in snapshots for reconciliation
+    inputBudget: 0, // Seconds of movement the player may still simulate
+    kills: 0, // Session stats for the scoreboard - kept across resumes
+    deaths: 0,
+    streak: 0, // Kills since the last death
+    bestStreak: 0,
+    rtt: null, // Smoothed round-trip time in ms, null until the first pong
+    lastPongAt: 0,
+    chatBudget: createTokenBucket(CHAT_RATE_LIMIT),
   };
-  players.set(id, player);
-
-  // Send welcome message with player info and current enemy state
-  socket.send(
-    JSON.stringify({
-      type: "welcome",
-      id: player.id,
-      color: player.color,
-      players: Array.from(players.values()),
-      enemies: getEnemyState(),
-    })
-  );
+};
+
+// Find a player that can be resumed with the given token
+const findResumablePlayer = (room, token) => {
+  if (!token) return null;
+  for (const player of room.players.values()) {
+    if (player.resumeToken === token) return player;
+  }
+  return null;
+};
+
+// Close a room once it has neither players nor spectators
+const closeRoomIfEmpty = (room) => {
+  if (room.players.size === 0 && room.spectators.size === 0) {
+    destroyRoom(room);
+  }
+};
+
+// Remove a player for good
+const removePlayer = (room, player) => {
+  clearTimeout(player.respawnTimer);
+  clearTimeout(player.disconnectTimer);
+  room.players.delete(player.id);
+  closeRoomIfEmpty(room);
+};
+
+// A spectator only needs what snapshots and the heartbeat read
+const createSpectator = () => ({
+  id: crypto.randomUUID(),
+  spectator: true,
+  socket: null,
+  connected: false,
+  protocol: PROTOCOL_BINARY,
+  debugPaths: false,
+  snapshotAck: 0,
+  lastInputSeq: 0, // Always 0 - echoed as inputAck like a player's
+  rtt: null,
+  lastPongAt: 0,
+});
+
+// Spectators don't resume - a reconnect joins as a new spectator
+const removeSpectator = (room, spectator) => {
+  spectator.socket = null;
+  spectator.connected = false;
+  room.spectators.delete(spectator.id);
+  console.log(`[${room.code}] ${describeClient(spectator)} left (${room.spectators.size} watching)`);
+  closeRoomIfEmpty(room);
+};
+
+// Keep a dropped player in the room for the grace period, out of reach of enemies
+const disconnectPlayer = (room, player) => {
+  player.socket = null;
+  player.connected = false;
+  player.pendingInputs = [];
+  broadcastScoreboard(room);
+  player.disconnectTimer = setTimeout(() => {
+    console.log(`[${room.code}] Player ${player.id} did not return, removing`);
+    removePlayer(room, player);
+  }, RESUME_GRACE_PERIOD);
+};
+
+wss.on("connection", (socket, request) => {
+  const { roomCode, protocol, resumeToken, debugPaths, spectate } = parseConnectionParams(request.url);
+  const room = getOrCreateRoom(roomCode);
+  const { players } = room;
+  
+  let player = spectate ? null : findResumablePlayer(room, resumeToken);
+  const resumed = Boolean(player);
+  if (spectate) {
+    player = createSpectator();
+    room.spectators.set(player.id, player);
+    console.log(`[${room.code}] ${describeClient(player)} joined (${room.spectators.size} watching)`);
+  } else if (resumed) {
+    // Drop a half-open socket still attached to the old session
+    clearTimeout(player.disconnectTimer);
+    player.disconnectTimer = null;
+    player.socket?.terminate();
+    console.log(`[${room.code}] Player ${player.id} resumed their session`);
+  } else {
+    player = createPlayer(room);
+    players.set(player.id, player);
+  }
+  const { id } = player;
+  
+  // Fresh socket - new resume token, and binary deltas start over from a full snapshot
+  player.socket = socket;
+  player.connected = true;
+  player.protocol = protocol;
+  player.debugPaths = debugPaths;
+  player.snapshotAck = 0;
+  player.lastPongAt = Date.now();
+
+  // Room state every connection starts from
+  const roomState = {
+    type: "welcome",
+    id: player.id,
+    room: room.code,
+    protocol,
+    // Generated rooms send only the seed - clients run the same generator (shared/dungeon.js)
+    ...(room.world.seed === null ? { level: room.world.level.data } : { seed: room.world.seed }),
+    wave: getWaveStatus(room),
+    players: getPlayerState(room),
+    enemies: getEnemyState(room),
+    chat: room.chat,
+  };
+
+  if (spectate) {
+    // Spectators have no body - no resume token, position or health
+    socket.send(JSON.stringify({ ...roomState, spectator: true }));
+    sendToPlayer(player, { type: "scoreboard", players: getScoreboard(room) });
+  } else {
+    // Send welcome message with player info and current enemy state
+    player.resumeToken = crypto.randomUUID();
+    socket.send(
+      JSON.stringify({
+        ...roomState,
+        resumeToken: player.resumeToken,
+        resumed,
+        position: player.position,
+        color: player.color,
+        appearance: player.appearance,
+        health: player.health,
+        maxHealth: PLAYER_MAX_HEALTH,
+        alive: player.alive,
+        respawnIn: player.alive ? 0 : Math.max(0, player.respawnAt - Date.now()),
+      })
+    );
+    broadcastScoreboard(room);
+  }
 
-  socket.on("message", (data) => {
-    let payload;
-    try {
-      payload = JSON.parse(data.toString());
-    } catch (error) {
+  // Abuse protection is per socket - a resumed session starts with fresh buckets
+  const messageBudget = createTokenBucket(MESSAGE_RATE_LIMIT);
+  const strikes = createTokenBucket(STRIKE_LIMIT);
+  let struckOut = false;
+  
+  // Count a rejected message; too many and the connection is closed
+  const strike = (reason) => {
+    if (strikes.take()) return;
+    struckOut = true;
+    console.log(`[${room.code}] ${describeClient(player)} disconnected for repeated bad messages (last: ${reason})`);
+    socket.close(POLICY_VIOLATION, "Too many invalid messages");
+  };
+  
+  // Oversized (> MAX_MESSAGE_BYTES) or malformed frames - ws closes the socket right after
+  socket.on("error", (error) => {
+    console.log(`[${room.code}] ${describeClient(player)} socket error: ${error.message}`);
+  });
+  
+  socket.on("message", (data, isBinary) => {
+    if (player.socket !== socket || struckOut) return;
+    if (!messageBudget.take()) {
+      strike("rate_limited");
+      return;
+    }
+    const { message: payload, error } = parseClientMessage(data, isBinary);
+    if (error) {
+      strike(error);
+      return;
+    }
+    if (spectate && !SPECTATOR_MESSAGES.has(payload.type)) {
+      strike("spectator_action");
       return;
     }
     
-    // Handle player movement
-    if (payload?.type === SYNC_MESSAGE) {
-      const existing = players.get(id);
-      if (!existing) {
-        return;
-      }
-      if (payload.position) {
-        existing.position = payload.position;
-      }
-      if (payload.rotation) {
-        existing.rotation = payload.rotation;
-      }
-      broadcastState();
+    // Handle movement input (applied on the next tick)
+    if (payload.type === SYNC_MESSAGE) {
+      queuePlayerInputs(player, payload);
+      return;
+    }
+    
+    // Handle heartbeat reply
+    if (payload.type === "pong") {
+      handlePong(player, payload.t);
+      return;
+    }
+    
+    // Handle snapshot acknowledgement
+    if (payload.type === "ack") {
+      handleSnapshotAck(room, player, payload.seq);
       return;
     }
     
     // Handle attack
-    if (payload?.type === "attack") {
+    if (payload.type === "attack") {
       const enemyId = payload.enemyId;
-      if (enemyId) {
-        handleAttack(enemyId, id);
+      const result = handleAttack(room, enemyId, id, payload.attackType);
+      // Cooldown rejections are key mashing, not swings worth reviewing
+      if (result.reason !== "cooldown") {
+        recordReplayEvent(room, { type: "attack", playerId: id, enemyId, ...result });
+      }
+      socket.send(
+        JSON.stringify({
+          type: "attackResult",
+          enemyId,
+          ...result,
+        })
+      );
+      return;
+    }
+    
+    // Handle the player's name and look
+    if (payload.type === "hello") {
+      handleHello(room, player, payload);
+      return;
+    }
+    
+    // Handle chat
+    if (payload.type === "chat") {
+      handleChat(room, player, payload.text);
+      return;
+    }
+    
+    // Handle voice signaling
+    if (payload.type === "signal") {
+      const signalError = relaySignal(room, player, payload);
+      if (signalError) {
+        strike(signalError);
       }
       return;
     }
   });
 
   socket.on("close", () => {
-    players.delete(id);
-    broadcastState();
+    // A resumed session has already moved on to a newer socket
+    if (player.socket !== socket) return;
+    if (spectate) {
+      removeSpectator(room, player);
+      return;
+    }
+    disconnectPlayer(room, player);
   });
 });
 
 wsServer.listen(WS_PORT, () => {
   console.log(`WebSocket server listening on ${WS_PORT}`);
+  console.log(fixedWorld ? `Every room plays ${describeWorld(fixedWorld)}` : "Each room generates its own dungeon");
 });
 
 const shutdown = () => {
-  clearInterval(enemyUpdateLoop);
+  clearInterval(heartbeatLoop);
+  leaderboard.flush();
+  for (const room of rooms.values()) {
+    destroyRoom(room);
+  }
   staticServer.kill("SIGTERM");
   wss.close(() => {
     wsServer.close(() => {
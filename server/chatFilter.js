@@ -0,0 +1,79 @@
+/**
+ * Chat word filter
+ * Masks blocked words with asterisks before a chat message is broadcast
+ *
+ * Deliberately basic: words are compared whole, after lowercasing, undoing common
+ * letter substitutions (sh1t, $hit) and collapsing repeated letters (shiiit), and
+ * with a few plain suffixes allowed (shits, shitty). Substrings of longer words are
+ * left alone, so "Scunthorpe" and "dickens" get through.
+ */
+
+const DEFAULT_BLOCKED_WORDS = [
+  "arse",
+  "arsehole",
+  "asshole",
+  "bastard",
+  "bitch",
+  "bollocks",
+  "bullshit",
+  "cunt",
+  "dick",
+  "dickhead",
+  "fuck",
+  "motherfucker",
+  "piss",
+  "prick",
+  "shit",
+  "slut",
+  "twat",
+  "wanker",
+  "whore",
+];
+
+const SUFFIXES = ["", "s", "es", "ed", "er", "ers", "ing", "in", "y", "ty"];
+
+const SUBSTITUTIONS = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s", "!": "i" };
+
+// Word-ish runs: letters, digits and the substitution symbols
+const WORD_PATTERN = /[\p{L}\p{N}@$!]+/gu;
+
+// Comparable form of a word - "Sh1iiT" and "shit" both become "shit"
+const normalizeWord = (word) =>
+  word
+    .toLowerCase()
+    .replace(/[013457@$!]/g, (char) => SUBSTITUTIONS[char])
+    .replace(/(.)\1+/g, "$1");
+
+/**
+ * Create a chat filter
+ * @param {Object} options
+ * @param {Array<string>} options.extraWords - Blocked words added to the built-in list
+ * @returns {Object} - { filter }
+ */
+export const createChatFilter = ({ extraWords = [] } = {}) => {
+  const blocked = new Set();
+  for (const word of [...DEFAULT_BLOCKED_WORDS, ...extraWords]) {
+    for (const suffix of SUFFIXES) {
+      blocked.add(normalizeWord(word + suffix));
+    }
+  }
+
+  /**
+   * Mask blocked words in a message
+   * @param {string} text - Normalized chat text
+   * @returns {Object} - { text, masked } - masked counts the words replaced
+   */
+  const filter = (text) => {
+    let masked = 0;
+    const filtered = text.replace(WORD_PATTERN, (word) => {
+      // Trailing "!" is punctuation, not a substituted letter
+      const core = word.replace(/!+$/, "");
+      if (!core || !blocked.has(normalizeWord(core))) return word;
+      masked += 1;
+      return "*".repeat(core.length) + word.slice(core.length);
+    });
+    return { text: filtered, masked };
+  };
+
+  return { filter };
+};
@@ -0,0 +1,495 @@
+/**
+ * Enemy AI
+ * Per-enemy state machine (idle, patrol, chase, surround, attack, return) with separation
+ * steering and surround slots, so a group spreads around its target instead of stacking.
+ *
+ * Each enemy carries a profile. A profile sets its ranges, timings and damage, and lists
+ * which transitions apply from each state (guard name + next state, checked in order).
+ *
+ * When the world has a navigation grid (server/navigation.js), enemies walk straight at
+ * their seek point while it is in line of sight and follow an A* path around columns when not.
+ *
+ * Enemies know which hall they stand in and only notice players in that hall or one joined
+ * to it by a doorway - walls hide everyone else.
+ */
+
+export const ENEMY_STATES = {
+  IDLE: "idle",
+  PATROL: "patrol",
+  CHASE: "chase",
+  SURROUND: "surround",
+  ATTACK: "attack",
+  RETURN: "return",
+};
+
+const { IDLE, PATROL, CHASE, SURROUND, ATTACK, RETURN } = ENEMY_STATES;
+
+const ARRIVE_DISTANCE = 1.5; // units - a slot or waypoint this close counts as reached
+const MAX_SLOT_STEP = 0.8; // radians - aim this far around the ring per tick, so enemies circle instead of cutting through the player
+const PATROL_SPEED = 0.5; // Fraction of full speed while patrolling
+const PATROL_TIMEOUT = 10000; // ms - give up on a waypoint that can't be reached
+const TARGET_STICKINESS = 1.5; // Keep the current target unless another player is this many times closer
+const REPATH_INTERVAL = 500; // ms - recompute a followed path at most this often
+const REPATH_DISTANCE = 4; // units - or sooner when the seek point moved this far
+const PATROL_WAYPOINT_ATTEMPTS = 8; // Random picks before settling for home as the waypoint
+const STRIKE_APPROACH = 0.6; // Fraction of attackRange a ready enemy closes to, so a target backing off is still in reach
+const TWO_PI = Math.PI * 2;
+
+// Transition guards - (enemy, context) => boolean
+const GUARDS = {
+  leashed: (enemy, ctx) => ctx.distanceFromHome > enemy.profile.leashRange,
+  home: (enemy, ctx) => ctx.distanceFromHome <= enemy.profile.patrolRadius,
+  targetSpotted: (enemy, ctx) => ctx.target !== null,
+  targetLost: (enemy, ctx) => ctx.target === null,
+  // Surround engages inside surroundRadius + engageMargin and lets go past twice the margin (hysteresis)
+  targetClose: (enemy, ctx) =>
+    ctx.target !== null && ctx.target.distance <= enemy.profile.surroundRadius + enemy.profile.engageMargin,
+  targetFar: (enemy, ctx) =>
+    ctx.target === null || ctx.target.distance > enemy.profile.surroundRadius + enemy.profile.engageMargin * 2,
+  canStrike: (enemy, ctx) =>
+    ctx.target !== null &&
+    ctx.target.distance <= enemy.profile.attackRange &&
+    ctx.now - enemy.lastStrikeAt >= enemy.profile.attackCooldown,
+  strikeFinished: (enemy) => enemy.strikeResolved,
+  restOver: (enemy, ctx) => ctx.now >= enemy.stateUntil,
+  waypointReached: (enemy, ctx) =>
+    !enemy.waypoint ||
+    ctx.now >= enemy.stateUntil ||
+    Math.hypot(enemy.waypoint.x - enemy.x, enemy.waypoint.z - enemy.z) <= ARRIVE_DISTANCE,
+};
+
+// Standard cycle: patrol until a player shows up, chase, take a surround slot, strike from it
+const DEFAULT_TRANSITIONS = {
+  [IDLE]: [["leashed", RETURN], ["targetSpotted", CHASE], ["restOver", PATROL]],
+  [PATROL]: [["leashed", RETURN], ["targetSpotted", CHASE], ["waypointReached", IDLE]],
+  [CHASE]: [["leashed", RETURN], ["targetLost", IDLE], ["targetClose", SURROUND]],
+  [SURROUND]: [["leashed", RETURN], ["targetLost", IDLE], ["canStrike", ATTACK], ["targetFar", CHASE]],
+  [ATTACK]: [["strikeFinished", SURROUND]],
+  [RETURN]: [["home", IDLE]],
+};
+
+/**
+ * Enemy profiles - ranges in units, times in ms
+ * surroundRadius is the ring an enemy waits on while its strike cools down; once it can
+ * strike again it steps in to within attackRange, which is melee distance - about the
+ * player's own reach (ATTACK_RANGE 3 in server.js) plus an enemy's body radius.
+ * maxRange/leashRange are measured from the enemy's home (the center of the spawn zone it came from).
+ */
+export const ENEMY_PROFILES = {
+  grunt: {
+    speedMultiplier: 1,
+    healthMultiplier: 1,
+    detectionRange: 1000, // Whole map - grunts always come for you
+    surroundRadius: 8,
+    engageMargin: 6,
+    attackRange: 5, // Strike lands if the target is still this close when the windup ends
+    attackWindup: 600, // Telegraph before the strike lands, gives players time to back off
+    attackCooldown: 1500,
+    attackDamage: 15,
+    flankBias: 0, // Sideways pull while chasing (0 = head-on)
+    separationRadius: 8,
+    separationWeight: 1.2,
+    restTime: [1500, 4000], // Idle pause range between patrols
+    patrolRadius: 100,
+    maxRange: 250, // Won't chase past this
+    leashRange: 300, // Beyond this, walk home whatever is happening
+    transitions: DEFAULT_TRANSITIONS,
+  },
+  // Fast and light - swings wide while chasing so it arrives from the side
+  flanker: {
+    speedMultiplier: 1.2,
+    healthMultiplier: 0.75,
+    detectionRange: 1000,
+    surroundRadius: 7,
+    engageMargin: 6,
+    attackRange: 4.5,
+    attackWindup: 450,
+    attackCooldown: 1800,
+    attackDamage: 10,
+    flankBias: 0.8,
+    separationRadius: 8,
+    separationWeight: 1.5,
+    restTime: [800, 2000],
+    patrolRadius: 120,
+    maxRange: 250,
+    leashRange: 300,
+    transitions: DEFAULT_TRANSITIONS,
+  },
+  // Slow and tough - walks straight in and swings, no waiting for a slot
+  brute: {
+    speedMultiplier: 0.75,
+    healthMultiplier: 1.6,
+    detectionRange: 1000,
+    surroundRadius: 8,
+    engageMargin: 6,
+    attackRange: 5.5,
+    attackWindup: 900,
+    attackCooldown: 2000,
+    attackDamage: 25,
+    flankBias: 0,
+    separationRadius: 10,
+    separationWeight: 0.8,
+    restTime: [2000, 5000],
+    patrolRadius: 80,
+    maxRange: 250,
+    leashRange: 300,
+    transitions: {
+      ...DEFAULT_TRANSITIONS,
+      [CHASE]: [["leashed", RETURN], ["targetLost", IDLE], ["canStrike", ATTACK]],
+      [ATTACK]: [["strikeFinished", CHASE]],
+    },
+  },
+};
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+const randomBetween = ([min, max]) => min + Math.random() * (max - min);
+
+/**
+ * Fresh AI fields for a new enemy
+ * @param {string} profileName - Key of ENEMY_PROFILES
+ * @param {Object} home - { x, z, hall } the enemy patrols around and returns to
+ * @returns {Object} - Fields to merge into the enemy
+ */
+export const createEnemyAi = (profileName, home) => ({
+  profileName,
+  profile: ENEMY_PROFILES[profileName] ?? ENEMY_PROFILES.grunt,
+  home: { x: home.x, z: home.z },
+  hall: home.hall, // Hall the enemy is standing in (kept while crossing a doorway)
+  aiState: IDLE,
+  stateUntil: 0, // Idle rest / patrol give-up deadline
+  waypoint: null, // Patrol destination
+  targetId: null,
+  slotAngle: null, // Surround bearing around the target, radians
+  flankSide: Math.random() < 0.5 ? -1 : 1, // Which way flankers swing
+  windupStartedAt: 0,
+  lastStrikeAt: 0,
+  strikeResolved: false,
+  directionX: 0, // Last movement direction
+  directionZ: 0,
+  path: null, // Remaining A* waypoints [{ x, z }] while the seek point is out of sight
+  pathGoal: null, // Seek point the path was planned for
+  repathAt: 0,
+  route: null, // What the enemy is following this tick, for the debug overlay - { direct, points }
+});
+
+/**
+ * True while the enemy telegraphs a strike (sent to clients as the windup flag)
+ * @param {Object} enemy
+ * @returns {boolean}
+ */
+export const isWindingUp = (enemy) => enemy.aiState === ATTACK && !enemy.strikeResolved;
+
+// Closest valid player, sticking with the current target unless another is much closer
+const findTarget = (enemy, players, world) => {
+  let closest = null;
+  let current = null;
+  for (const player of players) {
+    if (world.hallsAdjacent && !world.hallsAdjacent(enemy.hall, player.hall)) continue;
+    const dx = player.position.x - enemy.x;
+    const dz = player.position.z - enemy.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > enemy.profile.detectionRange) continue;
+    const candidate = { player, distance, dx, dz };
+    if (!closest || distance < closest.distance) closest = candidate;
+    if (player.id === enemy.targetId) current = candidate;
+  }
+  if (current && closest && current.distance <= closest.distance * TARGET_STICKINESS) {
+    return current;
+  }
+  return closest;
+};
+
+// Random point within patrolRadius of home, off the columns when the world has a nav grid
+const pickPatrolWaypoint = (enemy, world) => {
+  const { home } = enemy;
+  for (let attempt = 0; attempt < PATROL_WAYPOINT_ATTEMPTS; attempt++) {
+    const angle = Math.random() * TWO_PI;
+    const distance = Math.random() * enemy.profile.patrolRadius;
+    const x = home.x + Math.cos(angle) * distance;
+    const z = home.z + Math.sin(angle) * distance;
+    if (!world.nav || world.nav.isWalkable(x, z)) return { x, z };
+  }
+  return { x: home.x, z: home.z };
+};
+
+const enterState = (enemy, state, ctx) => {
+  enemy.aiState = state;
+  enemy.slotAngle = null;
+  if (state === IDLE) {
+    enemy.stateUntil = ctx.now + randomBetween(enemy.profile.restTime);
+  } else if (state === PATROL) {
+    enemy.waypoint = pickPatrolWaypoint(enemy, ctx.world);
+    enemy.stateUntil = ctx.now + PATROL_TIMEOUT;
+  } else if (state === ATTACK) {
+    enemy.windupStartedAt = ctx.now;
+    enemy.strikeResolved = false;
+  }
+};
+
+// Take the first transition whose guard passes (at most one per tick)
+const runTransitions = (enemy, ctx) => {
+  const transitions = enemy.profile.transitions[enemy.aiState] ?? [];
+  for (const [guard, next] of transitions) {
+    if (GUARDS[guard](enemy, ctx)) {
+      enterState(enemy, next, ctx);
+      return;
+    }
+  }
+};
+
+// Spread enemies surrounding the same player evenly around it, keeping their order around
+// the ring so nobody has to cross the circle (offset = circular mean of the current bearings)
+const assignSurroundSlots = (enemies, playersById) => {
+  const groups = new Map();
+  for (const enemy of enemies) {
+    if (enemy.aiState !== SURROUND && enemy.aiState !== ATTACK) continue;
+    const player = playersById.get(enemy.targetId);
+    if (!player) continue;
+    const bearing = Math.atan2(enemy.z - player.position.z, enemy.x - player.position.x);
+    if (!groups.has(player.id)) groups.set(player.id, []);
+    groups.get(player.id).push({ enemy, bearing });
+  }
+
+  for (const members of groups.values()) {
+    members.sort((a, b) => a.bearing - b.bearing);
+    const spacing = TWO_PI / members.length;
+    let sin = 0;
+    let cos = 0;
+    members.forEach(({ bearing }, index) => {
+      sin += Math.sin(bearing - index * spacing);
+      cos += Math.cos(bearing - index * spacing);
+    });
+    const offset = Math.atan2(sin, cos);
+    members.forEach(({ enemy }, index) => {
+      enemy.slotAngle = wrapAngle(offset + index * spacing);
+    });
+  }
+};
+
+// Push away from nearby enemies, stronger the closer they are
+const getSeparation = (enemy, enemies) => {
+  const { separationRadius } = enemy.profile;
+  let x = 0;
+  let z = 0;
+  for (const other of enemies) {
+    if (other === enemy) continue;
+    const dx = enemy.x - other.x;
+    const dz = enemy.z - other.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance >= separationRadius) continue;
+    if (distance < 0.001) {
+      // Exactly stacked - split them apart sideways
+      x += enemy.flankSide;
+      continue;
+    }
+    const strength = 1 - distance / separationRadius;
+    x += (dx / distance) * strength;
+    z += (dz / distance) * strength;
+  }
+  return { x, z };
+};
+
+// Distance an engaged enemy keeps from its target - its ring while the strike cools down,
+// then inside its reach so it can swing
+const getEngageRadius = (enemy, ctx) =>
+  ctx.now - enemy.lastStrikeAt >= enemy.profile.attackCooldown
+    ? enemy.profile.attackRange * STRIKE_APPROACH
+    : enemy.profile.surroundRadius;
+
+// Where the enemy wants to go this tick as { x, z, speedScale } (null to hold still)
+const getSeekPoint = (enemy, ctx) => {
+  const { target } = ctx;
+  switch (enemy.aiState) {
+    case PATROL:
+      return enemy.waypoint ? { ...enemy.waypoint, speedScale: PATROL_SPEED } : null;
+    case RETURN:
+      return { x: enemy.home.x, z: enemy.home.z, speedScale: 1 };
+    case CHASE: {
+      if (!target) return null;
+      const engageRadius = getEngageRadius(enemy, ctx);
+      if (target.distance <= engageRadius) {
+        // Close enough - hold the engage radius on the current bearing (separation would push it inward)
+        const { position } = target.player;
+        const scale = engageRadius / Math.max(target.distance, 0.001);
+        return { x: position.x - target.dx * scale, z: position.z - target.dz * scale, speedScale: 1 };
+      }
+      // Flankers aim off to one side of the target, easing off as they close in
+      const sideways = enemy.profile.flankBias * Math.min(1, target.distance / (enemy.profile.surroundRadius * 3));
+      const nx = target.dx / target.distance;
+      const nz = target.dz / target.distance;
+      return {
+        x: enemy.x + (nx - nz * enemy.flankSide * sideways) * target.distance,
+        z: enemy.z + (nz + nx * enemy.flankSide * sideways) * target.distance,
+        speedScale: 1,
+      };
+    }
+    case SURROUND: {
+      if (!target || enemy.slotAngle === null) return null;
+      const { position } = target.player;
+      const bearing = Math.atan2(enemy.z - position.z, enemy.x - position.x);
+      const step = Math.max(-MAX_SLOT_STEP, Math.min(MAX_SLOT_STEP, wrapAngle(enemy.slotAngle - bearing)));
+      const radius = getEngageRadius(enemy, ctx);
+      return {
+        x: position.x + Math.cos(bearing + step) * radius,
+        z: position.z + Math.sin(bearing + step) * radius,
+        speedScale: 1,
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+// Steer for the seek point directly while it's in sight, otherwise along an A* path
+// (replanned every REPATH_INTERVAL or when the seek point moves, e.g. a running target)
+const getNavigationPoint = (enemy, seek, ctx) => {
+  const { nav } = ctx.world;
+  if (!seek || !nav || nav.hasLineOfSight(enemy, seek)) {
+    enemy.path = null;
+    enemy.pathGoal = null;
+    enemy.route = seek ? { direct: true, points: [{ x: seek.x, z: seek.z }] } : null;
+    return seek;
+  }
+
+  const goalMoved = !enemy.pathGoal || Math.hypot(seek.x - enemy.pathGoal.x, seek.z - enemy.pathGoal.z) > REPATH_DISTANCE;
+  if (goalMoved || ctx.now >= enemy.repathAt) {
+    enemy.path = nav.findPath(enemy, seek);
+    enemy.pathGoal = { x: seek.x, z: seek.z };
+    enemy.repathAt = ctx.now + REPATH_INTERVAL;
+  }
+  if (!enemy.path) {
+    // Unreachable - push straight on and let the collision check slide along the column
+    enemy.route = { direct: true, points: [{ x: seek.x, z: seek.z }] };
+    return seek;
+  }
+
+  // Drop waypoints already reached, keeping the last one (the goal)
+  while (enemy.path.length > 1 && Math.hypot(enemy.path[0].x - enemy.x, enemy.path[0].z - enemy.z) <= ARRIVE_DISTANCE) {
+    enemy.path.shift();
+  }
+  enemy.route = { direct: false, points: enemy.path };
+  return { ...enemy.path[0], speedScale: seek.speedScale };
+};
+
+// Final position for a step - slide along one axis when the step would end inside a column
+const resolveCollision = (enemy, nextX, nextZ, nav) => {
+  // Already inside the clearance band (an unlucky shove) - let it walk back out
+  if (!nav || nav.isWalkable(nextX, nextZ) || !nav.isWalkable(enemy.x, enemy.z)) return { x: nextX, z: nextZ };
+  if (nav.isWalkable(nextX, enemy.z)) return { x: nextX, z: enemy.z };
+  if (nav.isWalkable(enemy.x, nextZ)) return { x: enemy.x, z: nextZ };
+  return null;
+};
+
+const moveEnemy = (enemy, ctx) => {
+  if (enemy.aiState === ATTACK) {
+    enemy.route = null;
+    return; // Enemies plant their feet while winding up
+  }
+
+  const seek = getNavigationPoint(enemy, getSeekPoint(enemy, ctx), ctx);
+  let vx = 0;
+  let vz = 0;
+  let speedScale = 1;
+  if (seek) {
+    const dx = seek.x - enemy.x;
+    const dz = seek.z - enemy.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > ARRIVE_DISTANCE) {
+      vx = dx / distance;
+      vz = dz / distance;
+    }
+    speedScale = seek.speedScale;
+  }
+
+  const separation = getSeparation(enemy, ctx.enemies);
+  vx += separation.x * enemy.profile.separationWeight;
+  vz += separation.z * enemy.profile.separationWeight;
+
+  const length = Math.sqrt(vx * vx + vz * vz);
+  if (length < 0.001) return;
+  if (length > 1) {
+    vx /= length;
+    vz /= length;
+  }
+
+  const step = enemy.speed * speedScale * ctx.deltaSeconds;
+  const nextX = enemy.x + vx * step;
+  const nextZ = enemy.z + vz * step;
+
+  // Don't follow players out of the patrol area (returning home is always allowed)
+  const nextFromHome = Math.hypot(nextX - enemy.home.x, nextZ - enemy.home.z);
+  if (enemy.aiState !== RETURN && nextFromHome > enemy.profile.maxRange && nextFromHome > ctx.distanceFromHome) {
+    return;
+  }
+
+  const clamped = ctx.world.clamp({ x: nextX, z: nextZ });
+  const next = resolveCollision(enemy, clamped.x, clamped.z, ctx.world.nav);
+  if (!next) return;
+
+  enemy.x = next.x;
+  enemy.z = next.z;
+  enemy.hall = ctx.world.findHall?.(next.x, next.z) ?? enemy.hall;
+  enemy.directionX = vx;
+  enemy.directionZ = vz;
+};
+
+// Land the strike when the windup ends - only if the target stayed in reach
+const resolveAttack = (enemy, ctx) => {
+  if (enemy.aiState !== ATTACK || enemy.strikeResolved) return;
+  if (ctx.now - enemy.windupStartedAt < enemy.profile.attackWindup) return;
+
+  const player = ctx.playersById.get(enemy.targetId);
+  if (player) {
+    const distance = Math.hypot(player.position.x - enemy.x, player.position.z - enemy.z);
+    if (distance <= enemy.profile.attackRange) {
+      ctx.onStrike(enemy, player, enemy.profile.attackDamage);
+    }
+  }
+  enemy.strikeResolved = true;
+  enemy.lastStrikeAt = ctx.now;
+};
+
+/**
+ * Advance every enemy in a room by one tick
+ * @param {Object} options
+ * @param {Array<Object>} options.enemies - Room enemies (dead ones are skipped)
+ * @param {Array<Object>} options.players - Players enemies may target (alive, connected, with a position and hall)
+ * @param {Object} options.world - { clamp, nav, findHall, hallsAdjacent } - clamp(position)
+ *   keeps a position on the floor; the optional navigation grid (createNavGrid) routes around
+ *   obstacles; the optional findHall(x, z) and hallsAdjacent(a, b) track halls and limit
+ *   targets to the enemy's hall and its neighbours
+ * @param {number} options.deltaSeconds - Time since the last tick
+ * @param {number} options.now - Date.now() for this tick
+ * @param {Function} options.onStrike - (enemy, player, damage) when a strike lands
+ */
+export const updateEnemies = ({ enemies, players, world, deltaSeconds, now, onStrike }) => {
+  const alive = enemies.filter((enemy) => enemy.alive);
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  const contexts = new Map();
+
+  for (const enemy of alive) {
+    // Mid-windup enemies stay locked on the player they telegraphed at
+    const target = enemy.aiState === ATTACK ? null : findTarget(enemy, players, world);
+    if (enemy.aiState !== ATTACK) {
+      enemy.targetId = target?.player.id ?? null;
+    }
+    const ctx = {
+      now,
+      world,
+      deltaSeconds,
+      target,
+      distanceFromHome: Math.hypot(enemy.x - enemy.home.x, enemy.z - enemy.home.z),
+    };
+    runTransitions(enemy, ctx);
+    contexts.set(enemy, ctx);
+  }
+
+  assignSurroundSlots(alive, playersById);
+
+  for (const enemy of alive) {
+    const ctx = { ...contexts.get(enemy), enemies: alive, playersById, onStrike };
+    moveEnemy(enemy, ctx);
+    resolveAttack(enemy, ctx);
+  }
+};
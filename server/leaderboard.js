@@ -0,0 +1,171 @@
+/**
+ * All-time leaderboard
+ * Per display name totals persisted to a JSON file so they survive server restarts
+ */
+import fs from "fs";
+import path from "path";
+
+const SAVE_DELAY = 2000; // ms - batches bursts of kills into one write
+const MAX_ENTRIES = 500; // Lowest ranked names are pruned beyond this
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100; // Largest page the HTTP endpoint will return
+const FILE_VERSION = 2; // 2: fastestClear is the best wave's clear time (1 kept the fastest clear of any wave)
+
+// Kills first, then best wave, then how fast that wave was cleared (entries without a clear sort last)
+const compareEntries = (a, b) =>
+  b.kills - a.kills ||
+  b.bestWave - a.bestWave ||
+  (a.fastestClear ?? Infinity) - (b.fastestClear ?? Infinity);
+
+const createEntry = (name) => ({
+  name,
+  kills: 0,
+  bestWave: 0,
+  fastestClear: null, // ms - fastest clear of bestWave
+  updatedAt: 0,
+});
+
+// Read saved entries, starting empty when the file is missing or unreadable
+const loadEntries = (filePath) => {
+  const entries = new Map();
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Leaderboard: could not read ${filePath}`, error);
+    }
+    return entries;
+  }
+  try {
+    const data = JSON.parse(raw);
+    // Older files hold the fastest clear of any wave (nearly always wave 1) - drop those times
+    const clearsMatchBestWave = data.version === FILE_VERSION;
+    for (const item of Array.isArray(data.entries) ? data.entries : []) {
+      if (typeof item?.name !== "string") continue;
+      entries.set(item.name, {
+        ...createEntry(item.name),
+        kills: Number(item.kills) || 0,
+        bestWave: Number(item.bestWave) || 0,
+        fastestClear: clearsMatchBestWave && Number.isFinite(item.fastestClear) ? item.fastestClear : null,
+        updatedAt: Number(item.updatedAt) || 0,
+      });
+    }
+  } catch (error) {
+    console.error(`Leaderboard: ${filePath} is not valid JSON, starting empty`, error);
+  }
+  return entries;
+};
+
+/**
+ * Create the leaderboard store
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file the entries are saved to
+ * @returns {Object} - { recordKill, recordWaveClear, getTop, flush }
+ */
+export const createLeaderboard = ({ filePath }) => {
+  const entries = loadEntries(filePath);
+  let saveTimer = null;
+  let dirty = false;
+  let updatedAt = Math.max(0, ...Array.from(entries.values(), (entry) => entry.updatedAt));
+
+  const getEntry = (name) => {
+    let entry = entries.get(name);
+    if (!entry) {
+      entry = createEntry(name);
+      entries.set(name, entry);
+    }
+    return entry;
+  };
+
+  const prune = () => {
+    if (entries.size <= MAX_ENTRIES) return;
+    const ranked = Array.from(entries.values()).sort(compareEntries);
+    for (const entry of ranked.slice(MAX_ENTRIES)) {
+      entries.delete(entry.name);
+    }
+  };
+
+  /**
+   * Write pending changes to disk now
+   * Written to a temp file and renamed so a crash mid-write never leaves a truncated file
+   */
+  const flush = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!dirty) return;
+    dirty = false;
+    prune();
+    const data = {
+      version: FILE_VERSION,
+      updatedAt,
+      entries: Array.from(entries.values()).sort(compareEntries),
+    };
+    const tempPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Leaderboard: could not save ${filePath}`, error);
+    }
+  };
+
+  const touch = (entry) => {
+    updatedAt = Date.now();
+    entry.updatedAt = updatedAt;
+    dirty = true;
+    if (!saveTimer) {
+      saveTimer = setTimeout(flush, SAVE_DELAY);
+    }
+  };
+
+  /**
+   * Count a kill towards a player's all-time total
+   * @param {string} name - Display name
+   */
+  const recordKill = (name) => {
+    const entry = getEntry(name);
+    entry.kills += 1;
+    touch(entry);
+  };
+
+  /**
+   * Record a cleared wave for everyone who was present
+   * A new best wave replaces the clear time; clearing the best wave again keeps the faster one.
+   * Lower waves change nothing - they are smaller and would always be the fastest.
+   * @param {Array<string>} names - Display names of the connected players
+   * @param {number} wave - Wave number that was cleared
+   * @param {number} duration - Time from wave start to the last kill (ms)
+   */
+  const recordWaveClear = (names, wave, duration) => {
+    const clearTime = Math.round(duration);
+    for (const name of names) {
+      const entry = getEntry(name);
+      if (wave > entry.bestWave) {
+        entry.bestWave = wave;
+        entry.fastestClear = clearTime;
+      } else if (wave === entry.bestWave && (entry.fastestClear === null || clearTime < entry.fastestClear)) {
+        entry.fastestClear = clearTime;
+      } else {
+        continue;
+      }
+      touch(entry);
+    }
+  };
+
+  /**
+   * Top ranked entries
+   * @param {number} limit - Maximum rows to return (clamped to 1..MAX_LIMIT)
+   * @returns {Object} - { updatedAt, entries }
+   */
+  const getTop = (limit = DEFAULT_LIMIT) => ({
+    updatedAt,
+    entries: Array.from(entries.values())
+      .sort(compareEntries)
+      .slice(0, Math.min(Math.max(Math.floor(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT))
+      .map(({ name, kills, bestWave, fastestClear }) => ({ name, kills, bestWave, fastestClear })),
+  });
+
+  return { recordKill, recordWaveClear, getTop, flush };
+};
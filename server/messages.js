@@ -0,0 +1,137 @@
+/**
+ * Client message schemas
+ * Every message type the WebSocket server accepts, with per-field validation
+ *
+ * Messages are checked strictly: unknown types, missing required fields, unexpected
+ * fields and out-of-range values are all rejected before game code sees them.
+ */
+import { isValidAppearance } from "../shared/appearance.js";
+import { isValidChatText } from "../shared/chat.js";
+import { isValidMoveInput } from "../shared/movement.js";
+import { MAX_NAME_INPUT_LENGTH } from "../shared/names.js";
+
+export const MAX_MESSAGE_BYTES = 16 * 1024; // Larger frames are refused by the WebSocket server
+export const MAX_INPUTS_PER_MESSAGE = 30; // ~3 frames' worth of headroom at 90 fps per sync
+const MAX_SEQ = 0xffffffff; // Snapshot ticks are u32 on the wire
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const ATTACK_TYPES = ["slash", "swing"];
+const SIGNAL_KINDS = ["offer", "answer", "candidate"]; // WebRTC voice signaling, relayed between players
+const MAX_SDP_LENGTH = 8 * 1024; // characters - audio-only session descriptions are 2-4 KB
+const MAX_CANDIDATE_LENGTH = 512; // characters
+const CANDIDATE_FIELDS = ["candidate", "sdpMid", "sdpMLineIndex", "usernameFragment"]; // RTCIceCandidate.toJSON()
+
+// Field validators
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isIntegerInRange = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+const isNonNegativeFinite = (value) => Number.isFinite(value) && value >= 0;
+
+const isId = (value) => typeof value === "string" && ID_PATTERN.test(value);
+
+const isOneOf = (options) => (value) => options.includes(value);
+
+const isOptionalString = (maxLength) => (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.length <= maxLength);
+
+const isNameInput = (value) => typeof value === "string" && value.length <= MAX_NAME_INPUT_LENGTH;
+
+const isSdp = (value) => typeof value === "string" && value.length > 0 && value.length <= MAX_SDP_LENGTH;
+
+const isIceCandidate = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).every((key) => CANDIDATE_FIELDS.includes(key)) &&
+  typeof value.candidate === "string" &&
+  value.candidate.length <= MAX_CANDIDATE_LENGTH &&
+  isOptionalString(64)(value.sdpMid) &&
+  (value.sdpMLineIndex === undefined || value.sdpMLineIndex === null || isIntegerInRange(0, 64)(value.sdpMLineIndex)) &&
+  isOptionalString(256)(value.usernameFragment);
+
+// Unit quaternion components, with slack for float drift
+const isQuaternion = (value) => {
+  if (!isPlainObject(value)) return false;
+  const { x, y, z, w } = value;
+  if (![x, y, z, w].every(Number.isFinite)) return false;
+  const lengthSq = x * x + y * y + z * z + w * w;
+  return lengthSq > 0.9 && lengthSq < 1.1;
+};
+
+const isInputList = (value) =>
+  Array.isArray(value) && value.length <= MAX_INPUTS_PER_MESSAGE && value.every(isValidMoveInput);
+
+// Schemas - field name -> { validate, required }
+const SCHEMAS = {
+  input: {
+    rotation: { validate: isQuaternion, required: true },
+    inputs: { validate: isInputList, required: true },
+  },
+  ack: {
+    seq: { validate: isIntegerInRange(0, MAX_SEQ), required: true },
+  },
+  pong: {
+    t: { validate: isNonNegativeFinite, required: true },
+  },
+  attack: {
+    enemyId: { validate: isId, required: true },
+    attackType: { validate: isOneOf(ATTACK_TYPES), required: false },
+  },
+  // Sent after every welcome; the server sanitizes the name (an empty one keeps the default)
+  // An omitted appearance keeps the player's current look
+  hello: {
+    name: { validate: isNameInput, required: true },
+    appearance: { validate: isValidAppearance, required: false },
+  },
+  chat: {
+    text: { validate: isValidChatText, required: true },
+  },
+  // Offers and answers carry sdp, candidates carry candidate (checked when relaying)
+  signal: {
+    to: { validate: isId, required: true },
+    kind: { validate: isOneOf(SIGNAL_KINDS), required: true },
+    sdp: { validate: isSdp, required: false },
+    candidate: { validate: isIceCandidate, required: false },
+  },
+};
+
+/**
+ * Parse and validate a raw WebSocket message
+ * @param {Buffer|string} data - Raw frame data
+ * @param {boolean} isBinary - Whether the frame was binary (clients only send text)
+ * @returns {Object} - { message } when valid, otherwise { error } with a short reason
+ */
+export const parseClientMessage = (data, isBinary) => {
+  if (isBinary) return { error: "binary_frame" };
+
+  let payload;
+  try {
+    payload = JSON.parse(data.toString());
+  } catch (error) {
+    return { error: "malformed_json" };
+  }
+
+  if (!isPlainObject(payload) || typeof payload.type !== "string") {
+    return { error: "missing_type" };
+  }
+  const schema = Object.hasOwn(SCHEMAS, payload.type) ? SCHEMAS[payload.type] : null;
+  if (!schema) {
+    return { error: "unknown_type" };
+  }
+
+  for (const key of Object.keys(payload)) {
+    if (key !== "type" && !Object.hasOwn(schema, key)) {
+      return { error: `unexpected_field:${key}` };
+    }
+  }
+  for (const [key, { validate, required }] of Object.entries(schema)) {
+    if (payload[key] === undefined) {
+      if (required) return { error: `missing_field:${key}` };
+      continue;
+    }
+    if (!validate(payload[key])) {
+      return { error: `invalid_field:${key}` };
+    }
+  }
+
+  return { message: payload };
+};
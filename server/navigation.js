@@ -0,0 +1,258 @@
+/**
+ * Navigation grid
+ * Occupancy grid over the level's floor with A* pathfinding, so server-side enemies
+ * route around columns and through doorways instead of walking through walls
+ *
+ * Obstacles are inflated by the walker's clearance when the grid is built, so paths
+ * only need to keep cell centers walkable. Paths are string-pulled with line of sight
+ * checks to drop the zig-zag of grid moves.
+ */
+
+const MAX_EXPANSIONS = 8000; // Cells A* may close before giving up - enemies stay within ~250 units of home, so real paths need far fewer
+const SNAP_RADIUS = 8; // Cells searched for the nearest walkable cell around a blocked start/goal
+
+const NEIGHBORS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, Math.SQRT2],
+  [1, -1, Math.SQRT2],
+  [-1, 1, Math.SQRT2],
+  [-1, -1, Math.SQRT2],
+];
+
+// Binary min-heap of [score, cell index] entries (a cell re-queued with a better score
+// leaves a stale entry behind, skipped when popped)
+const createOpenSet = () => {
+  const heap = [];
+
+  const push = (score, index) => {
+    heap.push([score, index]);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top[1];
+  };
+
+  return { push, pop, get size() { return heap.length; } };
+};
+
+/**
+ * Build a navigation grid for a level
+ * @param {Object} options
+ * @param {Object} options.bounds - { minX, maxX, minZ, maxZ } covered by the grid
+ * @param {Function} [options.isOpen] - (x, z) => boolean, false where there's no floor (between
+ *   halls, outside walls); everywhere inside bounds is open when omitted
+ * @param {Array<Object>} options.obstacles - Square obstacles { x, z, halfExtent }
+ * @param {number} options.cellSize - Grid resolution in world units
+ * @param {number} options.clearance - Walker radius added around every obstacle
+ * @returns {Object} - { cellSize, cols, rows, blockedCells, isWalkable, hasLineOfSight, findPath }
+ */
+export const createNavGrid = ({ bounds, isOpen = () => true, obstacles, cellSize, clearance }) => {
+  const { minX, maxX, minZ, maxZ } = bounds;
+  const cols = Math.ceil((maxX - minX) / cellSize);
+  const rows = Math.ceil((maxZ - minZ) / cellSize);
+  const blocked = new Uint8Array(cols * rows);
+
+  // Per-search scratch space, reused via a search stamp instead of clearing
+  const gScore = new Float64Array(cols * rows);
+  const parent = new Int32Array(cols * rows);
+  const openStamp = new Uint32Array(cols * rows);
+  const closedStamp = new Uint32Array(cols * rows);
+  let stamp = 0;
+
+  const toCol = (x) => Math.min(cols - 1, Math.max(0, Math.floor((x - minX) / cellSize)));
+  const toRow = (z) => Math.min(rows - 1, Math.max(0, Math.floor((z - minZ) / cellSize)));
+  const centerX = (col) => minX + (col + 0.5) * cellSize;
+  const centerZ = (row) => minZ + (row + 0.5) * cellSize;
+
+  // Mark every cell whose center has no floor or falls inside an inflated obstacle
+  let blockedCells = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!isOpen(centerX(col), centerZ(row))) {
+        blocked[row * cols + col] = 1;
+        blockedCells += 1;
+      }
+    }
+  }
+  for (const { x, z, halfExtent } of obstacles) {
+    const reach = halfExtent + clearance;
+    for (let col = toCol(x - reach); col <= toCol(x + reach); col++) {
+      for (let row = toRow(z - reach); row <= toRow(z + reach); row++) {
+        if (Math.abs(centerX(col) - x) <= reach && Math.abs(centerZ(row) - z) <= reach) {
+          const index = row * cols + col;
+          if (!blocked[index]) blockedCells += 1;
+          blocked[index] = 1;
+        }
+      }
+    }
+  }
+
+  const inGrid = (col, row) => col >= 0 && col < cols && row >= 0 && row < rows;
+  const walkableCell = (col, row) => inGrid(col, row) && !blocked[row * cols + col];
+
+  /**
+   * Check whether a point is clear of (inflated) obstacles
+   * @param {number} x
+   * @param {number} z
+   * @returns {boolean}
+   */
+  const isWalkable = (x, z) => {
+    if (x < minX || x > maxX || z < minZ || z > maxZ) return false;
+    return !blocked[toRow(z) * cols + toCol(x)];
+  };
+
+  /**
+   * Check that a straight walk between two points stays on walkable cells
+   * @param {Object} from - { x, z }
+   * @param {Object} to - { x, z }
+   * @returns {boolean}
+   */
+  const hasLineOfSight = (from, to) => {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.ceil(distance / (cellSize / 2));
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 1 : i / steps;
+      if (!isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) return false;
+    }
+    return true;
+  };
+
+  // Closest walkable cell to a (possibly blocked) cell, searched in growing rings
+  const snapToWalkable = (col, row) => {
+    if (walkableCell(col, row)) return row * cols + col;
+    for (let radius = 1; radius <= SNAP_RADIUS; radius++) {
+      let best = -1;
+      let bestDistance = Infinity;
+      for (let dc = -radius; dc <= radius; dc++) {
+        for (let dr = -radius; dr <= radius; dr++) {
+          if (Math.max(Math.abs(dc), Math.abs(dr)) !== radius) continue;
+          if (!walkableCell(col + dc, row + dr)) continue;
+          const distance = dc * dc + dr * dr;
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = (row + dr) * cols + col + dc;
+          }
+        }
+      }
+      if (best !== -1) return best;
+    }
+    return -1;
+  };
+
+  // Octile distance - exact for 8-way moves on an empty grid
+  const heuristic = (col, row, goalCol, goalRow) => {
+    const dc = Math.abs(col - goalCol);
+    const dr = Math.abs(row - goalRow);
+    return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+  };
+
+  // Keep only the waypoints needed to stay in line of sight
+  const smoothPath = (start, points) => {
+    const result = [];
+    let anchor = start;
+    let i = 0;
+    while (i < points.length) {
+      let furthest = i;
+      for (let j = points.length - 1; j > i; j--) {
+        if (hasLineOfSight(anchor, points[j])) {
+          furthest = j;
+          break;
+        }
+      }
+      result.push(points[furthest]);
+      anchor = points[furthest];
+      i = furthest + 1;
+    }
+    return result;
+  };
+
+  /**
+   * Find a walkable path between two points
+   * @param {Object} from - { x, z }
+   * @param {Object} to - { x, z } (a blocked goal is moved to the nearest walkable cell)
+   * @returns {Array<Object>|null} - Waypoints { x, z } after the start, or null if unreachable
+   */
+  const findPath = (from, to) => {
+    const start = snapToWalkable(toCol(from.x), toRow(from.z));
+    const goal = snapToWalkable(toCol(to.x), toRow(to.z));
+    if (start === -1 || goal === -1) return null;
+
+    const goalCol = goal % cols;
+    const goalRow = Math.floor(goal / cols);
+    const goalPoint = isWalkable(to.x, to.z) ? { x: to.x, z: to.z } : { x: centerX(goalCol), z: centerZ(goalRow) };
+    if (start === goal) return [goalPoint];
+
+    stamp += 1;
+    const open = createOpenSet();
+    gScore[start] = 0;
+    parent[start] = -1;
+    openStamp[start] = stamp;
+    open.push(heuristic(start % cols, Math.floor(start / cols), goalCol, goalRow), start);
+
+    let expansions = 0;
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closedStamp[current] === stamp) continue; // Stale heap entry
+      if (current === goal) break;
+      closedStamp[current] = stamp;
+      expansions += 1;
+      if (expansions > MAX_EXPANSIONS) return null;
+
+      const col = current % cols;
+      const row = Math.floor(current / cols);
+      for (const [dc, dr, cost] of NEIGHBORS) {
+        const nextCol = col + dc;
+        const nextRow = row + dr;
+        if (!walkableCell(nextCol, nextRow)) continue;
+        // No diagonal corner cutting past a blocked cell
+        if (dc !== 0 && dr !== 0 && (!walkableCell(col + dc, row) || !walkableCell(col, row + dr))) continue;
+        const next = nextRow * cols + nextCol;
+        if (closedStamp[next] === stamp) continue;
+        const tentative = gScore[current] + cost;
+        if (openStamp[next] === stamp && tentative >= gScore[next]) continue;
+        openStamp[next] = stamp;
+        gScore[next] = tentative;
+        parent[next] = current;
+        open.push(tentative + heuristic(nextCol, nextRow, goalCol, goalRow), next);
+      }
+    }
+
+    if (openStamp[goal] !== stamp) return null;
+
+    const cells = [];
+    for (let index = parent[goal]; index !== -1 && index !== start; index = parent[index]) {
+      cells.push({ x: centerX(index % cols), z: centerZ(Math.floor(index / cols)) });
+    }
+    cells.reverse();
+    cells.push(goalPoint);
+    return smoothPath(from, cells);
+  };
+
+  return { cellSize, cols, rows, blockedCells, isWalkable, hasLineOfSight, findPath };
+};
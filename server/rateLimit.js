@@ -0,0 +1,32 @@
+/**
+ * Token bucket rate limiter
+ * Each action takes a token; tokens refill continuously up to the bucket capacity
+ */
+
+/**
+ * Create a token bucket
+ * @param {Object} options
+ * @param {number} options.capacity - Maximum tokens (largest allowed burst)
+ * @param {number} options.refillPerSecond - Tokens added per second
+ * @returns {Object} - { take }
+ */
+export const createTokenBucket = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  /**
+   * Take tokens if enough are available
+   * @param {number} cost - Tokens to take
+   * @returns {boolean} - False when the bucket is empty (action should be refused)
+   */
+  const take = (cost = 1) => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSecond);
+    lastRefill = now;
+    if (tokens < cost) return false;
+    tokens -= cost;
+    return true;
+  };
+
+  return { take };
+};
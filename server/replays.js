@@ -0,0 +1,230 @@
+/**
+ * Session replays
+ * Records each room's snapshots and combat events to a replay file (format in shared/replay.js)
+ *
+ * The folder is scanned once at startup; after that the store keeps its own index of the
+ * files, so starting a recording or listing a room never touches the disk on the game's
+ * event loop. Lines go out through an append stream.
+ */
+import fs from "fs";
+import path from "path";
+import {
+  REPLAY_VERSION,
+  createReplayId,
+  encodeReplayEnemy,
+  encodeReplayPlayer,
+  parseReplayId,
+} from "../shared/replay.js";
+
+const FLUSH_INTERVAL = 1000; // ms - lines are buffered and handed to the stream at most this often
+const MAX_DURATION = 30 * 60 * 1000; // ms - longer sessions continue in a new file
+const DEFAULT_MAX_PER_ROOM = 10; // Files kept per room, its oldest deleted first
+const DEFAULT_MAX_BYTES = 512 * 1024 * 1024; // All rooms together - recording stops at this size
+const DEFAULT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // ms - finished files older than this are deleted
+const FILE_EXTENSION = ".ndjson";
+
+// Joins, leaves and restyles all show up as a different roster line
+const describeRoster = (players) => JSON.stringify(players.map(({ id, name, appearance }) => ({ id, name, appearance })));
+
+// Read the replay files already in the folder, keyed by id
+const loadIndex = (directory) => {
+  const index = new Map();
+  let names;
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    names = fs.readdirSync(directory);
+  } catch (error) {
+    console.error(`Replays: could not read ${directory}`, error);
+    return index;
+  }
+  for (const name of names) {
+    if (!name.endsWith(FILE_EXTENSION)) continue;
+    const id = name.slice(0, -FILE_EXTENSION.length);
+    const parsed = parseReplayId(id);
+    if (!parsed) continue;
+    try {
+      const stats = fs.statSync(path.join(directory, name));
+      index.set(id, { id, ...parsed, updatedAt: stats.mtimeMs, size: stats.size });
+    } catch (error) {
+      // Deleted between listing and stat
+    }
+  }
+  return index;
+};
+
+/**
+ * Create the replay store
+ * @param {Object} options
+ * @param {string} options.directory - Folder the replay files are written to
+ * @param {number} options.maxPerRoom - Files kept per room, oldest deleted first
+ * @param {number} options.maxBytes - Size of all files together; no recording starts or continues past it
+ * @param {number} options.maxAge - Finished files older than this (ms) are deleted
+ * @returns {Object} - { startRecording, list, getFilePath }
+ */
+export const createReplayStore = ({
+  directory,
+  maxPerRoom = DEFAULT_MAX_PER_ROOM,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxAge = DEFAULT_MAX_AGE,
+}) => {
+  const index = loadIndex(directory);
+  const recording = new Set(); // Ids of files a live room is still appending to
+  let totalBytes = Array.from(index.values()).reduce((sum, replay) => sum + replay.size, 0);
+
+  const getFilePath = (id) => (parseReplayId(id) ? path.join(directory, `${id}${FILE_EXTENSION}`) : null);
+
+  /**
+   * Saved replays of one room, newest first
+   * @param {string} room - Room code
+   * @returns {Array<Object>} - { id, room, startedAt, updatedAt, size }
+   */
+  const list = (room) =>
+    Array.from(index.values())
+      .filter((replay) => replay.room === room)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map((replay) => ({ ...replay }));
+
+  const remove = (replay) => {
+    index.delete(replay.id);
+    totalBytes -= replay.size;
+    fs.promises.unlink(getFilePath(replay.id)).catch((error) => {
+      if (error.code !== "ENOENT") {
+        console.error(`Replays: could not delete ${replay.id}`, error);
+      }
+    });
+  };
+
+  // Delete expired files, then the room's oldest beyond its cap (leaving space for one more).
+  // Files still being recorded are never deleted, and one room never deletes another's.
+  const prune = (room) => {
+    const now = Date.now();
+    const finished = Array.from(index.values()).filter((replay) => !recording.has(replay.id));
+    finished.filter((replay) => now - replay.updatedAt > maxAge).forEach(remove);
+
+    const own = list(room);
+    const excess = own.length - Math.max(0, maxPerRoom - 1);
+    if (excess <= 0) return;
+    own
+      .filter((replay) => !recording.has(replay.id))
+      .slice(-excess)
+      .forEach((replay) => remove(index.get(replay.id)));
+  };
+
+  /**
+   * Start recording a room
+   * @param {Object} options
+   * @param {string} options.room - Room code
+   * @param {number} options.time - Room time the recording starts at (ms) - later times are relative to it
+   * @param {number} options.frameInterval - Time between recorded frames (ms)
+   * @param {Object} options.world - { seed } for generated dungeons, or { level } for a fixed level file
+   * @param {Object} options.wave - Wave status at the start
+   * @returns {Object|null} - { id, recordFrame, recordEvent, isFull, close }, null when the folder
+   *   is over its size budget
+   */
+  const startRecording = ({ room, time, frameInterval, world, wave }) => {
+    prune(room);
+    if (totalBytes >= maxBytes) {
+      console.warn(`Replays: ${directory} holds ${totalBytes} bytes (budget ${maxBytes}), not recording ${room}`);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const id = createReplayId(room, startedAt);
+    const entry = { id, room, startedAt, updatedAt: startedAt, size: 0 };
+    const stream = fs.createWriteStream(getFilePath(id), { flags: "a" });
+    let pending = [];
+    let lastRoster = null;
+    let lastTime = 0;
+    let failed = false;
+    let closed = false;
+
+    index.set(id, entry);
+    recording.add(id);
+
+    stream.on("error", (error) => {
+      failed = true;
+      console.error(`Replays: could not write ${id}, recording stopped`, error);
+    });
+
+    const write = (record) => {
+      if (failed || closed) return;
+      pending.push(`${JSON.stringify(record)}\n`);
+    };
+
+    // Hand buffered lines to the stream, stopping the recording once the budget is spent
+    const flush = () => {
+      if (failed || pending.length === 0) return;
+      const chunk = pending.join("");
+      pending = [];
+      const bytes = Buffer.byteLength(chunk);
+      stream.write(chunk);
+      entry.size += bytes;
+      entry.updatedAt = Date.now();
+      totalBytes += bytes;
+      if (totalBytes >= maxBytes && !closed) {
+        console.warn(`Replays: size budget of ${maxBytes} bytes reached, recording ${id} stopped`);
+        close();
+      }
+    };
+
+    const flushTimer = setInterval(flush, FLUSH_INTERVAL);
+
+    /**
+     * Record the room's state
+     * @param {number} roomTime - Room time of the tick (ms)
+     * @param {Array<Object>} players - Connected players (server objects)
+     * @param {Array<Object>} enemies - Public enemy state; dead ones are left out
+     */
+    const recordFrame = (roomTime, players, enemies) => {
+      lastTime = roomTime - time;
+      const roster = describeRoster(players);
+      if (roster !== lastRoster) {
+        lastRoster = roster;
+        write({ type: "roster", t: lastTime, players: JSON.parse(roster) });
+      }
+      write({
+        type: "frame",
+        t: lastTime,
+        players: players.map(encodeReplayPlayer),
+        enemies: enemies.filter((enemy) => enemy.alive).map(encodeReplayEnemy),
+      });
+    };
+
+    /**
+     * Record an attack, death or wave change
+     * @param {number} roomTime - Room time it happened (ms)
+     * @param {Object} event - Record without its time, e.g. { type: "death", playerId, killerId }
+     */
+    const recordEvent = (roomTime, event) => {
+      write({ ...event, t: roomTime - time });
+    };
+
+    const isFull = () => lastTime >= MAX_DURATION;
+
+    // Write what's left, end the stream and stop
+    const close = () => {
+      if (closed) return;
+      clearInterval(flushTimer);
+      closed = true;
+      flush();
+      stream.end();
+      recording.delete(id);
+    };
+
+    write({
+      type: "header",
+      version: REPLAY_VERSION,
+      id,
+      room,
+      startedAt,
+      frameInterval,
+      ...(world.seed === null ? { level: world.level } : { seed: world.seed }),
+      wave,
+    });
+    flush();
+
+    return { id, recordFrame, recordEvent, isFull, close };
+  };
+
+  return { startRecording, list, getFilePath };
+};
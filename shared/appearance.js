@@ -0,0 +1,63 @@
+/**
+ * Player appearance
+ * Body color, head shape, accessory and sword tint - picked on the intro screen, checked by
+ * the server's hello schema and drawn by every client (RemoteAvatar, the local sword)
+ */
+
+// Swatches offered by the editor; any 6-digit hex color is accepted
+export const BODY_COLORS = ["#e05a47", "#f2a541", "#f4d35e", "#2fd36f", "#3bb8a8", "#4a90e2", "#7b61ff", "#d45fb0", "#f5f1e6", "#5b6273"];
+
+export const HEAD_SHAPES = ["round", "box", "cone", "helm"];
+
+export const ACCESSORIES = ["none", "horns", "halo", "crest", "antenna"];
+
+// Blade colors by name - the name is what goes over the wire
+export const SWORD_TINTS = {
+  steel: "#c0c0c0",
+  gold: "#e3b448",
+  bronze: "#b8733e",
+  obsidian: "#3b3946",
+  frost: "#9fd8ff",
+  ember: "#e0582c",
+};
+
+const APPEARANCE_KEYS = ["body", "head", "accessory", "sword"];
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Check an appearance from the network or storage
+ * @param {*} value - Candidate { body, head, accessory, sword }
+ * @returns {boolean} - True when every field is present and known, with no extra fields
+ */
+export const isValidAppearance = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).length === APPEARANCE_KEYS.length &&
+  APPEARANCE_KEYS.every((key) => key in value) &&
+  typeof value.body === "string" &&
+  HEX_COLOR_PATTERN.test(value.body) &&
+  HEAD_SHAPES.includes(value.head) &&
+  ACCESSORIES.includes(value.accessory) &&
+  Object.hasOwn(SWORD_TINTS, value.sword);
+
+/**
+ * Default look for a player who hasn't customized - a random body swatch, everything else plain
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} - { body, head, accessory, sword }
+ */
+export const createDefaultAppearance = (random = Math.random) => ({
+  body: BODY_COLORS[Math.floor(random() * BODY_COLORS.length)],
+  head: HEAD_SHAPES[0],
+  accessory: ACCESSORIES[0],
+  sword: "steel",
+});
+
+/**
+ * Compare two appearances field by field
+ * @param {Object} a - Appearance
+ * @param {Object} b - Appearance
+ * @returns {boolean} - True when they look the same (body colors compare case-insensitively)
+ */
+export const isSameAppearance = (a, b) =>
+  a.body.toLowerCase() === b.body.toLowerCase() && a.head === b.head && a.accessory === b.accessory && a.sword === b.sword;
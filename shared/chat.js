@@ -0,0 +1,28 @@
+/**
+ * Chat message rules
+ * Shared by the server message schema and the client chat box so both agree on what
+ * a sendable message is
+ */
+
+export const MAX_CHAT_LENGTH = 200; // characters, after trimming
+
+// C0/C1 control characters, plus line and paragraph separators - chat is one line
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u2028\u2029]/;
+
+/**
+ * Tidy typed text for sending - trims the ends and collapses runs of whitespace
+ * @param {string} text - Raw text from the chat box
+ * @returns {string} - Text as the server will broadcast it (before word filtering)
+ */
+export const normalizeChatText = (text) => text.trim().replace(/\s+/g, " ");
+
+/**
+ * Validate chat text as the client sends it
+ * @param {*} text - Field value from a chat message
+ * @returns {boolean} - True for a non-blank, single-line string of at most MAX_CHAT_LENGTH characters
+ */
+export const isValidChatText = (text) =>
+  typeof text === "string" &&
+  text.length <= MAX_CHAT_LENGTH &&
+  text.trim().length > 0 &&
+  !CONTROL_CHARACTERS.test(text);
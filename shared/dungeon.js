@@ -0,0 +1,179 @@
+/**
+ * Dungeon generator
+ * Lays out a chain of rooms joined by corridors from a seed, as level data in the
+ * shared/world.js format. The server picks a seed per room and sends it in the welcome;
+ * every client runs the same generator on it, so all of them build the same dungeon and
+ * the server places enemies in the layout the players see.
+ *
+ * Every random choice is drawn from one seededRandom stream in a fixed order, and sizes
+ * are rounded to whole steps, so the output depends only on the seed.
+ */
+import { seededRandom } from "./random.js";
+
+export const MAX_DUNGEON_SEED = 999999;
+
+const SEED_STRIDE = 1000; // Stream positions per seed - room for every draw one dungeon makes
+const SIZE_STEP = 10; // units - hall sizes and spacings are rounded to this
+
+// Rooms
+const ROOM_COUNT = [3, 5];
+const ROOM_WIDTH = [400, 900]; // Start room stays wider than two enemy spawn radii plus margins
+const ROOM_LENGTH = [400, 1000];
+const ROOM_HEIGHT = [140, 180]; // Above the doorway arch (TOTAL_DOOR_HEIGHT 125)
+const ROOM_NAMES = ["Crypt", "Ossuary", "Chapter House", "Sacristy", "Undercroft", "Chancel", "Reliquary", "Baptistery"];
+
+// Corridors
+const CORRIDOR_WIDTH = [100, 160]; // Wider than a doorway (DOOR_WIDTH 70)
+const CORRIDOR_LENGTH = [150, 350];
+const CORRIDOR_HEIGHT = 140;
+const CORRIDOR_NAMES = ["Passage", "Cloister Walk", "Gallery", "Narthex", "Ambulatory"];
+
+// Columns - grids keep a center aisle clear for the doorways; pillar pairs stand well off it
+const COLUMN_SPACING = [150, 220];
+const COLUMN_AISLE = 40;
+const PILLAR_ROWS = [1, 3];
+
+// Lights - kept small so a room plus its neighbours fits the renderer's light pools
+const CEILING_LIGHT_SPACING = 320; // units along the room between rows of ceiling lights
+const SCONCE_SPACING = 350;
+const MAX_LIGHT_ROWS = 3;
+
+// Enemies spawn in a ring around the start room's center, like the cathedral
+const ENEMY_BOUNDARY_MARGIN = 40;
+const ENEMY_SPAWN_RING = { minRadius: 75, maxRadius: 150 };
+
+// Draws from a seeded stream
+const createStream = (seed) => {
+  let index = 0;
+  const next = () => seededRandom(seed * SEED_STRIDE + index++);
+  return {
+    next,
+    int: ([min, max]) => min + Math.floor(next() * (max - min + 1)),
+    size: ([min, max]) => Math.round((min + next() * (max - min)) / SIZE_STEP) * SIZE_STEP,
+    chance: (probability) => next() < probability,
+    // Take a random entry out of a list (so names don't repeat)
+    take: (list) => list.splice(Math.floor(next() * list.length), 1)[0],
+  };
+};
+
+// Evenly spaced offsets along a length, centered on 0
+const spreadAlong = (length, spacing, maxCount) => {
+  const count = Math.max(1, Math.min(maxCount, Math.floor(length / spacing)));
+  return Array.from({ length: count }, (_, i) => Math.round(((i + 0.5) / count - 0.5) * length));
+};
+
+const createRoomColumns = (random, width, length) => {
+  const style = random.int([0, 2]);
+  if (style === 0) {
+    return [];
+  }
+  if (style === 1) {
+    return [{
+      type: "grid",
+      spacingX: random.size(COLUMN_SPACING),
+      spacingZ: random.size(COLUMN_SPACING),
+      insetX: 80,
+      insetZ: 100,
+      centerWalkway: COLUMN_AISLE,
+    }];
+  }
+  // Pillar pairs either side of the aisle
+  const x = Math.round(width / 4);
+  const rows = spreadAlong(length * 0.6, length / 4, random.int(PILLAR_ROWS));
+  return [{ type: "points", positions: rows.flatMap((z) => [[-x, z], [x, z]]) }];
+};
+
+const createRoom = (random, id, name) => {
+  const width = random.size(ROOM_WIDTH);
+  const length = random.size(ROOM_LENGTH);
+  const lightRows = spreadAlong(length, CEILING_LIGHT_SPACING, MAX_LIGHT_ROWS);
+  const sconceRows = spreadAlong(length, SCONCE_SPACING, MAX_LIGHT_ROWS);
+  return {
+    id,
+    name,
+    width,
+    length,
+    height: random.size(ROOM_HEIGHT),
+    columns: createRoomColumns(random, width, length),
+    doorways: [],
+    lights: {
+      ceiling: lightRows.flatMap((z) => [{ x: -Math.round(width / 4), z }, { x: Math.round(width / 4), z }]),
+      sconces: sconceRows.flatMap((z) => [{ wall: "left", z }, { wall: "right", z }]),
+    },
+    decorations: {
+      ribSpacing: random.size([120, 200]),
+      cracksPerWall: random.int([4, 12]),
+      bands: random.chance(0.7),
+      beams: {
+        transverseSpacing: random.size([150, 250]),
+        longitudinalSpacing: width > 500 ? random.size([100, 160]) : 0,
+      },
+    },
+  };
+};
+
+const createCorridor = (random, id, name) => {
+  const length = random.size(CORRIDOR_LENGTH);
+  return {
+    id,
+    name,
+    width: random.size(CORRIDOR_WIDTH),
+    length,
+    height: CORRIDOR_HEIGHT,
+    doorways: [],
+    lights: {
+      sconces: spreadAlong(length, SCONCE_SPACING / 2, 2).map((z, i) => ({ wall: i % 2 === 0 ? "left" : "right", z })),
+    },
+    decorations: {
+      ribSpacing: 100,
+      cracksPerWall: random.int([2, 6]),
+      bands: random.chance(0.5),
+      beams: { transverseSpacing: 100 },
+    },
+  };
+};
+
+/**
+ * Generate a dungeon level from a seed
+ * Rooms and corridors alternate along z, joined through their back and front doorways;
+ * the ends of the chain get a sealed doorway or a plain wall. Players and enemies start in
+ * the first room.
+ * @param {number} seed - Integer from 1 to MAX_DUNGEON_SEED
+ * @returns {Object} - Level data (validate and expand it with parseLevel)
+ */
+export const generateDungeon = (seed) => {
+  const random = createStream(seed);
+  const roomNames = [...ROOM_NAMES];
+  const corridorNames = [...CORRIDOR_NAMES];
+  const roomCount = random.int(ROOM_COUNT);
+
+  const halls = [];
+  for (let i = 1; i <= roomCount; i++) {
+    if (i > 1) {
+      const name = corridorNames.length > 0 ? random.take(corridorNames) : "Passage";
+      halls.push(createCorridor(random, `corridor-${i - 1}`, name));
+    }
+    halls.push(createRoom(random, `room-${i}`, random.take(roomNames)));
+  }
+
+  // Chain the halls, back doorway to front doorway
+  for (let i = 1; i < halls.length; i++) {
+    halls[i - 1].doorways.push({ wall: "back", to: halls[i].id });
+    halls[i].doorways.push({ wall: "front", to: halls[i - 1].id });
+  }
+  if (random.chance(0.5)) halls[0].doorways.push({ wall: "front" });
+  if (random.chance(0.5)) halls[halls.length - 1].doorways.push({ wall: "back" });
+
+  const startRoom = halls[0];
+  return {
+    id: `dungeon-${seed}`,
+    name: `${startRoom.name} Dungeon`,
+    seed,
+    halls,
+    playerSpawns: [{ hall: startRoom.id, x: 0, z: 0, radius: 3 }],
+    enemies: {
+      boundaryMargin: ENEMY_BOUNDARY_MARGIN,
+      spawnZones: [{ hall: startRoom.id, x: 0, z: 0, ...ENEMY_SPAWN_RING }],
+    },
+  };
+};
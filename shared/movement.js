@@ -0,0 +1,75 @@
+/**
+ * Player movement rules
+ * Shared by the server simulation and client-side prediction so both integrate
+ * input commands identically
+ */
+import { getWalkableAreas } from "./world.js";
+
+export const MAX_SPEED = 8; // units per second
+export const BOUNDARY_MARGIN = 1.2; // units - keep players this far inside hall walls and doorway frames
+export const MAX_INPUT_DT = 0.1; // seconds - longer frames are split client-side, rejected server-side
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Walkable areas for players - halls and doorway passages (getWalkableAreas in shared/world.js)
+ * @param {Object} level - Parsed level
+ * @returns {Array<Object>} - { minX, maxX, minZ, maxZ } areas
+ */
+export const getPlayerAreas = (level) =>
+  getWalkableAreas(level, { wallMargin: BOUNDARY_MARGIN, doorMargin: BOUNDARY_MARGIN });
+
+/**
+ * Clamp a position to the nearest walkable area
+ * Moves are small, so the nearest area is the one the position just left or one overlapping it
+ * @param {Object} position - { x, z } (mutated in place)
+ * @param {Array<Object>} areas - { minX, maxX, minZ, maxZ } areas
+ * @returns {Object} - The clamped position
+ */
+export const clampToAreas = (position, areas) => {
+  let bestX = position.x;
+  let bestZ = position.z;
+  let bestDistance = Infinity;
+  for (const area of areas) {
+    const x = clamp(position.x, area.minX, area.maxX);
+    const z = clamp(position.z, area.minZ, area.maxZ);
+    const distance = (x - position.x) ** 2 + (z - position.z) ** 2;
+    if (distance === 0) return position;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestX = x;
+      bestZ = z;
+    }
+  }
+  position.x = bestX;
+  position.z = bestZ;
+  return position;
+};
+
+/**
+ * Check an input command from the network
+ * @param {Object} input - { seq, x, z, dt }
+ * @returns {boolean} - True when the command is well formed and within limits
+ */
+export const isValidMoveInput = (input) =>
+  Number.isInteger(input?.seq) &&
+  input.seq > 0 &&
+  Number.isFinite(input.x) &&
+  Number.isFinite(input.z) &&
+  Number.isFinite(input.dt) &&
+  input.dt >= 0 &&
+  input.dt <= MAX_INPUT_DT &&
+  input.x * input.x + input.z * input.z <= 1.0001;
+
+/**
+ * Advance a position by one input command
+ * @param {Object} position - { x, z } (mutated in place)
+ * @param {Object} input - { x, z, dt } world-space move direction (length <= 1) and frame time in seconds
+ * @param {Array<Object>} areas - Walkable areas from getPlayerAreas
+ * @returns {Object} - The moved position
+ */
+export const applyMoveInput = (position, input, areas) => {
+  position.x += input.x * MAX_SPEED * input.dt;
+  position.z += input.z * MAX_SPEED * input.dt;
+  return clampToAreas(position, areas);
+};
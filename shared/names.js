@@ -0,0 +1,18 @@
+/**
+ * Player name rules
+ * Shared by the server, which sanitizes every name it is sent, and the intro prompt
+ */
+
+export const MAX_NAME_LENGTH = 20; // characters
+export const MAX_NAME_INPUT_LENGTH = 64; // characters - longer hello messages are rejected outright
+
+// C0/C1 control characters, line and paragraph separators, and zero-width/bidi formatting
+const HIDDEN_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u2064\ufeff]/g;
+
+/**
+ * Tidy a requested name - drops hidden characters, collapses whitespace and cuts it to MAX_NAME_LENGTH
+ * @param {string} name - Name as typed
+ * @returns {string} - Cleaned name, empty when nothing usable was left
+ */
+export const normalizeName = (name) =>
+  name.replace(HIDDEN_CHARACTERS, "").replace(/\s+/g, " ").trim().slice(0, MAX_NAME_LENGTH).trim();
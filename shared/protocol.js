@@ -0,0 +1,412 @@
+/**
+ * Snapshot wire protocol
+ * Versioned binary encoding for player/enemy state, shared by server.js and useMultiplayer
+ *
+ * Frame layout (little-endian):
+ *   u8  version          PROTOCOL_VERSION
+ *   u8  message type     MESSAGE_SNAPSHOT
+ *   u32 seq              Server tick that produced the snapshot
+ *   u32 baseline seq     Tick this frame is a delta against (0 = full snapshot)
+ *   u32 time             Server time of the tick, ms since the room was created
+ *   u32 input ack        Last movement input seq the server applied for the receiving player
+ *   then for each entity kind (players, enemies):
+ *     u16 changed count, then per entity: u16 netId, u8 field mask, masked fields
+ *     u16 removed count, then per entity: u16 netId
+ *
+ * Positions are int32 at 1/20 unit (vec3, 12 bytes); rotations are int16 quaternion components
+ * (quat, 8 bytes).
+ *
+ * Entities are stored quantized (see quantizePlayer/quantizeEnemy) so the server can
+ * diff exactly what the client will decode, and unchanged fields cost nothing.
+ */
+
+export const PROTOCOL_VERSION = 4;
+export const MESSAGE_SNAPSHOT = 1;
+
+// Positions: 1/20 unit (5 cm) precision; int32 covers +-107 million units, far past any level
+const POSITION_SCALE = 20;
+const ROTATION_SCALE = 32767;
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+// Largest coordinate (units, either sign) a position can hold on the wire
+export const POSITION_RANGE = INT32_MAX / POSITION_SCALE;
+const HEADER_BYTES = 18;
+
+const FLAG_ALIVE = 1;
+const FLAG_WINDUP = 2;
+
+// Field schemas per entity kind - order defines the mask bit
+const PLAYER_FIELDS = [
+  { key: "position", type: "vec3" },
+  { key: "rotation", type: "quat" },
+  { key: "health", type: "u16" },
+  { key: "flags", type: "u8" },
+  { key: "meta", type: "json" }, // Rarely changing descriptive fields (id, name, color, appearance)
+];
+
+const ENEMY_FIELDS = [
+  { key: "position", type: "vec3" },
+  { key: "health", type: "u16" },
+  { key: "flags", type: "u8" },
+  { key: "meta", type: "json" }, // id, faceIndex, maxHealth
+];
+
+const ENTITY_KINDS = [
+  { key: "players", fields: PLAYER_FIELDS },
+  { key: "enemies", fields: ENEMY_FIELDS },
+];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const clampInt16 = (value) => Math.max(INT16_MIN, Math.min(INT16_MAX, Math.round(value)));
+const clampInt32 = (value) => Math.max(INT32_MIN, Math.min(INT32_MAX, Math.round(value)));
+const finiteOr = (value, fallback) => (Number.isFinite(value) ? value : fallback);
+
+/**
+ * Whether every position inside a level's bounds survives the wire encoding unclamped
+ * @param {Object} bounds - { minX, maxX, minZ, maxZ } from parseLevel
+ * @returns {boolean}
+ */
+export const fitsPositionRange = ({ minX, maxX, minZ, maxZ }) =>
+  [minX, maxX, minZ, maxZ].every((value) => Number.isFinite(value) && Math.abs(value) <= POSITION_RANGE);
+
+const quantizePosition = (position) => [
+  clampInt32(finiteOr(position?.x, 0) * POSITION_SCALE),
+  clampInt32(finiteOr(position?.y, 0) * POSITION_SCALE),
+  clampInt32(finiteOr(position?.z, 0) * POSITION_SCALE),
+];
+
+const quantizeRotation = (rotation) => [
+  clampInt16(finiteOr(rotation?.x, 0) * ROTATION_SCALE),
+  clampInt16(finiteOr(rotation?.y, 0) * ROTATION_SCALE),
+  clampInt16(finiteOr(rotation?.z, 0) * ROTATION_SCALE),
+  clampInt16(finiteOr(rotation?.w, 1) * ROTATION_SCALE),
+];
+
+const dequantizePosition = ([x, y, z]) => ({
+  x: x / POSITION_SCALE,
+  y: y / POSITION_SCALE,
+  z: z / POSITION_SCALE,
+});
+
+const dequantizeRotation = ([x, y, z, w]) => ({
+  x: x / ROTATION_SCALE,
+  y: y / ROTATION_SCALE,
+  z: z / ROTATION_SCALE,
+  w: w / ROTATION_SCALE,
+});
+
+const clampU16 = (value) => Math.max(0, Math.min(0xffff, Math.round(finiteOr(value, 0))));
+
+/**
+ * Quantize a broadcast player state ({ id, name, color, appearance, position, rotation, health, alive })
+ * @param {Object} player - Player state
+ * @returns {Object} - Quantized record keyed by PLAYER_FIELDS
+ */
+export const quantizePlayer = (player) => ({
+  position: quantizePosition(player.position),
+  rotation: quantizeRotation(player.rotation),
+  health: clampU16(player.health),
+  flags: player.alive ? FLAG_ALIVE : 0,
+  meta: JSON.stringify({ id: player.id, name: player.name, color: player.color, appearance: player.appearance }),
+});
+
+/**
+ * Quantize a broadcast enemy state ({ id, x, y, z, alive, health, maxHealth, windup, faceIndex })
+ * @param {Object} enemy - Enemy state
+ * @returns {Object} - Quantized record keyed by ENEMY_FIELDS
+ */
+export const quantizeEnemy = (enemy) => ({
+  position: quantizePosition(enemy),
+  health: clampU16(enemy.health),
+  flags: (enemy.alive ? FLAG_ALIVE : 0) | (enemy.windup ? FLAG_WINDUP : 0),
+  meta: JSON.stringify({ id: enemy.id, faceIndex: enemy.faceIndex, maxHealth: enemy.maxHealth }),
+});
+
+/**
+ * Turn a quantized player record back into the JSON broadcast shape
+ * @param {Object} record - Quantized player
+ * @returns {Object} - { id, name, color, appearance, position, rotation, health, alive }
+ */
+export const dequantizePlayer = (record) => ({
+  ...JSON.parse(record.meta),
+  position: dequantizePosition(record.position),
+  rotation: dequantizeRotation(record.rotation),
+  health: record.health,
+  alive: Boolean(record.flags & FLAG_ALIVE),
+});
+
+/**
+ * Turn a quantized enemy record back into the JSON broadcast shape
+ * @param {Object} record - Quantized enemy
+ * @returns {Object} - { id, x, y, z, alive, health, maxHealth, windup, faceIndex }
+ */
+export const dequantizeEnemy = (record) => {
+  const { x, y, z } = dequantizePosition(record.position);
+  return {
+    ...JSON.parse(record.meta),
+    x,
+    y,
+    z,
+    health: record.health,
+    alive: Boolean(record.flags & FLAG_ALIVE),
+    windup: Boolean(record.flags & FLAG_WINDUP),
+  };
+};
+
+const fieldEquals = (a, b) => {
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((value, index) => value === b[index]);
+  }
+  return a === b;
+};
+
+/**
+ * Compute per-kind changes between two quantized snapshots
+ * @param {Object|null} baseline - { players: Map, enemies: Map } or null for a full snapshot
+ * @param {Object} current - { players: Map, enemies: Map } keyed by netId
+ * @returns {Object} - { players: { changed, removed }, enemies: { changed, removed }, empty }
+ */
+export const diffSnapshots = (baseline, current) => {
+  const delta = { empty: true };
+  for (const { key, fields } of ENTITY_KINDS) {
+    const before = baseline?.[key] ?? new Map();
+    const after = current[key];
+    const changed = [];
+    const removed = [];
+
+    for (const [netId, record] of after) {
+      const previous = before.get(netId);
+      let mask = 0;
+      fields.forEach((field, bit) => {
+        if (!previous || !fieldEquals(previous[field.key], record[field.key])) {
+          mask |= 1 << bit;
+        }
+      });
+      if (mask) {
+        changed.push({ netId, mask, record });
+      }
+    }
+    for (const netId of before.keys()) {
+      if (!after.has(netId)) {
+        removed.push(netId);
+      }
+    }
+
+    if (changed.length || removed.length) {
+      delta.empty = false;
+    }
+    delta[key] = { changed, removed };
+  }
+  return delta;
+};
+
+const FIELD_SIZES = { vec3: 12, quat: 8, u16: 2, u8: 1 };
+
+const measureDelta = (delta) => {
+  let size = HEADER_BYTES;
+  const encodedMeta = new Map();
+  for (const { key, fields } of ENTITY_KINDS) {
+    size += 4 + delta[key].removed.length * 2;
+    for (const entry of delta[key].changed) {
+      size += 3;
+      fields.forEach((field, bit) => {
+        if (!(entry.mask & (1 << bit))) return;
+        if (field.type === "json") {
+          const bytes = textEncoder.encode(entry.record[field.key]);
+          encodedMeta.set(entry, bytes);
+          size += 2 + bytes.length;
+        } else {
+          size += FIELD_SIZES[field.type];
+        }
+      });
+    }
+  }
+  return { size, encodedMeta };
+};
+
+/**
+ * Encode a snapshot delta into a binary frame
+ * @param {Object} options
+ * @param {number} options.seq - Tick of this snapshot
+ * @param {number} options.baselineSeq - Tick the delta is against (0 for full)
+ * @param {number} options.time - Server time of the tick (ms since room creation)
+ * @param {number} options.inputAck - Last input seq applied for the receiving player
+ * @param {Object} options.delta - Result of diffSnapshots
+ * @returns {ArrayBuffer}
+ */
+export const encodeSnapshot = ({ seq, baselineSeq, time, inputAck = 0, delta }) => {
+  const { size, encodedMeta } = measureDelta(delta);
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let offset = 0;
+
+  view.setUint8(offset, PROTOCOL_VERSION);
+  view.setUint8(offset + 1, MESSAGE_SNAPSHOT);
+  view.setUint32(offset + 2, seq, true);
+  view.setUint32(offset + 6, baselineSeq, true);
+  view.setUint32(offset + 10, time, true);
+  view.setUint32(offset + 14, inputAck, true);
+  offset += HEADER_BYTES;
+
+  for (const { key, fields } of ENTITY_KINDS) {
+    const { changed, removed } = delta[key];
+    view.setUint16(offset, changed.length, true);
+    offset += 2;
+    for (const entry of changed) {
+      view.setUint16(offset, entry.netId, true);
+      view.setUint8(offset + 2, entry.mask);
+      offset += 3;
+      fields.forEach((field, bit) => {
+        if (!(entry.mask & (1 << bit))) return;
+        const value = entry.record[field.key];
+        switch (field.type) {
+          case "vec3":
+            value.forEach((component) => {
+              view.setInt32(offset, component, true);
+              offset += 4;
+            });
+            break;
+          case "quat":
+            value.forEach((component) => {
+              view.setInt16(offset, component, true);
+              offset += 2;
+            });
+            break;
+          case "u16":
+            view.setUint16(offset, value, true);
+            offset += 2;
+            break;
+          case "u8":
+            view.setUint8(offset, value);
+            offset += 1;
+            break;
+          case "json": {
+            const encoded = encodedMeta.get(entry);
+            view.setUint16(offset, encoded.length, true);
+            bytes.set(encoded, offset + 2);
+            offset += 2 + encoded.length;
+            break;
+          }
+          default:
+            break;
+        }
+      });
+    }
+    view.setUint16(offset, removed.length, true);
+    offset += 2;
+    for (const netId of removed) {
+      view.setUint16(offset, netId, true);
+      offset += 2;
+    }
+  }
+
+  return buffer;
+};
+
+/**
+ * Read the header of a binary frame without decoding the body
+ * @param {ArrayBuffer} buffer - Received frame
+ * @returns {Object|null} - { version, type, seq, baselineSeq, time, inputAck } or null if malformed
+ */
+export const readFrameHeader = (buffer) => {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_BYTES) {
+    return null;
+  }
+  const view = new DataView(buffer);
+  return {
+    version: view.getUint8(0),
+    type: view.getUint8(1),
+    seq: view.getUint32(2, true),
+    baselineSeq: view.getUint32(6, true),
+    time: view.getUint32(10, true),
+    inputAck: view.getUint32(14, true),
+  };
+};
+
+/**
+ * Decode a snapshot frame, applying it on top of its baseline
+ * @param {ArrayBuffer} buffer - Received frame
+ * @param {Object|null} baseline - Previously decoded snapshot for header.baselineSeq (null for full)
+ * @returns {Object} - { seq, time, inputAck, players: Map, enemies: Map } of quantized records keyed by netId
+ */
+export const decodeSnapshot = (buffer, baseline) => {
+  const header = readFrameHeader(buffer);
+  if (!header || header.version !== PROTOCOL_VERSION || header.type !== MESSAGE_SNAPSHOT) {
+    throw new Error("Unsupported snapshot frame");
+  }
+  if (header.baselineSeq && !baseline) {
+    throw new Error(`Missing baseline snapshot ${header.baselineSeq}`);
+  }
+
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const snapshot = { seq: header.seq, time: header.time, inputAck: header.inputAck };
+  let offset = HEADER_BYTES;
+
+  for (const { key, fields } of ENTITY_KINDS) {
+    const entities = new Map(header.baselineSeq ? baseline?.[key] : undefined);
+    const changedCount = view.getUint16(offset, true);
+    offset += 2;
+    for (let i = 0; i < changedCount; i++) {
+      const netId = view.getUint16(offset, true);
+      const mask = view.getUint8(offset + 2);
+      offset += 3;
+      const record = { ...entities.get(netId) };
+      fields.forEach((field, bit) => {
+        if (!(mask & (1 << bit))) return;
+        switch (field.type) {
+          case "vec3": {
+            const components = [];
+            for (let c = 0; c < 3; c++) {
+              components.push(view.getInt32(offset, true));
+              offset += 4;
+            }
+            record[field.key] = components;
+            break;
+          }
+          case "quat": {
+            const components = [];
+            for (let c = 0; c < 4; c++) {
+              components.push(view.getInt16(offset, true));
+              offset += 2;
+            }
+            record[field.key] = components;
+            break;
+          }
+          case "u16":
+            record[field.key] = view.getUint16(offset, true);
+            offset += 2;
+            break;
+          case "u8":
+            record[field.key] = view.getUint8(offset);
+            offset += 1;
+            break;
+          case "json": {
+            const length = view.getUint16(offset, true);
+            record[field.key] = textDecoder.decode(bytes.subarray(offset + 2, offset + 2 + length));
+            offset += 2 + length;
+            break;
+          }
+          default:
+            break;
+        }
+      });
+      entities.set(netId, record);
+    }
+    const removedCount = view.getUint16(offset, true);
+    offset += 2;
+    for (let i = 0; i < removedCount; i++) {
+      entities.delete(view.getUint16(offset, true));
+      offset += 2;
+    }
+    snapshot[key] = entities;
+  }
+
+  return snapshot;
+};
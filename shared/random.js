@@ -0,0 +1,15 @@
+/**
+ * Seeded randomness
+ * Shared by the renderer (column tilt, wall cracks) and the dungeon generator, which the
+ * server and every client run on the same seed
+ */
+
+/**
+ * Seeded random number generator for consistent procedural generation
+ * @param {number} seed - Seed value
+ * @returns {number} - Pseudo-random value in [0, 1)
+ */
+export const seededRandom = (seed) => {
+  const x = Math.sin(seed * 12.9898 + seed * 78.233) * 43758.5453;
+  return x - Math.floor(x);
+};
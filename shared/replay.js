@@ -0,0 +1,139 @@
+/**
+ * Replay file format
+ * Session recordings written by the server (server/replays.js) and played back by the replay viewer
+ *
+ * A replay is newline-delimited JSON, one record per line, times in ms since the recording started:
+ *   { type: "header", version, id, room, startedAt, frameInterval, wave, seed | level }    frameInterval is the ms between frames
+ *   { type: "roster", t, players: [{ id, name, appearance }] }    whenever someone joins, leaves or changes look
+ *   { type: "frame", t, players: [PLAYER_TUPLE...], enemies: [ENEMY_TUPLE...] }
+ *   { type: "attack", t, playerId, enemyId, hit, damage, killed } or { ..., hit: false, reason }
+ *   { type: "death", t, playerId, killerId }
+ *   { type: "wave", t, wave, state }
+ *
+ * Frames are tuples rather than objects to keep hour-long files small:
+ *   player: [id, x, y, z, qx, qy, qz, qw, health, alive (0/1)]
+ *   enemy:  [id, x, y, z, health, maxHealth, faceIndex, windup (0/1)] - living enemies only
+ * The file is appended to while the room runs, so a reader can meet a cut-off last line.
+ */
+
+export const REPLAY_VERSION = 1;
+
+// Room code, then the recording's start time in epoch ms ("lobby-1792367701123")
+export const REPLAY_ID_PATTERN = /^([a-z0-9-]{1,32})-(\d{13})$/;
+
+const round = (value, digits) => {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+};
+
+/**
+ * Build a replay id
+ * @param {string} roomCode - Room being recorded
+ * @param {number} startedAt - Epoch ms
+ * @returns {string} - Id matching REPLAY_ID_PATTERN
+ */
+export const createReplayId = (roomCode, startedAt) => `${roomCode}-${String(Math.floor(startedAt)).padStart(13, "0")}`;
+
+/**
+ * Split a replay id into its parts
+ * @param {string} id - Candidate id
+ * @returns {Object|null} - { room, startedAt }, null when the id isn't valid
+ */
+export const parseReplayId = (id) => {
+  const match = typeof id === "string" ? REPLAY_ID_PATTERN.exec(id) : null;
+  return match ? { room: match[1], startedAt: Number(match[2]) } : null;
+};
+
+/**
+ * Frame tuple for a player (positions to 1 cm, rotations to 3 decimals)
+ * @param {Object} player - Server player with position, rotation, health and alive
+ * @returns {Array} - PLAYER_TUPLE
+ */
+export const encodeReplayPlayer = ({ id, position, rotation, health, alive }) => [
+  id,
+  round(position.x, 2),
+  round(position.y, 2),
+  round(position.z, 2),
+  round(rotation?.x ?? 0, 3),
+  round(rotation?.y ?? 0, 3),
+  round(rotation?.z ?? 0, 3),
+  round(rotation?.w ?? 1, 3),
+  health,
+  alive ? 1 : 0,
+];
+
+/**
+ * Frame tuple for an enemy
+ * @param {Object} enemy - Public enemy state (see toEnemyState in server.js)
+ * @returns {Array} - ENEMY_TUPLE
+ */
+export const encodeReplayEnemy = ({ id, x, y, z, health, maxHealth, faceIndex, windup }) => [
+  id,
+  round(x, 2),
+  round(y, 2),
+  round(z, 2),
+  health,
+  maxHealth,
+  faceIndex,
+  windup ? 1 : 0,
+];
+
+const decodePlayer = ([id, x, y, z, qx, qy, qz, qw, health, alive]) => [
+  id,
+  { id, x, y, z, rotation: { x: qx, y: qy, z: qz, w: qw }, health, alive: alive === 1 },
+];
+
+const decodeEnemy = ([id, x, y, z, health, maxHealth, faceIndex, windup]) => [
+  id,
+  { id, x, y, z, rotation: null, health, maxHealth, faceIndex, windup: windup === 1, alive: true },
+];
+
+/**
+ * Read a replay file
+ * Lines that don't parse (the one being written when the file was read) are skipped.
+ * @param {string} text - File contents
+ * @returns {Object} - { header, frames, events, roster, duration } - frames are { t, players, enemies }
+ *   with Maps keyed by id, oldest first; events are the attack/death/wave records; roster maps
+ *   player ids to the last { name, appearance } they were recorded with
+ * @throws {Error} - When the header is missing or from an unknown version
+ */
+export const parseReplay = (text) => {
+  let header = null;
+  const frames = [];
+  const events = [];
+  const roster = new Map();
+
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if (!header) {
+      if (record?.type !== "header") throw new Error("Replay has no header");
+      if (record.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${record.version}`);
+      header = record;
+      continue;
+    }
+    if (record.type === "frame") {
+      const last = frames[frames.length - 1];
+      if (last && record.t <= last.t) continue;
+      frames.push({
+        t: record.t,
+        players: new Map((record.players ?? []).map(decodePlayer)),
+        enemies: new Map((record.enemies ?? []).map(decodeEnemy)),
+      });
+    } else if (record.type === "roster") {
+      for (const { id, name, appearance } of record.players ?? []) {
+        roster.set(id, { name: name ?? null, appearance });
+      }
+    } else if (record.type === "attack" || record.type === "death" || record.type === "wave") {
+      events.push(record);
+    }
+  }
+
+  if (!header) throw new Error("Replay is empty");
+  return { header, frames, events, roster, duration: frames.length ? frames[frames.length - 1].t : 0 };
+};
@@ -0,0 +1,416 @@
+/**
+ * World definition
+ * Level format shared by the client (World.jsx renders it) and the server (enemy spawns,
+ * bounds and navigation), so both build the same halls from the same level file.
+ *
+ * Levels are JSON files in shared/levels/ - see cathedral.json for the full format. All
+ * positions and sizes are in world units; HALL_SCALE only sizes architectural detail
+ * (wall thickness, doorways, column pieces) that levels don't describe.
+ *
+ * Halls join through doorways on their front (-z) and back (+z) walls. Linked halls are
+ * laid out end to end along z, so walking through a doorway is ordinary movement from one
+ * hall's floor into the next - getWalkableAreas gives the shapes movement is clamped to.
+ */
+
+// ============================================================================
+// Architecture Scale
+// ============================================================================
+export const HALL_SCALE = 5;
+export const SCALE = (value) => value * HALL_SCALE;
+
+// ============================================================================
+// Walls and Doorways
+// ============================================================================
+export const WALL_THICKNESS = SCALE(1.6);
+export const DOOR_WIDTH = SCALE(14); // Opening players and enemies pass through
+export const HALL_GAP = WALL_THICKNESS * 2; // Linked halls stand back to back, each with its own end wall
+
+// ============================================================================
+// Columns
+// ============================================================================
+// Column footprint in unscaled hall units - Columns.jsx builds the plinth and abacus this wide
+export const COLUMN_BASE_WIDTH = 7.0;
+export const COLUMN_OFFSET_JITTER = 0.4; // Full range of the random ruin offset per axis
+export const COLUMN_MAX_WIDTH_SCALE = 1.08; // Largest random width variance (0.92-1.08)
+
+/**
+ * Half the width of the square a column can occupy on the floor, including its random
+ * width and offset (the rendered column always fits inside)
+ * @returns {number} - Half extent in world units
+ */
+export const getColumnHalfExtent = () =>
+  (SCALE(COLUMN_BASE_WIDTH) * COLUMN_MAX_WIDTH_SCALE) / 2 + SCALE(COLUMN_OFFSET_JITTER) / 2;
+
+/**
+ * Generate column positions for a grid centered in a hall
+ * @param {Object} options
+ * @param {number} options.hallWidth - Hall width (x)
+ * @param {number} options.hallLength - Hall length (z)
+ * @param {number} options.spacingX - Distance between column rows across the hall
+ * @param {number} options.spacingZ - Distance between columns along the hall
+ * @param {number} options.insetX - Hall width kept free of columns along the side walls
+ * @param {number} options.insetZ - Hall length kept free of columns along the end walls
+ * @param {number} options.centerWalkway - Columns closer than this to x = 0 are skipped
+ * @returns {Array<Array<number>>} - [x, 0, z] per column
+ */
+export const createColumnLayout = ({ hallWidth, hallLength, spacingX, spacingZ, insetX, insetZ, centerWalkway }) => {
+  const numColumnsX = Math.floor((hallWidth - insetX) / spacingX);
+  const numColumnsZ = Math.floor((hallLength - insetZ) / spacingZ);
+
+  const positions = [];
+
+  for (let xi = 0; xi < numColumnsX; xi++) {
+    const xOffset = ((numColumnsX - 1) * spacingX) / 2;
+    const x = xi * spacingX - xOffset;
+
+    // Skip columns too close to center walkway
+    if (Math.abs(x) < centerWalkway) continue;
+
+    for (let zi = 0; zi < numColumnsZ; zi++) {
+      const zOffset = ((numColumnsZ - 1) * spacingZ) / 2;
+      const z = zi * spacingZ - zOffset;
+      positions.push([x, 0, z]);
+    }
+  }
+
+  return positions;
+};
+
+// ============================================================================
+// Level Format
+// ============================================================================
+export const DOORWAY_WALLS = ["front", "back"]; // -z and +z end walls
+export const SCONCE_WALLS = ["left", "right"]; // -x and +x side walls
+const OPPOSITE_WALL = { front: "back", back: "front" };
+const SCONCE_INSET = SCALE(2); // Sconce lights sit this far off their wall
+const ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+const LAYOUT_EPSILON = 0.001; // units - tolerance when a hall is reached by two links
+
+// Field validators
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+// Reads fields off one section of the level, naming the offending path when a check fails
+const createReader = (levelId, path, source) => {
+  const fail = (field, expected) => {
+    throw new Error(`Level "${levelId}": ${path}${field ? `.${field}` : ""} must be ${expected}`);
+  };
+  if (!isPlainObject(source)) fail("", "an object");
+  return {
+    number: (field, check = Number.isFinite, expected = "a number", fallback) => {
+      const value = source[field] ?? fallback;
+      if (!check(value)) fail(field, expected);
+      return value;
+    },
+    oneOf: (field, options, fallback) => {
+      const value = source[field] ?? fallback;
+      if (!options.includes(value)) fail(field, `one of ${options.join(", ")}`);
+      return value;
+    },
+    list: (field, { optional = false } = {}) => {
+      const value = source[field] ?? (optional ? [] : undefined);
+      if (!Array.isArray(value)) fail(field, "an array");
+      return value;
+    },
+    section: (field) => source[field],
+    fail,
+  };
+};
+
+// Expand column entries - { type: "grid", ... } or { type: "points", positions: [[x, z], ...] }
+const parseColumns = (levelId, path, entries, hall) =>
+  entries.flatMap((entry, index) => {
+    const read = createReader(levelId, `${path}[${index}]`, entry);
+    const type = read.oneOf("type", ["grid", "points"]);
+    if (type === "points") {
+      return read.list("positions").map((point) => {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) {
+          read.fail("positions", "a list of [x, z] pairs");
+        }
+        return [point[0], 0, point[1]];
+      });
+    }
+    return createColumnLayout({
+      hallWidth: hall.width,
+      hallLength: hall.length,
+      spacingX: read.number("spacingX", isPositive, "a positive number"),
+      spacingZ: read.number("spacingZ", isPositive, "a positive number"),
+      insetX: read.number("insetX", isNonNegative, "a non-negative number", 0),
+      insetZ: read.number("insetZ", isNonNegative, "a non-negative number", 0),
+      centerWalkway: read.number("centerWalkway", isNonNegative, "a non-negative number", 0),
+    });
+  });
+
+// Points inside a hall, as hall-local { x, z } plus any extra numeric fields
+const parsePoints = (levelId, path, entries, hall, fields) =>
+  entries.map((entry, index) => {
+    const read = createReader(levelId, `${path}[${index}]`, entry);
+    const point = {
+      x: read.number("x"),
+      z: read.number("z"),
+    };
+    if (Math.abs(point.x) > hall.halfWidth || Math.abs(point.z) > hall.halfLength) {
+      read.fail("", `inside hall "${hall.id}"`);
+    }
+    for (const [field, fallback] of Object.entries(fields)) {
+      point[field] = read.number(field, isNonNegative, "a non-negative number", fallback);
+    }
+    return point;
+  });
+
+// One hall - everything in it is in hall-local coordinates (centered on the hall)
+const parseHall = (levelId, index, entry) => {
+  const path = `halls[${index}]`;
+  const read = createReader(levelId, path, entry);
+  const id = read.section("id");
+  if (typeof id !== "string" || !ID_PATTERN.test(id)) read.fail("id", "a lowercase id (a-z, 0-9, -)");
+
+  const width = read.number("width", (value) => isPositive(value) && value > DOOR_WIDTH, `wider than a doorway (${DOOR_WIDTH})`);
+  const length = read.number("length", isPositive, "a positive number");
+  const hall = {
+    id,
+    name: typeof entry.name === "string" ? entry.name : id,
+    width,
+    length,
+    height: read.number("height", isPositive, "a positive number"),
+    halfWidth: width / 2,
+    halfLength: length / 2,
+  };
+
+  const doorways = read.list("doorways", { optional: true }).map((doorway, doorwayIndex) => {
+    const readDoorway = createReader(levelId, `${path}.doorways[${doorwayIndex}]`, doorway);
+    const to = readDoorway.section("to") ?? null;
+    if (to !== null && (typeof to !== "string" || to === id)) readDoorway.fail("to", "the id of another hall");
+    return { wall: readDoorway.oneOf("wall", DOORWAY_WALLS), to };
+  });
+  for (const wall of DOORWAY_WALLS) {
+    if (doorways.filter((doorway) => doorway.wall === wall).length > 1) read.fail("doorways", `at most one doorway per wall (${wall})`);
+  }
+
+  const readLights = createReader(levelId, `${path}.lights`, read.section("lights") ?? {});
+  const lights = {
+    ceiling: parsePoints(levelId, `${path}.lights.ceiling`, readLights.list("ceiling", { optional: true }), hall, {}),
+    sconces: readLights.list("sconces", { optional: true }).map((sconce, sconceIndex) => {
+      const readSconce = createReader(levelId, `${path}.lights.sconces[${sconceIndex}]`, sconce);
+      const wall = readSconce.oneOf("wall", SCONCE_WALLS);
+      const side = wall === "left" ? -1 : 1;
+      return { side, x: side * (hall.halfWidth - SCONCE_INSET), z: readSconce.number("z") };
+    }),
+  };
+
+  const readDecorations = createReader(levelId, `${path}.decorations`, read.section("decorations") ?? {});
+  const readBeams = createReader(levelId, `${path}.decorations.beams`, readDecorations.section("beams") ?? {});
+  const decorations = {
+    ribSpacing: readDecorations.number("ribSpacing", isNonNegative, "a non-negative number (0 for none)", 0),
+    cracksPerWall: readDecorations.number("cracksPerWall", Number.isInteger, "an integer", 0),
+    bands: readDecorations.section("bands") === true,
+    beams: {
+      transverseSpacing: readBeams.number("transverseSpacing", isNonNegative, "a non-negative number (0 for none)", 0),
+      longitudinalSpacing: readBeams.number("longitudinalSpacing", isNonNegative, "a non-negative number (0 for none)", 0),
+    },
+  };
+
+  return {
+    ...hall,
+    columns: parseColumns(levelId, `${path}.columns`, read.list("columns", { optional: true }), hall),
+    doorways,
+    lights,
+    decorations,
+  };
+};
+
+// Check that doorway links are two-way, then place the halls end to end starting from the first
+// (a back doorway leads to a hall further along +z, a front doorway to one along -z)
+const layoutHalls = (levelId, halls) => {
+  const hallsById = new Map();
+  halls.forEach((hall, index) => {
+    if (hallsById.has(hall.id)) createReader(levelId, `halls[${index}]`, {}).fail("id", "unique");
+    hallsById.set(hall.id, hall);
+  });
+
+  halls.forEach((hall, index) => {
+    hall.doorways.forEach(({ wall, to }, doorwayIndex) => {
+      if (to === null) return;
+      const read = createReader(levelId, `halls[${index}].doorways[${doorwayIndex}]`, {});
+      const target = hallsById.get(to);
+      if (!target) read.fail("to", "the id of another hall");
+      const opposite = OPPOSITE_WALL[wall];
+      if (!target.doorways.some((doorway) => doorway.wall === opposite && doorway.to === hall.id)) {
+        read.fail("to", `linked back from a ${opposite} doorway in hall "${to}"`);
+      }
+    });
+  });
+
+  const placed = new Set([halls[0].id]);
+  halls[0].z = 0;
+  const queue = [halls[0]];
+  while (queue.length > 0) {
+    const hall = queue.shift();
+    for (const { wall, to } of hall.doorways) {
+      if (to === null) continue;
+      const target = hallsById.get(to);
+      const side = wall === "back" ? 1 : -1;
+      const z = hall.z + side * (hall.halfLength + HALL_GAP + target.halfLength);
+      if (placed.has(to)) {
+        if (Math.abs(target.z - z) > LAYOUT_EPSILON) {
+          createReader(levelId, `halls[${halls.indexOf(target)}]`, {}).fail("", "reachable along one line of doorways");
+        }
+        continue;
+      }
+      target.z = z;
+      placed.add(to);
+      queue.push(target);
+    }
+  }
+
+  halls.forEach((hall, index) => {
+    if (!placed.has(hall.id)) {
+      createReader(levelId, `halls[${index}]`, {}).fail("", `connected to hall "${halls[0].id}" through doorways`);
+    }
+    hall.x = 0;
+    hall.minX = hall.x - hall.halfWidth;
+    hall.maxX = hall.x + hall.halfWidth;
+    hall.minZ = hall.z - hall.halfLength;
+    hall.maxZ = hall.z + hall.halfLength;
+    hall.links = hall.doorways.filter(({ to }) => to !== null).map(({ to }) => to);
+  });
+
+  return hallsById;
+};
+
+// Spawn points and zones - hall-local in the file, world coordinates once parsed
+const parseSpawns = (levelId, path, entries, halls, hallsById, fields) =>
+  entries.map((entry, index) => {
+    const read = createReader(levelId, `${path}[${index}]`, entry);
+    const hall = hallsById.get(read.oneOf("hall", [...hallsById.keys()], halls[0].id));
+    const [point] = parsePoints(levelId, path, [entry], hall, fields);
+    return { ...point, hall: hall.id, x: hall.x + point.x, z: hall.z + point.z };
+  });
+
+/**
+ * Validate a level file and expand it into the layout the game uses
+ *
+ * A level is one or more halls joined through doorways. Hall contents (columns, lights,
+ * decorations) stay hall-local, since the renderer draws each hall in its own group; spawns
+ * and the flattened column list are in world coordinates for the simulation.
+ * @param {Object} data - Parsed level JSON
+ * @returns {Object} - { id, name, halls, hallsById, bounds, columns, playerSpawns, enemySpawnZones,
+ *   enemyBoundaryMargin, data } (data is the original JSON, sent to clients)
+ * @throws {Error} - Naming the first invalid field
+ */
+export const parseLevel = (data) => {
+  const levelId = isPlainObject(data) && typeof data.id === "string" ? data.id : "?";
+  const read = createReader(levelId, "level", data);
+  if (!ID_PATTERN.test(levelId)) read.fail("id", "a lowercase id (a-z, 0-9, -)");
+
+  const halls = read.list("halls").map((entry, index) => parseHall(levelId, index, entry));
+  if (halls.length === 0) read.fail("halls", "a non-empty array");
+  const hallsById = layoutHalls(levelId, halls);
+
+  const playerSpawns = parseSpawns(levelId, "playerSpawns", read.list("playerSpawns"), halls, hallsById, { radius: 0 });
+  if (playerSpawns.length === 0) read.fail("playerSpawns", "a non-empty array");
+
+  const readEnemies = createReader(levelId, "enemies", read.section("enemies"));
+  const enemySpawnZones = parseSpawns(levelId, "enemies.spawnZones", readEnemies.list("spawnZones"), halls, hallsById, {
+    minRadius: 0,
+    maxRadius: 0,
+  });
+  if (enemySpawnZones.length === 0) readEnemies.fail("spawnZones", "a non-empty array");
+
+  return {
+    id: levelId,
+    name: typeof data.name === "string" ? data.name : levelId,
+    halls,
+    hallsById,
+    bounds: {
+      minX: Math.min(...halls.map((hall) => hall.minX)),
+      maxX: Math.max(...halls.map((hall) => hall.maxX)),
+      minZ: Math.min(...halls.map((hall) => hall.minZ)),
+      maxZ: Math.max(...halls.map((hall) => hall.maxZ)),
+    },
+    columns: halls.flatMap((hall) => hall.columns.map(([x, y, z]) => [hall.x + x, y, hall.z + z])),
+    playerSpawns,
+    enemySpawnZones,
+    enemyBoundaryMargin: readEnemies.number("boundaryMargin", isNonNegative, "a non-negative number", 0),
+    data,
+  };
+};
+
+// ============================================================================
+// Halls and Portals
+// ============================================================================
+
+/**
+ * Find the hall whose floor contains a point
+ * @param {Object} level - Parsed level
+ * @param {number} x
+ * @param {number} z
+ * @returns {Object|null} - The hall, or null inside a doorway passage (between two end walls)
+ */
+export const findHallAt = (level, x, z) =>
+  level.halls.find((hall) => x >= hall.minX && x <= hall.maxX && z >= hall.minZ && z <= hall.maxZ) ?? null;
+
+/**
+ * Check whether two halls are the same or joined by a doorway
+ * @param {Object} level - Parsed level
+ * @param {string} fromId - Hall id
+ * @param {string} toId - Hall id
+ * @returns {boolean}
+ */
+export const areHallsAdjacent = (level, fromId, toId) =>
+  fromId === toId || (level.hallsById.get(fromId)?.links.includes(toId) ?? false);
+
+/**
+ * Rectangles something can stand in: every hall floor kept wallMargin off the walls, plus a
+ * passage through each linked doorway kept doorMargin off the door frame. Passages overlap
+ * the halls on both sides, so a walker crosses from one rectangle into the next.
+ * @param {Object} level - Parsed level
+ * @param {Object} margins
+ * @param {number} margins.wallMargin - Distance kept from hall walls
+ * @param {number} margins.doorMargin - Distance kept from doorway frames
+ * @returns {Array<Object>} - { minX, maxX, minZ, maxZ } areas (ones squeezed to nothing are left out)
+ */
+export const getWalkableAreas = (level, { wallMargin, doorMargin }) => {
+  const areas = level.halls.map((hall) => ({
+    minX: hall.minX + wallMargin,
+    maxX: hall.maxX - wallMargin,
+    minZ: hall.minZ + wallMargin,
+    maxZ: hall.maxZ - wallMargin,
+  }));
+
+  // Each link is listed from both halls - take it once, from the back doorway
+  const halfOpening = DOOR_WIDTH / 2 - doorMargin;
+  for (const hall of level.halls) {
+    const link = hall.doorways.find(({ wall, to }) => wall === "back" && to !== null);
+    if (!link) continue;
+    const next = level.hallsById.get(link.to);
+    areas.push({
+      minX: hall.x - halfOpening,
+      maxX: hall.x + halfOpening,
+      minZ: hall.maxZ - wallMargin,
+      maxZ: next.minZ + wallMargin,
+    });
+  }
+
+  return areas.filter((area) => area.minX <= area.maxX && area.minZ <= area.maxZ);
+};
+
+/**
+ * Random point in a spawn zone
+ * @param {Object} zone - { x, z, radius } (player spawn) or { x, z, minRadius, maxRadius } (enemy zone)
+ * @returns {Object} - { x, z }
+ */
+export const pickPointInZone = (zone) => {
+  const minRadius = zone.minRadius ?? 0;
+  const maxRadius = zone.maxRadius ?? zone.radius ?? 0;
+  const angle = Math.random() * Math.PI * 2;
+  const distance = minRadius + Math.random() * Math.max(0, maxRadius - minRadius);
+  return {
+    x: zone.x + Math.cos(angle) * distance,
+    z: zone.z + Math.sin(angle) * distance,
+  };
+};
@@ -2,6 +2,7 @@ import React from "react";
 import { Route, Routes } from "react-router-dom";
 import Home from "./pages/Home.jsx";
 import MobileBuild from "./pages/MobileBuild.jsx";
+import ReplayViewer from "./pages/ReplayViewer.jsx";
 import VrIntro from "./pages/VrIntro.jsx";
 
 const App = () => {
@@ -11,6 +12,8 @@ const App = () => {
       <Route path="/mobile-build" element={<MobileBuild />} />
       <Route path="/game" element={<VrIntro />} />
       <Route path="/vr-intro" element={<VrIntro />} />
+      <Route path="/replay" element={<ReplayViewer />} />
+      <Route path="/replay/:id" element={<ReplayViewer />} />
       <Route path="*" element={<Home />} />
     </Routes>
   );
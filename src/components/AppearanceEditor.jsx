@@ -0,0 +1,107 @@
+/**
+ * Appearance Editor
+ * Intro screen controls for the player's look - body color, head, accessory and sword tint
+ */
+import React from "react";
+import { ACCESSORIES, BODY_COLORS, HEAD_SHAPES, SWORD_TINTS } from "./scene/constants.js";
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// One row of mutually exclusive choices
+const OptionRow = ({ label, options, value, onSelect, renderOption }) => (
+  <div className="appearance-editor__row" role="radiogroup" aria-label={label}>
+    <span className="appearance-editor__label">{label}</span>
+    <div className="appearance-editor__options">
+      {options.map((option) => (
+        <button
+          key={option}
+          type="button"
+          role="radio"
+          aria-checked={option === value}
+          className={`appearance-editor__option${option === value ? " is-selected" : ""}`}
+          onClick={() => onSelect(option)}
+        >
+          {renderOption(option)}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+const Swatch = ({ color }) => (
+  <span className="appearance-editor__swatch" style={{ background: color }} aria-hidden="true" />
+);
+
+/**
+ * AppearanceEditor - Edits an appearance in place; every change is reported whole
+ *
+ * @param {Object} props
+ * @param {Object} props.appearance - { body, head, accessory, sword } (see shared/appearance.js)
+ * @param {Function} props.onChange - Called with the updated appearance
+ */
+const AppearanceEditor = ({ appearance, onChange }) => {
+  const update = (field) => (value) => onChange({ ...appearance, [field]: value });
+  const customBody = !BODY_COLORS.includes(appearance.body.toLowerCase());
+
+  return (
+    <div className="appearance-editor">
+      <div className="appearance-editor__row">
+        <span className="appearance-editor__label">Body</span>
+        <div className="appearance-editor__options">
+          {BODY_COLORS.map((color) => (
+            <button
+              key={color}
+              type="button"
+              aria-label={color}
+              title={color}
+              aria-pressed={color === appearance.body.toLowerCase()}
+              className={`appearance-editor__option${color === appearance.body.toLowerCase() ? " is-selected" : ""}`}
+              onClick={() => update("body")(color)}
+            >
+              <Swatch color={color} />
+            </button>
+          ))}
+          <label
+            className={`appearance-editor__option appearance-editor__custom${customBody ? " is-selected" : ""}`}
+            title="Custom color"
+          >
+            <input
+              type="color"
+              aria-label="Custom body color"
+              value={appearance.body.toLowerCase()}
+              onChange={(event) => update("body")(event.target.value)}
+            />
+          </label>
+        </div>
+      </div>
+      <OptionRow
+        label="Head"
+        options={HEAD_SHAPES}
+        value={appearance.head}
+        onSelect={update("head")}
+        renderOption={capitalize}
+      />
+      <OptionRow
+        label="Accessory"
+        options={ACCESSORIES}
+        value={appearance.accessory}
+        onSelect={update("accessory")}
+        renderOption={capitalize}
+      />
+      <OptionRow
+        label="Sword"
+        options={Object.keys(SWORD_TINTS)}
+        value={appearance.sword}
+        onSelect={update("sword")}
+        renderOption={(tint) => (
+          <>
+            <Swatch color={SWORD_TINTS[tint]} />
+            {capitalize(tint)}
+          </>
+        )}
+      />
+    </div>
+  );
+};
+
+export default AppearanceEditor;
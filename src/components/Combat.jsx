@@ -2,6 +2,7 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import { useFrame, useThree } from "@react-three/fiber";
 import { useXR } from "@react-three/xr";
 import * as THREE from "three";
+import { SWORD_TINTS } from "../../shared/appearance.js";
 
 // Constants
 const SWORD_LENGTH = 0.8;
@@ -12,9 +13,20 @@ const SWORD_GUARD_HEIGHT = 0.03;
 const SWORD_HANDLE_LENGTH = 0.15;
 const SWORD_HANDLE_RADIUS = 0.02;
 const SWORD_POMMEL_RADIUS = 0.025;
-const ATTACK_COOLDOWN = 300; // ms
+const ATTACK_COOLDOWN = 300; // ms - also enforced by server.js attack validation
 const VR_SWING_THRESHOLD = 2.5; // m/s velocity threshold for VR swing attack
-const ATTACK_RANGE = 3.0; // meters for non-VR raycast attacks
+const ATTACK_RANGE = 3.0; // meters for non-VR raycast attacks - also enforced by server.js
+const HEALTH_BAR_WIDTH = 0.6;
+const HEALTH_BAR_HEIGHT = 0.06;
+const HIT_FLASH_DURATION = 0.18; // seconds
+const DEFAULT_BLADE_TINT = SWORD_TINTS.steel;
+const FULLER_SHADE = 0.7; // Fuller groove is the blade tint darkened by this factor
+
+// Attack types - the server picks damage per type (see ATTACK_DAMAGE in server.js)
+const ATTACK_TYPES = {
+  SLASH: "slash", // Flat-screen click/tap/trigger
+  SWING: "swing", // VR sword swing
+};
 
 // Sword blade geometry - procedural medieval sword shape
 const createBladeGeometry = () => {
@@ -45,18 +57,19 @@ const createBladeGeometry = () => {
   return new THREE.ExtrudeGeometry(shape, extrudeSettings);
 };
 
-// Procedural Sword Component
-export const Sword = React.forwardRef(({ isAttacking = false, scale = 1 }, ref) => {
+// Procedural Sword Component - tint is the blade color from the player's appearance
+export const Sword = React.forwardRef(({ isAttacking = false, scale = 1, tint = DEFAULT_BLADE_TINT }, ref) => {
   const bladeGeometry = useMemo(() => createBladeGeometry(), []);
+  const fullerColor = useMemo(() => new THREE.Color(tint).multiplyScalar(FULLER_SHADE), [tint]);
   
   // Materials
   const bladeMaterial = useMemo(() => new THREE.MeshStandardMaterial({
-    color: "#c0c0c0",
+    color: tint,
     metalness: 0.9,
     roughness: 0.2,
     emissive: isAttacking ? "#ffffff" : "#000000",
     emissiveIntensity: isAttacking ? 0.3 : 0,
-  }), [isAttacking]);
+  }), [isAttacking, tint]);
   
   const guardMaterial = useMemo(() => new THREE.MeshStandardMaterial({
     color: "#8b7355",
@@ -107,7 +120,7 @@ export const Sword = React.forwardRef(({ isAttacking = false, scale = 1 }, ref)
         castShadow
       >
         <boxGeometry args={[SWORD_BLADE_WIDTH * 0.3, SWORD_LENGTH * 0.6, 0.002]} />
-        <meshStandardMaterial color="#888888" metalness={0.95} roughness={0.15} />
+        <meshStandardMaterial color={fullerColor} metalness={0.95} roughness={0.15} />
       </mesh>
     </group>
   );
@@ -202,7 +215,7 @@ export const VRSword = ({ onAttack, enemies }) => {
 };
 
 // Flat-screen Sword (FPS style, bottom-right corner)
-export const FlatSword = ({ onAttack, isAttacking }) => {
+export const FlatSword = ({ onAttack, isAttacking, tint }) => {
   const { camera, size } = useThree();
   const swordRef = useRef();
   const baseRotationRef = useRef(new THREE.Euler(-0.3, -0.4, 0.2));
@@ -240,16 +253,51 @@ export const FlatSword = ({ onAttack, isAttacking }) => {
 
   return (
     <group ref={swordRef}>
-      <Sword isAttacking={isAttacking} scale={0.8} />
+      <Sword isAttacking={isAttacking} scale={0.8} tint={tint} />
+    </group>
+  );
+};
+
+// Billboarded health bar - hidden until the enemy has taken damage
+const EnemyHealthBar = ({ health, maxHealth }) => {
+  const { camera } = useThree();
+  const groupRef = useRef();
+  const ratio = maxHealth > 0 ? THREE.MathUtils.clamp(health / maxHealth, 0, 1) : 1;
+  const barColor = useMemo(
+    () => new THREE.Color("#d83a2a").lerp(new THREE.Color("#4fd36f"), ratio),
+    [ratio]
+  );
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    groupRef.current.quaternion.copy(camera.quaternion);
+  });
+
+  if (ratio >= 1) return null;
+
+  return (
+    <group ref={groupRef} position={[0, 1.95, 0]}>
+      <mesh>
+        <planeGeometry args={[HEALTH_BAR_WIDTH, HEALTH_BAR_HEIGHT]} />
+        <meshBasicMaterial color="#111111" transparent opacity={0.7} depthWrite={false} />
+      </mesh>
+      {/* Fill anchored to the left edge */}
+      <mesh position={[-(HEALTH_BAR_WIDTH * (1 - ratio)) / 2, 0, 0.001]} scale={[ratio, 1, 1]}>
+        <planeGeometry args={[HEALTH_BAR_WIDTH, HEALTH_BAR_HEIGHT * 0.7]} />
+        <meshBasicMaterial color={barColor} depthWrite={false} />
+      </mesh>
     </group>
   );
 };
 
 // Procedural Enemy Component
-export const Enemy = ({ id, x, y, z, alive, faceIndex, faceTextures }) => {
+// Position comes from the snapshot interpolation buffer when given, x/y/z otherwise
+export const Enemy = ({ id, x, y, z, alive, health, maxHealth, windup = false, faceIndex, faceTextures, snapshotBuffer }) => {
   const groupRef = useRef();
   const [faceTexture, setFaceTexture] = useState(null);
   const floatOffset = useRef(Math.random() * Math.PI * 2);
+  const hitFlashRef = useRef(0);
+  const lastHealthRef = useRef(health);
 
   // Load face texture
   useEffect(() => {
@@ -258,11 +306,21 @@ export const Enemy = ({ id, x, y, z, alive, faceIndex, faceTextures }) => {
     }
   }, [faceIndex, faceTextures]);
 
+  // Flash when the server reports lost health
+  useEffect(() => {
+    if (Number.isFinite(health) && Number.isFinite(lastHealthRef.current) && health < lastHealthRef.current) {
+      hitFlashRef.current = HIT_FLASH_DURATION;
+    }
+    lastHealthRef.current = health;
+  }, [health]);
+
   // Body materials
   const bodyMaterial = useMemo(() => new THREE.MeshStandardMaterial({
     color: "#2a2a35",
     roughness: 0.7,
     metalness: 0.3,
+    emissive: "#ff2a1a",
+    emissiveIntensity: 0,
   }), []);
 
   const cloakMaterial = useMemo(() => new THREE.MeshStandardMaterial({
@@ -278,17 +336,24 @@ export const Enemy = ({ id, x, y, z, alive, faceIndex, faceTextures }) => {
     metalness: 0.2,
   }), []);
 
-  // Floating animation
-  useFrame((state) => {
-    if (!groupRef.current || !alive) return;
+  // Interpolated position, floating animation and hit flash
+  useFrame((state, delta) => {
+    const group = groupRef.current;
+    if (!group || !alive) return;
+    if (!snapshotBuffer?.sample("enemies", id, group.position)) {
+      group.position.set(x, y, z);
+    }
     const time = state.clock.elapsedTime;
-    groupRef.current.position.y = y + Math.sin(time * 2 + floatOffset.current) * 0.1;
+    group.position.y += Math.sin(time * 2 + floatOffset.current) * 0.1;
+    
+    hitFlashRef.current = Math.max(0, hitFlashRef.current - delta);
+    bodyMaterial.emissiveIntensity = (hitFlashRef.current / HIT_FLASH_DURATION) * 1.5;
   });
 
   if (!alive) return null;
 
   return (
-    <group ref={groupRef} position={[x, y, z]}>
+    <group ref={groupRef}>
       {/* Body - Main torso */}
       <mesh position={[0, 0.9, 0]} material={bodyMaterial} castShadow>
         <capsuleGeometry args={[0.25, 0.6, 4, 8]} />
@@ -312,24 +377,27 @@ export const Enemy = ({ id, x, y, z, alive, faceIndex, faceTextures }) => {
         </mesh>
       )}
       
-      {/* Left Arm */}
-      <group position={[-0.35, 0.95, 0]} rotation={[0, 0, 0.3]}>
+      {/* Left Arm (raised overhead while winding up a strike) */}
+      <group position={[-0.35, 0.95, 0]} rotation={[0, 0, windup ? 2.6 : 0.3]}>
         <mesh material={bodyMaterial} castShadow>
           <capsuleGeometry args={[0.08, 0.4, 4, 8]} />
         </mesh>
       </group>
       
       {/* Right Arm */}
-      <group position={[0.35, 0.95, 0]} rotation={[0, 0, -0.3]}>
+      <group position={[0.35, 0.95, 0]} rotation={[0, 0, windup ? -2.6 : -0.3]}>
         <mesh material={bodyMaterial} castShadow>
           <capsuleGeometry args={[0.08, 0.4, 4, 8]} />
         </mesh>
       </group>
       
+      {/* Health bar (damaged enemies only) */}
+      {Number.isFinite(health) && <EnemyHealthBar health={health} maxHealth={maxHealth} />}
+      
       {/* Shadow/hover effect */}
       <mesh position={[0, 0.05, 0]} rotation={[-Math.PI / 2, 0, 0]}>
-        <circleGeometry args={[0.4, 16]} />
-        <meshBasicMaterial color="#000000" transparent opacity={0.3} />
+        <circleGeometry args={[windup ? 0.6 : 0.4, 16]} />
+        <meshBasicMaterial color={windup ? "#b0140c" : "#000000"} transparent opacity={windup ? 0.5 : 0.3} />
       </mesh>
     </group>
   );
@@ -456,4 +524,4 @@ export const useRaycastAttack = (camera, enemies, onHit) => {
   return performRaycast;
 };
 
-export { ATTACK_RANGE, ATTACK_COOLDOWN };
+export { ATTACK_RANGE, ATTACK_COOLDOWN, ATTACK_TYPES };
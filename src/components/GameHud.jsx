@@ -0,0 +1,349 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  useChatFeed,
+  useCountdown,
+  useHudState,
+  useVoiceState,
+  useWaveAnnouncement,
+  CONNECTION_STATES,
+} from "./scene/hooks/index.js";
+import { MAX_CHAT_LENGTH } from "./scene/constants.js";
+import { updateHud } from "./scene/hudStore.js";
+import { getChatLine, getPlayerLabel, getVoiceStatus, getWaveAnnouncement, getWaveLabel } from "./scene/utils.js";
+
+const FEEDBACK_DURATION = 900; // ms
+const CHAT_FEED_LINES = 6;
+
+const MISS_REASONS = {
+  out_of_range: "Out of range",
+  cooldown: "Too fast",
+  already_dead: "Already down",
+  invulnerable: "Blocked",
+  unknown_enemy: "No target",
+};
+
+// Short-lived "Miss" marker under the crosshair for attacks the server rejected
+const AttackFeedback = ({ feedback }) => {
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (!feedback || feedback.hit) {
+      return undefined;
+    }
+    setVisible(true);
+    const timeout = setTimeout(() => setVisible(false), FEEDBACK_DURATION);
+    return () => clearTimeout(timeout);
+  }, [feedback]);
+
+  if (!visible || !feedback) {
+    return null;
+  }
+
+  return (
+    <div className="game-hud__feedback" role="status">
+      <strong>Miss</strong>
+      <span>{MISS_REASONS[feedback.reason] ?? "Rejected"}</span>
+    </div>
+  );
+};
+
+const HealthBar = ({ status }) => {
+  const ratio = status.maxHealth > 0 ? Math.max(0, Math.min(1, status.health / status.maxHealth)) : 0;
+  return (
+    <div className="game-hud__health" aria-label={`Health ${status.health} of ${status.maxHealth}`}>
+      <div
+        className={`game-hud__health-fill${ratio <= 0.3 ? " game-hud__health-fill--low" : ""}`}
+        style={{ width: `${ratio * 100}%` }}
+      ></div>
+    </div>
+  );
+};
+
+// Red vignette restarted on every damage event (keyed on its timestamp)
+const DamageFlash = ({ damageEvent }) => {
+  if (!damageEvent) {
+    return null;
+  }
+  return <div key={damageEvent.receivedAt} className="game-hud__damage" aria-hidden="true"></div>;
+};
+
+const DeathScreen = ({ respawnAt }) => {
+  const seconds = useCountdown(respawnAt);
+  return (
+    <div className="game-hud__death" role="alert">
+      <h2 className="game-hud__death-title">You were slain</h2>
+      <p className="game-hud__death-text">{seconds > 0 ? `Respawning in ${seconds}…` : "Respawning…"}</p>
+    </div>
+  );
+};
+
+// Wave number with enemies left, or the countdown to the next wave
+const WaveStatus = ({ wave, remaining }) => {
+  const seconds = useCountdown(wave.startsAt);
+  return <span className="game-hud__wave">{getWaveLabel(wave, remaining, seconds)}</span>;
+};
+
+// "Wave 3" / "Wave 2 cleared" banner for a few seconds after each announcement
+const WaveBanner = ({ wave }) => {
+  const visible = useWaveAnnouncement(wave);
+  if (!visible) {
+    return null;
+  }
+  const { title, detail } = getWaveAnnouncement(wave);
+  return (
+    <div key={wave.announcedAt} className="game-hud__wave-banner" role="status">
+      <h2 className="game-hud__wave-title">{title}</h2>
+      {detail && <p className="game-hud__wave-detail">{detail}</p>}
+    </div>
+  );
+};
+
+// Session leaderboard, opened and closed with Tab
+const Scoreboard = ({ rows, localId }) => (
+  <div className="game-hud__scoreboard" role="dialog" aria-label="Scoreboard">
+    <h2 className="game-hud__scoreboard-title">Scoreboard</h2>
+    <table className="game-hud__scoreboard-table">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Player</th>
+          <th>Kills</th>
+          <th>Deaths</th>
+          <th>Streak</th>
+          <th>Best</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, index) => (
+          <tr key={row.id} className={row.id === localId ? "game-hud__scoreboard-self" : undefined}>
+            <td>{index + 1}</td>
+            <td>
+              <span className="game-hud__swatch" style={{ background: row.color }} aria-hidden="true"></span>
+              {getPlayerLabel(row, localId)}
+            </td>
+            <td>{row.kills}</td>
+            <td>{row.deaths}</td>
+            <td>{row.streak}</td>
+            <td>{row.bestStreak}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <p className="game-hud__scoreboard-hint">Press Tab to close</p>
+  </div>
+);
+
+// Tab toggles the scoreboard while the HUD is shown (and keeps focus off page links)
+const useScoreboardToggle = (enabled) => {
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      if (event.code !== "Tab" || event.repeat) return;
+      event.preventDefault();
+      setOpen((value) => !value);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [enabled]);
+
+  return enabled && open;
+};
+
+// Recent chat, shown for a while after each message and while typing
+const ChatBox = ({ messages, localId, open, onClose, sendChat }) => {
+  const feedVisible = useChatFeed(messages);
+  const [draft, setDraft] = useState("");
+
+  if (!open && !feedVisible) {
+    return null;
+  }
+
+  const handleKeyDown = (event) => {
+    // Keep typed keys away from the window shortcuts (Tab scoreboard, Enter to open)
+    event.stopPropagation();
+    if (event.key === "Escape") {
+      onClose();
+      return;
+    }
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    // Blank drafts just close; unsent text stays in the box (e.g. while reconnecting)
+    if (draft.trim() && !sendChat?.(draft)) return;
+    setDraft("");
+    onClose();
+  };
+
+  return (
+    <div className={`game-hud__chat${open ? " game-hud__chat--open" : ""}`}>
+      <ul className="game-hud__chat-log" aria-label="Chat">
+        {messages.slice(-CHAT_FEED_LINES).map((message) => (
+          <li key={message.id} className={message.system ? "game-hud__chat-notice" : undefined}>
+            {!message.system && (
+              <span className="game-hud__swatch" style={{ background: message.color }} aria-hidden="true"></span>
+            )}
+            {getChatLine(message, localId)}
+          </li>
+        ))}
+      </ul>
+      {open && (
+        <input
+          className="game-hud__chat-input"
+          type="text"
+          value={draft}
+          maxLength={MAX_CHAT_LENGTH}
+          placeholder="Say something - Enter to send, Esc to cancel"
+          aria-label="Chat message"
+          autoFocus
+          onChange={(event) => setDraft(event.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={onClose}
+        />
+      )}
+    </div>
+  );
+};
+
+// Mic state with a mute button (keys: M toggles the open mic, hold V to talk)
+const VoiceStatus = ({ voice }) => {
+  const state = useVoiceState(voice);
+  // Clicking the button mustn't swing the sword or leave focus behind for Enter (chat)
+  const stopClick = (event) => event.stopPropagation();
+  const handleToggle = (event) => {
+    event.currentTarget.blur();
+    voice.setMuted(!state.muted);
+  };
+
+  if (!state.supported) {
+    return null;
+  }
+  return (
+    <div className={`game-hud__voice${state.transmitting ? " game-hud__voice--live" : ""}`}>
+      <span>{getVoiceStatus(state)}</span>
+      <button className="game-hud__voice-button" type="button" onMouseDown={stopClick} onClick={handleToggle}>
+        {state.muted ? "Unmute (M)" : "Mute (M)"}
+      </button>
+      {state.muted && <span className="game-hud__voice-hint">Hold V to talk</span>}
+    </div>
+  );
+};
+
+// Camera mode for spectators, with buttons for screens without a keyboard (keys: F follow, Q/E switch player)
+const SpectatorBar = ({ spectator }) => {
+  // Same as the mute button - don't leave focus behind on the button
+  const stopClick = (event) => event.stopPropagation();
+  const handleClick = (action) => (event) => {
+    event.currentTarget.blur();
+    action();
+  };
+
+  return (
+    <div className="game-hud__spectator">
+      <span className="game-hud__spectator-mode">
+        {spectator.following ? `Following ${spectator.following}` : "Spectating · Free camera"}
+      </span>
+      <div className="game-hud__spectator-actions">
+        <button
+          className="game-hud__voice-button"
+          type="button"
+          disabled={!spectator.following && spectator.playerCount === 0}
+          onMouseDown={stopClick}
+          onClick={handleClick(spectator.toggleFollow)}
+        >
+          {spectator.following ? "Free camera (F)" : "Follow (F)"}
+        </button>
+        <button
+          className="game-hud__voice-button"
+          type="button"
+          disabled={spectator.playerCount === 0}
+          onMouseDown={stopClick}
+          onClick={handleClick(() => spectator.cycleFollow(1))}
+        >
+          Next player (E)
+        </button>
+      </div>
+      <span className="game-hud__spectator-hint">
+        {spectator.playerCount === 0 ? "Nobody is playing yet" : "WASD to fly · Space/C up/down · Q/E switch player"}
+      </span>
+    </div>
+  );
+};
+
+// Enter opens the chat box while the HUD is shown; the flat controls ignore keys until it closes
+const useChatToggle = (enabled) => {
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) {
+      setOpen(false);
+      return undefined;
+    }
+    if (open) {
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      if (event.key !== "Enter" || event.repeat) return;
+      event.preventDefault();
+      setOpen(true);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [enabled, open]);
+
+  useEffect(() => {
+    updateHud({ chatOpen: open });
+  }, [open]);
+
+  return [open, useCallback(() => setOpen(false), [])];
+};
+
+const GameHud = ({ visible }) => {
+  const hud = useHudState();
+  const status = hud.playerStatus;
+  const spectator = hud.spectator;
+  // Spectators read the chat but can't post
+  const [chatOpen, closeChat] = useChatToggle(visible && !spectator);
+  const scoreboardOpen = useScoreboardToggle(visible && !chatOpen);
+
+  if (!visible) {
+    return null;
+  }
+
+  const dead = status && !status.alive;
+
+  return (
+    <div className="game-hud" aria-live="polite">
+      <DamageFlash damageEvent={hud.damageEvent} />
+      {!dead && !spectator && <div className="game-hud__crosshair" aria-hidden="true"></div>}
+      {!dead && !spectator && <AttackFeedback feedback={hud.attackFeedback} />}
+      {status && <HealthBar status={status} />}
+      {hud.wave && <WaveStatus wave={hud.wave} remaining={hud.enemiesRemaining} />}
+      {hud.wave && !dead && <WaveBanner wave={hud.wave} />}
+      {hud.room && (
+        <span className="game-hud__room">
+          Room: {hud.room}
+          {Number.isFinite(hud.rtt) && <span className="game-hud__ping"> · {hud.rtt} ms</span>}
+        </span>
+      )}
+      {hud.voice && <VoiceStatus voice={hud.voice} />}
+      {spectator && <SpectatorBar spectator={spectator} />}
+      {hud.connection === CONNECTION_STATES.RECONNECTING && (
+        <div className="game-hud__connection" role="status">Connection lost - reconnecting…</div>
+      )}
+      {dead && <DeathScreen respawnAt={status.respawnAt} />}
+      <ChatBox
+        messages={hud.chat}
+        localId={hud.localId}
+        open={chatOpen}
+        onClose={closeChat}
+        sendChat={hud.sendChat}
+      />
+      {scoreboardOpen && <Scoreboard rows={hud.scoreboard} localId={hud.localId} />}
+    </div>
+  );
+};
+
+export default GameHud;
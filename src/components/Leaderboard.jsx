@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from "react";
+import { resolveApiUrl } from "./scene/utils.js";
+
+const LEADERBOARD_LIMIT = 10;
+
+const formatClearTime = (ms) => {
+  if (!Number.isFinite(ms)) return "—";
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, "0")}`;
+};
+
+const Leaderboard = () => {
+  const [entries, setEntries] = useState([]);
+  const [status, setStatus] = useState({ message: "Loading…", tone: "" });
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadLeaderboard = async () => {
+      try {
+        const response = await fetch(resolveApiUrl(`/api/leaderboard?limit=${LEADERBOARD_LIMIT}`), {
+          cache: "no-store",
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error("Failed to load leaderboard.");
+        }
+        const data = await response.json();
+        setEntries(Array.isArray(data.entries) ? data.entries : []);
+        setStatus({ message: "", tone: "" });
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        setStatus({ message: "Leaderboard unavailable right now.", tone: "error" });
+      }
+    };
+
+    loadLeaderboard();
+    return () => controller.abort();
+  }, []);
+
+  return (
+    <section className="glass leaderboard">
+      <h2>All-time leaderboard</h2>
+      <p>Total kills, best wave and how fast it was cleared, across every session in Matt’s world. Only named players are counted.</p>
+      {status.message ? (
+        <div className="guestbook-status" data-tone={status.tone} aria-live="polite">
+          {status.message}
+        </div>
+      ) : !entries.length ? (
+        <p className="leaderboard__empty">No heroes yet. Pick a name and clear a wave to claim the top spot.</p>
+      ) : (
+        <table className="leaderboard__table">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              <th scope="col">Player</th>
+              <th scope="col">Kills</th>
+              <th scope="col">Best wave</th>
+              <th scope="col">Best wave clear</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry, index) => (
+              <tr key={entry.name}>
+                <td>{index + 1}</td>
+                <td className="leaderboard__name">{entry.name}</td>
+                <td>{entry.kills}</td>
+                <td>{entry.bestWave || "—"}</td>
+                <td>{formatClearTime(entry.fastestClear)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,137 @@
+/**
+ * Replay Controls
+ * DOM overlay for the replay viewer - timeline, play/pause, speed, camera mode and the session's key moments
+ */
+import React, { useMemo } from "react";
+import { Link } from "react-router-dom";
+import { useReplayState } from "./scene/hooks/index.js";
+import { REPLAY_EVENT_LEAD, REPLAY_SEEK_STEP, REPLAY_SPEEDS } from "./scene/constants.js";
+import { formatReplayTime, getPlayerLabel, getReplayEventLabel } from "./scene/utils.js";
+
+// Kills, deaths and wave changes - hits and misses are in the file but would drown the list
+const isKeyMoment = (event) => event.type !== "attack" || event.killed;
+
+// Buttons mustn't grab the pointer lock or keep focus (Space would press them again)
+const stopClick = (event) => event.stopPropagation();
+const blurAfter = (action) => (event) => {
+  event.currentTarget.blur();
+  action();
+};
+
+/**
+ * ReplayControls - Playback controls for a loaded replay
+ *
+ * @param {Object} props
+ * @param {Object} props.replay - Result of parseReplay
+ * @param {Object} props.playback - Playback from createReplayPlayback
+ * @param {Object} props.follow - useFollowTarget result for the recorded players
+ * @param {number} props.playerCount - Players in the frame being shown
+ */
+const ReplayControls = ({ replay, playback, follow, playerCount }) => {
+  const { time, playing, speed } = useReplayState(playback);
+  const moments = useMemo(() => replay.events.filter(isKeyMoment), [replay]);
+  const { header, roster } = replay;
+
+  // Last wave change at or before the playback time
+  const wave = useMemo(() => {
+    let current = header.wave;
+    for (const event of replay.events) {
+      if (event.t > time) break;
+      if (event.type === "wave") current = event;
+    }
+    return current;
+  }, [replay, header, time]);
+
+  return (
+    <div className="replay-controls">
+      <div className="replay-controls__info">
+        <strong>Replay · {header.room}</strong>
+        <span>{new Date(header.startedAt).toLocaleString()}</span>
+        {wave && <span>{wave.state === "intermission" ? `Wave ${wave.wave} cleared` : `Wave ${wave.wave}`}</span>}
+        <Link to={`/replay?room=${header.room}`}>All replays</Link>
+      </div>
+
+      {moments.length > 0 && (
+        <ol className="replay-controls__moments" aria-label="Key moments">
+          {moments.map((event, index) => (
+            <li key={index} className={event.t <= time ? "is-past" : ""}>
+              <button
+                type="button"
+                onMouseDown={stopClick}
+                onClick={blurAfter(() => playback.seek(event.t - REPLAY_EVENT_LEAD))}
+              >
+                <span className="replay-controls__moment-time">{formatReplayTime(event.t)}</span>
+                {getReplayEventLabel(event, roster)}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="replay-controls__bar">
+        <button
+          className="replay-controls__button"
+          type="button"
+          onMouseDown={stopClick}
+          onClick={blurAfter(() => playback.setPlaying(!playing))}
+        >
+          {playing ? "Pause (K)" : "Play (K)"}
+        </button>
+        <span className="replay-controls__time">
+          {formatReplayTime(time)} / {formatReplayTime(playback.duration)}
+        </span>
+        <input
+          className="replay-controls__timeline"
+          type="range"
+          aria-label="Replay position"
+          min={playback.startTime}
+          max={playback.duration}
+          step={100}
+          value={time}
+          onMouseDown={stopClick}
+          onChange={(event) => playback.seek(Number(event.target.value))}
+          onPointerUp={(event) => event.currentTarget.blur()}
+        />
+        <div className="replay-controls__speeds" role="radiogroup" aria-label="Playback speed">
+          {REPLAY_SPEEDS.map((value) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={value === speed}
+              className={`replay-controls__button${value === speed ? " is-selected" : ""}`}
+              onMouseDown={stopClick}
+              onClick={blurAfter(() => playback.setSpeed(value))}
+            >
+              {value}×
+            </button>
+          ))}
+        </div>
+        <button
+          className="replay-controls__button"
+          type="button"
+          disabled={!follow.followed && playerCount === 0}
+          onMouseDown={stopClick}
+          onClick={blurAfter(follow.toggleFollow)}
+        >
+          {follow.followed ? "Free camera (F)" : "Follow (F)"}
+        </button>
+        <button
+          className="replay-controls__button"
+          type="button"
+          disabled={playerCount === 0}
+          onMouseDown={stopClick}
+          onClick={blurAfter(() => follow.cycleFollow(1))}
+        >
+          Next player (E)
+        </button>
+        <span className="replay-controls__hint">
+          {follow.followed ? `Following ${getPlayerLabel(follow.followed)}` : "WASD to fly · Space/C up/down"}
+          {` · J/L ±${REPLAY_SEEK_STEP / 1000}s`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayControls;
@@ -15,7 +15,7 @@ import { XR } from "@react-three/xr";
 import * as THREE from "three";
 import { RENDER_DISTANCE } from "./constants.js";
 import { World } from "./world/index.js";
-import { SessionGate, FlatSessionWorld } from "./session/index.js";
+import { SessionGate, FlatSessionWorld, SpectatorWorld, ReplayWorld } from "./session/index.js";
 
 /**
  * RendererConfig - Configure Three.js renderer settings
@@ -42,6 +42,12 @@ const RendererConfig = () => {
  * @param {Object} props.flatControls - Configuration for non-VR controls
  * @param {boolean} props.xrEnabled - Whether to enable VR support
  * @param {boolean} props.isMobile - Whether running on mobile device
+ * @param {string|null} props.roomCode - Multiplayer room to join (null for the default lobby)
+ * @param {string} props.playerName - Name shown to other players (blank for the default "Player 1a2b")
+ * @param {Object|null} props.appearance - Look shown to other players and on the local sword (see shared/appearance.js)
+ * @param {boolean} props.spectator - Watch the room with a free camera instead of playing (flat screens only)
+ * @param {Object|null} props.replay - Recorded session to play back instead of joining a room
+ *   ({ playback, roster, followId } - see ReplayWorld)
  */
 const Scene = ({ 
   store, 
@@ -49,7 +55,12 @@ const Scene = ({
   onReady, 
   flatControls, 
   xrEnabled = true, 
-  isMobile = false 
+  isMobile = false,
+  roomCode = null,
+  playerName = "",
+  appearance = null,
+  spectator = false,
+  replay = null,
 }) => {
   const handleCreated = useCallback((state) => {
     // Configure renderer on creation
@@ -89,18 +100,46 @@ const Scene = ({
         {xrEnabled ? (
           <XR store={store}>
             <World />
-            <SessionGate onSessionChange={onSessionChange} />
+            <SessionGate
+              onSessionChange={onSessionChange}
+              roomCode={roomCode}
+              playerName={playerName}
+              appearance={appearance}
+            />
           </XR>
         ) : (
           <World />
         )}
         
-        {flatActive && (
+        {flatActive && replay && (
+          <ReplayWorld
+            playback={replay.playback}
+            roster={replay.roster}
+            followId={replay.followId}
+            leftAxisRef={flatControls?.leftAxisRef}
+            rightAxisRef={flatControls?.rightAxisRef}
+            enablePointerLock={Boolean(flatControls?.enablePointerLock)}
+          />
+        )}
+
+        {flatActive && !replay && spectator && (
+          <SpectatorWorld
+            leftAxisRef={flatControls?.leftAxisRef}
+            rightAxisRef={flatControls?.rightAxisRef}
+            enablePointerLock={Boolean(flatControls?.enablePointerLock)}
+            roomCode={roomCode}
+          />
+        )}
+
+        {flatActive && !replay && !spectator && (
           <FlatSessionWorld
             leftAxisRef={flatControls?.leftAxisRef}
             rightAxisRef={flatControls?.rightAxisRef}
             enablePointerLock={Boolean(flatControls?.enablePointerLock)}
             isMobile={isMobile}
+            roomCode={roomCode}
+            playerName={playerName}
+            appearance={appearance}
           />
         )}
       </Canvas>
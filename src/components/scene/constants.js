@@ -3,12 +3,21 @@
  * Centralized configuration for the 3D game environment
  */
 import * as THREE from "three";
+import {
+  HALL_SCALE,
+  SCALE,
+  COLUMN_BASE_WIDTH,
+  COLUMN_OFFSET_JITTER,
+  WALL_THICKNESS,
+  DOOR_WIDTH,
+} from "../../../shared/world.js";
 
 // ============================================================================
 // Movement & Control Constants
 // ============================================================================
 export const DEADZONE = 0.1;
-export const MAX_SPEED = 8;
+// MAX_SPEED and BOUNDARY_MARGIN are shared with the server simulation
+export { MAX_SPEED, BOUNDARY_MARGIN } from "../../../shared/movement.js";
 export const LOOK_SPEED = 1.8;
 export const MOUSE_SENSITIVITY = 0.0025;
 export const CAMERA_HEIGHT = 1.6;
@@ -19,9 +28,37 @@ export const MAX_PITCH = Math.PI / 2 - 0.08;
 // ============================================================================
 export const SYNC_INTERVAL = 50;
 export const POSITION_LERP = 10;
-export const REMOTE_LERP = 8;
 export const AVATAR_HEIGHT = 0.9;
 
+// Snapshot interpolation - remote entities render this far behind the newest server tick
+export const INTERPOLATION_DELAY = 100; // ms - two server ticks at 20 Hz
+export const MAX_EXTRAPOLATION = 250; // ms - keep moving on late packets, then hold
+export const SNAPSHOT_BUFFER_SIZE = 30; // snapshots kept (1.5 s at 20 Hz)
+export const TELEPORT_DISTANCE = 5; // units - larger jumps between ticks snap instead of sliding
+export const RECONCILE_TOLERANCE = 0.1; // units - prediction error ignored (covers 5 cm quantization)
+
+// Chat - MAX_CHAT_LENGTH is shared with the server's chat message schema
+export { MAX_CHAT_LENGTH } from "../../../shared/chat.js";
+export const CHAT_LOG_SIZE = 50; // messages kept client-side
+
+// Names - MAX_NAME_LENGTH is shared with the server's name sanitizing
+export { MAX_NAME_LENGTH } from "../../../shared/names.js";
+export const PLAYER_NAME_STORAGE_KEY = "playerName"; // localStorage key for the intro's name prompt
+
+// Appearance - options are shared with the server's hello validation
+export { ACCESSORIES, BODY_COLORS, HEAD_SHAPES, SWORD_TINTS } from "../../../shared/appearance.js";
+export const APPEARANCE_STORAGE_KEY = "playerAppearance"; // localStorage key for the intro's appearance editor
+
+// Replays - recorded by the server (shared/replay.js) and played back at /replay/:id
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+export const REPLAY_SEEK_STEP = 5000; // ms - J and L jump back and forward this far
+export const REPLAY_EVENT_LEAD = 3000; // ms - jumping to an event starts this long before it
+
+// Voice - peers connect directly; set VITE_ICE_SERVERS (JSON) to add TURN servers for strict NATs
+export const VOICE_ICE_SERVERS = [{ urls: "stun:stun.l.google.com:19302" }];
+export const VOICE_REF_DISTANCE = 3; // units - full volume inside this range
+export const VOICE_MAX_DISTANCE = 30; // units - silent beyond this (linear falloff in between)
+
 // ============================================================================
 // Shared Vectors (reusable to avoid allocations)
 // ============================================================================
@@ -31,32 +68,22 @@ export const ZERO_AXIS = { x: 0, y: 0 };
 // ============================================================================
 // Hall Dimensions
 // ============================================================================
-export const HALL_SCALE = 5;
-export const SCALE = (value) => value * HALL_SCALE;
-
-// Room dimensions - 5x wider and longer than original
-export const HALL_WIDTH = SCALE(44 * 5);  // 5x original width
-export const HALL_LENGTH = SCALE(110 * 5);  // 5x original length
-export const HALL_HEIGHT = SCALE(32);
+// Hall size, columns, lights and spawns come from the level (see levelStore.js); the
+// architecture scale, column footprint, wall thickness and door width are shared with the
+// server, which lays out linked halls and doorway passages from them
+export { HALL_SCALE, SCALE, COLUMN_BASE_WIDTH, COLUMN_OFFSET_JITTER, WALL_THICKNESS, DOOR_WIDTH };
 
-// Render distance based on largest room dimension
-export const MAX_ROOM_DIMENSION = Math.max(HALL_WIDTH, HALL_LENGTH, HALL_HEIGHT);
-export const RENDER_DISTANCE = MAX_ROOM_DIMENSION * 1.5;
+// Camera far plane - fixed for the canvas lifetime, so it can't follow the level; 1.5x the
+// cathedral nave's length, well past the fog far plane (Lighting.jsx)
+export const RENDER_DISTANCE = SCALE(825);
 
 // Wall/Floor/Ceiling dimensions
-export const WALL_THICKNESS = SCALE(1.6);
 export const FLOOR_THICKNESS = SCALE(1.2);
 export const CEILING_THICKNESS = SCALE(1.1);
 
-// Boundary calculations
-export const BOUNDARY_MARGIN = 1.2;
-export const HALL_HALF_WIDTH = HALL_WIDTH / 2;
-export const HALL_HALF_LENGTH = HALL_LENGTH / 2;
-
 // ============================================================================
 // Door/Arch Dimensions
 // ============================================================================
-export const DOOR_WIDTH = SCALE(14);
 export const DOOR_HEIGHT = SCALE(18);  // Height to arch spring point
 export const ARCH_RADIUS = DOOR_WIDTH / 2;  // Semicircular arch
 export const TOTAL_DOOR_HEIGHT = DOOR_HEIGHT + ARCH_RADIUS;  // Full height including arch
@@ -69,21 +96,19 @@ export const COLUMN_RING_HEIGHT = SCALE(1.5);  // Transition piece
 export const COLUMN_CAP_HEIGHT = SCALE(3.0);   // Capital at top
 export const COLUMN_TOP_HEIGHT = SCALE(2.0);   // Top piece
 export const COLUMN_CLEARANCE = SCALE(0.1);
-export const COLUMN_TOTAL_HEIGHT = Math.max(SCALE(6), HALL_HEIGHT - COLUMN_CLEARANCE);
-export const COLUMN_SHAFT_HEIGHT = Math.max(
-  SCALE(4),
-  COLUMN_TOTAL_HEIGHT - COLUMN_BASE_HEIGHT - COLUMN_RING_HEIGHT - COLUMN_CAP_HEIGHT - COLUMN_TOP_HEIGHT
-);
-export const COLUMN_SHAFT_Y = COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + COLUMN_SHAFT_HEIGHT / 2;
-export const COLUMN_CAP_Y = COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + COLUMN_SHAFT_HEIGHT + COLUMN_CAP_HEIGHT / 2;
-export const COLUMN_TOP_Y = COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + COLUMN_SHAFT_HEIGHT + COLUMN_CAP_HEIGHT + COLUMN_TOP_HEIGHT / 2;
+
+// Shaft height that brings a column up to just under the ceiling of a hall
+export const getColumnShaftHeight = (hallHeight) => {
+  const totalHeight = Math.max(SCALE(6), hallHeight - COLUMN_CLEARANCE);
+  return Math.max(
+    SCALE(4),
+    totalHeight - COLUMN_BASE_HEIGHT - COLUMN_RING_HEIGHT - COLUMN_CAP_HEIGHT - COLUMN_TOP_HEIGHT
+  );
+};
 
 // ============================================================================
 // Texture Repeat Calculations
 // ============================================================================
+// Repeats per hall are worked out by World.jsx from the level's dimensions
 export const FLOOR_TILE_SIZE = SCALE(8);  // Each tile represents 8 scaled units
-export const FLOOR_REPEAT_X = Math.ceil(HALL_WIDTH / FLOOR_TILE_SIZE);
-export const FLOOR_REPEAT_Z = Math.ceil(HALL_LENGTH / FLOOR_TILE_SIZE);
 export const WALL_TILE_SIZE = SCALE(6);
-export const WALL_REPEAT_H = Math.ceil(HALL_LENGTH / WALL_TILE_SIZE);
-export const WALL_REPEAT_V = Math.ceil(HALL_HEIGHT / WALL_TILE_SIZE);
@@ -6,7 +6,6 @@ import React, { useRef } from "react";
 import { useFrame, useThree } from "@react-three/fiber";
 import * as THREE from "three";
 import {
-  MAX_SPEED,
   LOOK_SPEED,
   MOUSE_SENSITIVITY,
   CAMERA_HEIGHT,
@@ -15,12 +14,28 @@ import {
   UP,
   ZERO_AXIS,
 } from "../constants.js";
-import { applyDeadzone, clampAxis, clampToHall, getPrimaryGamepad } from "../utils.js";
+import { applyDeadzone, clampAxis, clampToLevel, getPrimaryGamepad } from "../utils.js";
+import { updateCurrentHall } from "../levelStore.js";
 
 /**
  * FlatControls - Desktop/mobile first-person controls
+ *
+ * @param {Object} props
+ * @param {boolean} props.frozen - Ignore movement input (looking around still works), e.g. while dead
+ * @param {Object} props.teleport - { position } snapped to whenever the object changes, e.g. on respawn
+ * @param {boolean} props.keyboardPaused - Ignore movement keys (held keys are released), e.g. while typing in chat
+ * @param {Object} props.predictor - Movement predictor from useMultiplayer; owns the walked position
  */
-const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock }) => {
+const FlatControls = ({
+  onMove,
+  predictor,
+  leftAxisRef,
+  rightAxisRef,
+  enablePointerLock,
+  frozen = false,
+  teleport = null,
+  keyboardPaused = false,
+}) => {
   const { camera, gl } = useThree();
   const keysRef = useRef({ forward: false, backward: false, left: false, right: false });
   const mouseDeltaRef = useRef({ x: 0, y: 0 });
@@ -32,6 +47,15 @@ const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock })
   const yawRef = useRef(0);
   const pitchRef = useRef(0);
   const activeRef = useRef(false);
+  const keyboardPausedRef = useRef(keyboardPaused);
+
+  // Read by the key handlers, so pausing doesn't re-register them; keys held when typing starts are let go
+  React.useEffect(() => {
+    keyboardPausedRef.current = keyboardPaused;
+    if (keyboardPaused) {
+      keysRef.current = { forward: false, backward: false, left: false, right: false };
+    }
+  }, [keyboardPaused]);
 
   React.useEffect(() => {
     const keyMap = {
@@ -47,7 +71,7 @@ const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock })
 
     const handleKey = (event, pressed) => {
       const action = keyMap[event.code];
-      if (!action) return;
+      if (!action || keyboardPausedRef.current) return;
       keysRef.current[action] = pressed;
     };
 
@@ -85,13 +109,19 @@ const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock })
     };
   }, [enablePointerLock, gl]);
 
+  // Snap to server-provided positions (respawn)
+  React.useEffect(() => {
+    if (!teleport?.position) return;
+    targetPosition.current.set(teleport.position.x, CAMERA_HEIGHT, teleport.position.z);
+    clampToLevel(targetPosition.current);
+    currentPosition.current.copy(targetPosition.current);
+  }, [teleport]);
+
   useFrame((state, delta) => {
     // Initialize position on first frame
     if (!activeRef.current) {
-      currentPosition.current.copy(camera.position);
-      targetPosition.current.copy(camera.position);
-      currentPosition.current.y = CAMERA_HEIGHT;
-      targetPosition.current.y = CAMERA_HEIGHT;
+      targetPosition.current.set(predictor.position.x, CAMERA_HEIGHT, predictor.position.z);
+      currentPosition.current.copy(targetPosition.current);
       camera.rotation.order = "YXZ";
       yawRef.current = camera.rotation.y;
       pitchRef.current = camera.rotation.x;
@@ -111,8 +141,8 @@ const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock })
     // Combine keyboard and gamepad input
     const keyboardX = (keysRef.current.right ? 1 : 0) - (keysRef.current.left ? 1 : 0);
     const keyboardY = (keysRef.current.backward ? 1 : 0) - (keysRef.current.forward ? 1 : 0);
-    const moveX = clampAxis(keyboardX + leftAxis.x + gpLX);
-    const moveY = clampAxis(keyboardY + leftAxis.y + gpLY);
+    const moveX = frozen ? 0 : clampAxis(keyboardX + leftAxis.x + gpLX);
+    const moveY = frozen ? 0 : clampAxis(keyboardY + leftAxis.y + gpLY);
 
     // Look input (mouse + gamepad + touch)
     const lookX = applyDeadzone(clampAxis(rightAxis.x + gpRX));
@@ -151,16 +181,15 @@ const FlatControls = ({ onMove, leftAxisRef, rightAxisRef, enablePointerLock })
       moveDirection.current.normalize();
     }
 
-    // Apply movement
-    const velocity = moveDirection.current.multiplyScalar(MAX_SPEED * delta);
-    targetPosition.current.add(velocity);
-    targetPosition.current.y = CAMERA_HEIGHT;
-    clampToHall(targetPosition.current);
+    // Apply movement through the predictor (same rules the server simulates)
+    const predicted = predictor.step(moveDirection.current.x, moveDirection.current.z, delta);
+    targetPosition.current.set(predicted.x, CAMERA_HEIGHT, predicted.z);
 
     const lerpAlpha = 1 - Math.exp(-delta * POSITION_LERP);
     currentPosition.current.lerp(targetPosition.current, lerpAlpha);
     currentPosition.current.y = CAMERA_HEIGHT;
-    clampToHall(currentPosition.current);
+    clampToLevel(currentPosition.current);
+    updateCurrentHall(currentPosition.current);
 
     camera.position.copy(currentPosition.current);
 
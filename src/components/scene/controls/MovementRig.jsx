@@ -7,16 +7,21 @@ import { useFrame, useThree } from "@react-three/fiber";
 import { useXR } from "@react-three/xr";
 import * as THREE from "three";
 import {
-  MAX_SPEED,
   POSITION_LERP,
   UP,
 } from "../constants.js";
-import { applyDeadzone, clampToHall } from "../utils.js";
+import { applyDeadzone, clampToLevel } from "../utils.js";
+import { updateCurrentHall } from "../levelStore.js";
 
 /**
  * MovementRig - VR locomotion using XR reference space offsetting
+ *
+ * @param {Object} props
+ * @param {boolean} props.frozen - Ignore thumbstick movement, e.g. while dead
+ * @param {Object} props.teleport - { position } snapped to whenever the object changes, e.g. on respawn
+ * @param {Object} props.predictor - Movement predictor from useMultiplayer; owns the walked position
  */
-const MovementRig = ({ onMove }) => {
+const MovementRig = ({ onMove, predictor, frozen = false, teleport = null }) => {
   const inputSourceStates = useXR((state) => state.inputSourceStates);
   const { gl, camera } = useThree();
   const baseRefSpace = useRef(null);
@@ -38,11 +43,19 @@ const MovementRig = ({ onMove }) => {
     controllersRef.current = { left: leftController, right: rightController };
   }, [inputSourceStates]);
 
+  // Snap to server-provided positions (respawn)
+  React.useEffect(() => {
+    if (!teleport?.position) return;
+    targetPosition.current.set(teleport.position.x, targetPosition.current.y, teleport.position.z);
+    clampToLevel(targetPosition.current);
+    currentPosition.current.copy(targetPosition.current);
+  }, [teleport]);
+
   useFrame((state, delta) => {
     const { left, right } = controllersRef.current;
     const axes = left?.inputSource?.gamepad?.axes || [];
-    const axisX = applyDeadzone(axes[2] ?? 0);
-    const axisY = applyDeadzone(axes[3] ?? 0);
+    const axisX = frozen ? 0 : applyDeadzone(axes[2] ?? 0);
+    const axisY = frozen ? 0 : applyDeadzone(axes[3] ?? 0);
 
     // Calculate movement direction based on camera orientation
     forwardDirection.current.set(0, 0, -1).applyQuaternion(camera.quaternion);
@@ -63,13 +76,15 @@ const MovementRig = ({ onMove }) => {
       moveDirection.current.normalize();
     }
     
-    const velocity = moveDirection.current.multiplyScalar(MAX_SPEED * delta);
-    targetPosition.current.add(velocity);
-    clampToHall(targetPosition.current);
+    // Apply movement through the predictor (same rules the server simulates)
+    const predicted = predictor.step(moveDirection.current.x, moveDirection.current.z, delta);
+    targetPosition.current.x = predicted.x;
+    targetPosition.current.z = predicted.z;
 
     const lerpAlpha = 1 - Math.exp(-delta * POSITION_LERP);
     currentPosition.current.lerp(targetPosition.current, lerpAlpha);
-    clampToHall(currentPosition.current);
+    clampToLevel(currentPosition.current);
+    updateCurrentHall(currentPosition.current);
 
     const session = gl.xr.getSession();
     if (!session) {
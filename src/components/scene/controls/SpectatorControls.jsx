@@ -0,0 +1,218 @@
+/**
+ * Spectator Controls
+ * Free-fly camera, or a chase camera behind a followed player, for spectators
+ */
+import React, { useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { findHallAt } from "../../../../shared/world.js";
+import {
+  LOOK_SPEED,
+  MOUSE_SENSITIVITY,
+  CAMERA_HEIGHT,
+  DOOR_HEIGHT,
+  MAX_PITCH,
+  UP,
+  ZERO_AXIS,
+} from "../constants.js";
+import { applyDeadzone, clampAxis, clampToLevel, getPrimaryGamepad } from "../utils.js";
+import { getLevel, updateCurrentHall } from "../levelStore.js";
+
+const FLY_SPEED = 12; // units per second
+const FLY_BOOST = 3; // Speed multiplier while Shift is held
+const MIN_HEIGHT = 0.3; // units above the floor
+const CEILING_MARGIN = 2; // units kept below the current hall's ceiling
+const FOLLOW_DISTANCE = 3.5; // units behind the followed player
+const FOLLOW_HEIGHT = 1.4; // units above the followed player's center
+const FOLLOW_LOOK_HEIGHT = 0.3; // Aim slightly above the avatar's center
+const FOLLOW_LERP = 6; // Softer than the flat controls' POSITION_LERP so turns don't whip the camera around
+
+const NO_KEYS = { forward: false, backward: false, left: false, right: false, up: false, down: false, boost: false };
+
+const KEY_MAP = {
+  KeyW: "forward",
+  ArrowUp: "forward",
+  KeyS: "backward",
+  ArrowDown: "backward",
+  KeyA: "left",
+  ArrowLeft: "left",
+  KeyD: "right",
+  ArrowRight: "right",
+  Space: "up",
+  KeyC: "down",
+  ShiftLeft: "boost",
+  ShiftRight: "boost",
+};
+
+/**
+ * SpectatorControls - Moves the camera for a spectator
+ * Free mode flies along the look direction (WASD, Space/C for up/down, Shift to speed up) and
+ * stays inside the level's halls. Follow mode chases a player from behind; looking around is
+ * disabled until the spectator goes back to free mode, which starts from the chase position.
+ *
+ * @param {Object} props
+ * @param {string|null} props.followId - Player to follow, null for the free camera
+ * @param {Object} props.snapshotBuffer - Interpolation buffer from useMultiplayer
+ * @param {Array} props.players - Latest player list, used until the buffer has samples
+ * @param {Object} props.leftAxisRef - Touch stick for flying
+ * @param {Object} props.rightAxisRef - Touch stick for looking
+ * @param {boolean} props.enablePointerLock - Lock the pointer on click for mouse look
+ */
+const SpectatorControls = ({ followId, snapshotBuffer, players, leftAxisRef, rightAxisRef, enablePointerLock }) => {
+  const { camera, gl } = useThree();
+  const keysRef = useRef(NO_KEYS);
+  const mouseDeltaRef = useRef({ x: 0, y: 0 });
+  const yawRef = useRef(0);
+  const pitchRef = useRef(0);
+  const activeRef = useRef(false);
+  const playersRef = useRef(players);
+  const moveDirection = useRef(new THREE.Vector3());
+  const rightDirection = useRef(new THREE.Vector3());
+  const followPosition = useRef(new THREE.Vector3());
+  const followQuaternion = useRef(new THREE.Quaternion());
+  const followTarget = useRef(new THREE.Vector3());
+  const lookTarget = useRef(new THREE.Vector3());
+
+  playersRef.current = players;
+
+  React.useEffect(() => {
+    const handleKey = (event, pressed) => {
+      const action = KEY_MAP[event.code];
+      if (!action) return;
+      if (event.code === "Space") event.preventDefault();
+      keysRef.current = { ...keysRef.current, [action]: pressed };
+    };
+
+    const handleKeyDown = (event) => handleKey(event, true);
+    const handleKeyUp = (event) => handleKey(event, false);
+    const handleBlur = () => {
+      keysRef.current = NO_KEYS;
+    };
+
+    const handleMouseMove = (event) => {
+      if (!enablePointerLock) return;
+      if (document.pointerLockElement !== gl.domElement) return;
+      mouseDeltaRef.current.x += event.movementX;
+      mouseDeltaRef.current.y += event.movementY;
+    };
+
+    const handlePointerDown = () => {
+      if (!enablePointerLock) return;
+      if (document.pointerLockElement === gl.domElement) return;
+      gl.domElement.requestPointerLock?.();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    window.addEventListener("mousemove", handleMouseMove);
+    gl.domElement.addEventListener("pointerdown", handlePointerDown);
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+      window.removeEventListener("mousemove", handleMouseMove);
+      gl.domElement.removeEventListener("pointerdown", handlePointerDown);
+    };
+  }, [enablePointerLock, gl]);
+
+  // Sample the followed player's interpolated pose, falling back to the last snapshot
+  const sampleFollowed = () => {
+    if (snapshotBuffer?.sample("players", followId, followPosition.current, followQuaternion.current)) return true;
+    const player = playersRef.current.find((entry) => entry.id === followId);
+    if (!player?.position) return false;
+    const { position, rotation } = player;
+    followPosition.current.set(position.x, position.y, position.z);
+    if (rotation) followQuaternion.current.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    return true;
+  };
+
+  const updateFollow = (delta) => {
+    if (!sampleFollowed()) return;
+    // Behind the player's facing, ignoring their pitch
+    moveDirection.current.set(0, 0, -1).applyQuaternion(followQuaternion.current);
+    moveDirection.current.y = 0;
+    if (moveDirection.current.lengthSq() < 0.0001) {
+      moveDirection.current.set(0, 0, -1);
+    } else {
+      moveDirection.current.normalize();
+    }
+    followTarget.current
+      .copy(followPosition.current)
+      .addScaledVector(moveDirection.current, -FOLLOW_DISTANCE)
+      .addScaledVector(UP, FOLLOW_HEIGHT);
+    clampToLevel(followTarget.current);
+    camera.position.lerp(followTarget.current, 1 - Math.exp(-delta * FOLLOW_LERP));
+    lookTarget.current.copy(followPosition.current).addScaledVector(UP, FOLLOW_LOOK_HEIGHT);
+    camera.lookAt(lookTarget.current);
+
+    // Free mode picks up from this view
+    yawRef.current = camera.rotation.y;
+    pitchRef.current = camera.rotation.x;
+  };
+
+  const updateFree = (delta) => {
+    const leftAxis = leftAxisRef?.current ?? ZERO_AXIS;
+    const rightAxis = rightAxisRef?.current ?? ZERO_AXIS;
+    const gamepad = getPrimaryGamepad();
+    const axes = gamepad?.axes ?? [];
+    const keys = keysRef.current;
+
+    const moveX = clampAxis((keys.right ? 1 : 0) - (keys.left ? 1 : 0) + leftAxis.x + applyDeadzone(axes[0] ?? 0));
+    const moveY = clampAxis((keys.backward ? 1 : 0) - (keys.forward ? 1 : 0) + leftAxis.y + applyDeadzone(axes[1] ?? 0));
+    const moveUp = (keys.up ? 1 : 0) - (keys.down ? 1 : 0);
+
+    // Mouse, touch and gamepad look
+    const lookX = applyDeadzone(clampAxis(rightAxis.x + applyDeadzone(axes[2] ?? 0)));
+    const lookY = applyDeadzone(clampAxis(rightAxis.y + applyDeadzone(axes[3] ?? 0)));
+    yawRef.current -= mouseDeltaRef.current.x * MOUSE_SENSITIVITY + lookX * LOOK_SPEED * delta;
+    pitchRef.current -= mouseDeltaRef.current.y * MOUSE_SENSITIVITY + lookY * LOOK_SPEED * delta;
+    pitchRef.current = THREE.MathUtils.clamp(pitchRef.current, -MAX_PITCH, MAX_PITCH);
+    camera.rotation.set(pitchRef.current, yawRef.current, 0, "YXZ");
+
+    // Fly where the camera points, strafe level with the floor
+    moveDirection.current.set(0, 0, -1).applyQuaternion(camera.quaternion).multiplyScalar(-moveY);
+    rightDirection.current.set(1, 0, 0).applyQuaternion(camera.quaternion);
+    rightDirection.current.y = 0;
+    moveDirection.current.addScaledVector(rightDirection.current.normalize(), moveX).addScaledVector(UP, moveUp);
+    if (moveDirection.current.lengthSq() > 1) {
+      moveDirection.current.normalize();
+    }
+    const speed = FLY_SPEED * (keys.boost ? FLY_BOOST : 1);
+    camera.position.addScaledVector(moveDirection.current, speed * delta);
+
+    // Stay between the floor and the ceiling of the hall below (doorway passages are lower)
+    clampToLevel(camera.position);
+    const hall = findHallAt(getLevel(), camera.position.x, camera.position.z);
+    const ceiling = (hall ? hall.height : DOOR_HEIGHT) - CEILING_MARGIN;
+    camera.position.y = THREE.MathUtils.clamp(camera.position.y, MIN_HEIGHT, Math.max(MIN_HEIGHT, ceiling));
+  };
+
+  useFrame((state, delta) => {
+    // Start where a player would spawn, looking down the hall
+    if (!activeRef.current) {
+      const spawn = getLevel().playerSpawns[0];
+      camera.position.set(spawn.x, CAMERA_HEIGHT, spawn.z);
+      camera.rotation.order = "YXZ";
+      yawRef.current = camera.rotation.y;
+      pitchRef.current = camera.rotation.x;
+      activeRef.current = true;
+    }
+
+    if (followId) {
+      updateFollow(delta);
+    } else {
+      updateFree(delta);
+    }
+    mouseDeltaRef.current.x = 0;
+    mouseDeltaRef.current.y = 0;
+
+    // Stream the halls around the camera, as they would be around a player
+    updateCurrentHall(camera.position);
+  });
+
+  return null;
+};
+
+export default SpectatorControls;
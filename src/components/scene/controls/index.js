@@ -3,3 +3,4 @@
  */
 export { default as MovementRig } from "./MovementRig.jsx";
 export { default as FlatControls } from "./FlatControls.jsx";
+export { default as SpectatorControls } from "./SpectatorControls.jsx";
@@ -1,5 +1,13 @@
 /**
  * Scene hooks barrel export
  */
-export { useMultiplayer } from "./useMultiplayer.js";
+export { useMultiplayer, CONNECTION_STATES, WAVE_STATES } from "./useMultiplayer.js";
 export { useEnemyFaceTextures } from "./useEnemyFaceTextures.js";
+export { useHudState, useChatOpen } from "./useHudState.js";
+export { useCountdown } from "./useCountdown.js";
+export { useWaveAnnouncement } from "./useWaveAnnouncement.js";
+export { useChatFeed } from "./useChatFeed.js";
+export { useLevel, useCurrentHall } from "./useLevel.js";
+export { useVoiceState, useAudioListener, useVoiceKeys } from "./useVoiceState.js";
+export { useFollowTarget } from "./useFollowTarget.js";
+export { useReplayState } from "./useReplayState.js";
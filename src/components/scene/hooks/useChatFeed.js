@@ -0,0 +1,30 @@
+/**
+ * Chat feed hook
+ * Keeps the chat feed up for a while after each new message, then lets it fade out
+ */
+import { useEffect, useState } from "react";
+
+const FEED_DURATION = 10000; // ms
+
+/**
+ * Hook for timing the chat feed
+ * @param {Array} messages - Chat log from useMultiplayer, oldest first
+ * @returns {boolean} - True while the newest message is recent enough to show the feed
+ */
+export const useChatFeed = (messages) => {
+  const [visible, setVisible] = useState(false);
+  const latestAt = messages.length > 0 ? messages[messages.length - 1].receivedAt : null;
+
+  useEffect(() => {
+    const remaining = latestAt === null ? 0 : FEED_DURATION - (performance.now() - latestAt);
+    if (remaining <= 0) {
+      setVisible(false);
+      return undefined;
+    }
+    setVisible(true);
+    const timeout = setTimeout(() => setVisible(false), remaining);
+    return () => clearTimeout(timeout);
+  }, [latestAt]);
+
+  return visible;
+};
@@ -0,0 +1,29 @@
+/**
+ * Countdown hook
+ * Whole seconds remaining until a performance.now() timestamp
+ */
+import { useEffect, useState } from "react";
+
+const TICK_INTERVAL = 250; // ms
+
+/**
+ * Hook for a ticking countdown (respawn timers, wave intermissions)
+ * @param {number|null} targetTime - performance.now() timestamp, or null when inactive
+ * @returns {number} - Whole seconds left (0 when inactive or elapsed)
+ */
+export const useCountdown = (targetTime) => {
+  const [seconds, setSeconds] = useState(0);
+
+  useEffect(() => {
+    if (!targetTime) {
+      setSeconds(0);
+      return undefined;
+    }
+    const tick = () => setSeconds(Math.max(0, Math.ceil((targetTime - performance.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [targetTime]);
+
+  return seconds;
+};
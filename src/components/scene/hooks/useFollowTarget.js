@@ -0,0 +1,56 @@
+/**
+ * Follow target hook
+ * Picks the player a spectator camera follows, with the F / Q / E keys
+ */
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Hook for the player a spectator camera follows
+ * F switches between the free camera and following; Q and E pick the previous or next player
+ * (and start following). A followed player who leaves hands the camera back to free mode.
+ * @param {Array<Object>} players - Players that can be followed ({ id }), in cycling order
+ * @returns {Object} - { followId, followed, toggleFollow, cycleFollow } - followId is null for
+ *   the free camera; cycleFollow takes a step (1 next, -1 previous)
+ */
+export const useFollowTarget = (players) => {
+  const [followId, setFollowId] = useState(null);
+  const followed = players.find((player) => player.id === followId) ?? null;
+
+  // Step through the players in list order, wrapping around (starts following from the free camera)
+  const cycleFollow = useCallback(
+    (step) => {
+      if (players.length === 0) return;
+      const index = players.findIndex((player) => player.id === followId);
+      const next = index < 0 ? (step > 0 ? 0 : players.length - 1) : (index + step + players.length) % players.length;
+      setFollowId(players[next].id);
+    },
+    [players, followId]
+  );
+
+  const toggleFollow = useCallback(() => {
+    if (followId) {
+      setFollowId(null);
+    } else {
+      cycleFollow(1);
+    }
+  }, [followId, cycleFollow]);
+
+  useEffect(() => {
+    if (followId && !followed) {
+      setFollowId(null);
+    }
+  }, [followId, followed]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.repeat) return;
+      if (event.code === "KeyF") toggleFollow();
+      if (event.code === "KeyQ") cycleFollow(-1);
+      if (event.code === "KeyE") cycleFollow(1);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [toggleFollow, cycleFollow]);
+
+  return { followId: followed ? followId : null, followed, toggleFollow, cycleFollow };
+};
@@ -0,0 +1,21 @@
+/**
+ * HUD state hook
+ * Subscribes DOM overlays to the module-level HUD store
+ */
+import { useSyncExternalStore } from "react";
+import { getHudState, subscribeHud } from "../hudStore.js";
+
+/**
+ * Hook for reading the shared HUD state
+ * @returns {Object} - Current HUD state
+ */
+export const useHudState = () => useSyncExternalStore(subscribeHud, getHudState, getHudState);
+
+const getChatOpen = () => getHudState().chatOpen;
+
+/**
+ * Hook for reading whether the DOM chat box has focus
+ * Session worlds use this instead of useHudState so other HUD updates don't re-render them
+ * @returns {boolean} - True while the player is typing a chat message
+ */
+export const useChatOpen = () => useSyncExternalStore(subscribeHud, getChatOpen, getChatOpen);
@@ -0,0 +1,18 @@
+/**
+ * Level hooks
+ * Subscribe components to the module-level level store
+ */
+import { useSyncExternalStore } from "react";
+import { getCurrentHallId, getLevel, subscribeLevel } from "../levelStore.js";
+
+/**
+ * Hook for reading the current level
+ * @returns {Object} - Parsed level (see parseLevel in shared/world.js)
+ */
+export const useLevel = () => useSyncExternalStore(subscribeLevel, getLevel, getLevel);
+
+/**
+ * Hook for reading the hall the local player is in
+ * @returns {string} - Hall id
+ */
+export const useCurrentHall = () => useSyncExternalStore(subscribeLevel, getCurrentHallId, getCurrentHallId);
@@ -3,56 +3,399 @@
  * Handles connection, state synchronization, and player interactions
  */
 import { useCallback, useRef, useState, useEffect } from "react";
-import { resolveWsUrl } from "../utils.js";
-import { SYNC_INTERVAL } from "../constants.js";
+import { resolveDebugPaths, resolveIceServers, resolveSnapshotProtocol, resolveWsUrl } from "../utils.js";
+import { CHAT_LOG_SIZE, SYNC_INTERVAL } from "../constants.js";
+import { createSnapshotBuffer } from "../interpolation.js";
+import { createMovementPredictor } from "../prediction.js";
+import { setLevel } from "../levelStore.js";
+import { createVoiceChat } from "../voice.js";
+import { isValidChatText, normalizeChatText } from "../../../../shared/chat.js";
+import { generateDungeon } from "../../../../shared/dungeon.js";
+import { decodeSnapshot, dequantizeEnemy, dequantizePlayer, readFrameHeader } from "../../../../shared/protocol.js";
+
+const INITIAL_LOCAL_STATUS = {
+  health: 100,
+  maxHealth: 100,
+  alive: true,
+  respawnAt: null, // performance.now() timestamp while dead
+};
+
+const SNAPSHOT_HISTORY = 64; // Decoded ticks kept as delta baselines (matches the server)
+
+// Reconnection - exponential backoff with jitter, resuming the session while the server holds it
+const RECONNECT_BASE_DELAY = 500; // ms
+const RECONNECT_MAX_DELAY = 10000; // ms
+
+// The server pings every 2 s; this much silence means the connection is half-open
+const SERVER_TIMEOUT = 10000; // ms
+
+/**
+ * Connection states exposed by useMultiplayer
+ */
+export const CONNECTION_STATES = {
+  CONNECTING: "connecting",
+  CONNECTED: "connected",
+  RECONNECTING: "reconnecting",
+};
+
+/**
+ * Wave phases sent by the server
+ */
+export const WAVE_STATES = {
+  ACTIVE: "active",
+  INTERMISSION: "intermission",
+};
+
+// Convert a server wave status into client time (countdowns against performance.now())
+const toWaveState = (payload, announced) => ({
+  wave: payload.wave ?? 0,
+  state: payload.state ?? WAVE_STATES.ACTIVE,
+  enemyCount: payload.enemyCount ?? 0,
+  startsAt: payload.state === WAVE_STATES.INTERMISSION ? performance.now() + (payload.startsIn ?? 0) : null,
+  clearTime: payload.clearTime ?? null, // ms, only on the "cleared" announcement
+  announcedAt: announced ? performance.now() : null, // Set for live announcements, not the welcome catch-up
+});
+
+// Client-side notices shown in the chat log for refused messages
+const CHAT_REJECTIONS = {
+  rate_limited: "You're sending messages too quickly",
+};
+
+// Server chat entries get their arrival time, for fading the feed
+const toChatMessage = (entry) => ({
+  id: entry.id,
+  playerId: entry.playerId,
+  name: entry.name ?? null,
+  color: entry.color,
+  text: entry.text,
+  receivedAt: performance.now(),
+});
+
+// Name and look for the server - appearance is left out until the player has one
+const createHello = ({ playerName, appearance }) =>
+  appearance ? { type: "hello", name: playerName, appearance } : { type: "hello", name: playerName };
 
 /**
  * Hook for multiplayer game state via WebSocket
- * @returns {Object} - { players, enemies, localIdRef, sendMove, sendAttack }
+ * @param {Object} options
+ * @param {string|null} options.roomCode - Room to join (null for the default lobby)
+ * @param {string} options.playerName - Name to play under, sent in a hello after every welcome (blank keeps the default)
+ * @param {Object|null} options.appearance - Look sent with the name ({ body, head, accessory, sword }); null keeps the server's default
+ * @param {boolean} options.spectator - Join as a spectator: no hello, no voice, and the server ignores input
+ * @returns {Object} - { players, enemies, snapshotBuffer, predictor, attackResult, localStatus,
+ *   damageEvent, respawnEvent, scoreboard, wave, navPaths, chatMessages, voice, room, connection, rtt, localIdRef,
+ *   sendInput, sendAttack, sendChat }
+ *
+ * players/enemies hold the latest server state (health, alive...). Remote entity motion
+ * should be sampled from snapshotBuffer, which renders a fixed delay in the past. Local
+ * movement goes through predictor (see prediction.js); the server owns the real position.
+ * The welcome carries the room's dungeon seed (or, for a server with a fixed level file, the
+ * level itself); the generated level is handed to the level store (World re-renders from it,
+ * prediction and controls clamp to its halls).
+ * Dropped connections reconnect with backoff and resume the same player (id, appearance, position)
+ * if the server's grace period hasn't run out. rtt is the server-measured round-trip time in
+ * ms (null until the first heartbeat). wave is the room's wave progress ({ wave, state,
+ * enemyCount, startsAt, clearTime, announcedAt }), null until the welcome arrives. navPaths
+ * lists the routes enemies are following ({ id, direct, points: [[x, z]...] }), only sent
+ * when the page was opened with ?debug=paths. chatMessages is the room's chat, oldest first
+ * ({ id, playerId, name, color, text, receivedAt }, or { id, system: true, text, receivedAt } for
+ * local notices); the welcome replaces it with the server's recent history. voice is the
+ * session's voice chat (see voice.js): it follows the player list and its WebRTC signals go
+ * through this socket; read it with useVoiceState. A spectator's welcome has no resume token or
+ * position - reconnecting simply watches again.
  */
-export const useMultiplayer = () => {
+export const useMultiplayer = ({ roomCode = null, playerName = "", appearance = null, spectator = false } = {}) => {
   const [players, setPlayers] = useState([]);
   const [enemies, setEnemies] = useState([]);
+  const [attackResult, setAttackResult] = useState(null);
+  const [localStatus, setLocalStatus] = useState(INITIAL_LOCAL_STATUS);
+  const [damageEvent, setDamageEvent] = useState(null);
+  const [respawnEvent, setRespawnEvent] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [connection, setConnection] = useState(CONNECTION_STATES.CONNECTING);
+  const [rtt, setRtt] = useState(null);
+  const [scoreboard, setScoreboard] = useState([]);
+  const [wave, setWave] = useState(null);
+  const [navPaths, setNavPaths] = useState([]);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [snapshotBuffer] = useState(createSnapshotBuffer);
+  const [predictor] = useState(createMovementPredictor);
   const socketRef = useRef(null);
+  const [voice] = useState(() =>
+    createVoiceChat({
+      sendSignal: (to, signal) => {
+        const socket = socketRef.current;
+        if (socket?.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: "signal", to, ...signal }));
+        }
+      },
+      iceServers: resolveIceServers(),
+    })
+  );
   const localIdRef = useRef(null);
   const lastSentRef = useRef(0);
+  const profileRef = useRef({ playerName, appearance });
 
   useEffect(() => {
-    const socket = new WebSocket(resolveWsUrl());
-    socketRef.current = socket;
+    let socket = null;
+    let disposed = false;
+    let reconnectTimer = null;
+    let attempts = 0;
+    let resumeToken = null; // Issued in each welcome, scoped to this room
+    let lastMessageAt = 0;
+    const snapshots = new Map(); // tick -> decoded snapshot
 
-    socket.addEventListener("message", (event) => {
+    // One snapshot per server tick, whichever encoding it arrived in
+    const applySnapshot = (snapshot) => {
+      snapshotBuffer.push(snapshot);
+      const self = snapshot.players.find((player) => player.id === localIdRef.current);
+      if (self?.position && Number.isInteger(snapshot.inputAck)) {
+        predictor.reconcile(self.position, snapshot.inputAck);
+      }
+      setPlayers(snapshot.players);
+      setEnemies(snapshot.enemies);
+      voice.setPeers(snapshot.players.map((player) => player.id));
+    };
+
+    const sendAck = (seq) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: "ack", seq }));
+      }
+    };
+
+    // Binary state frames are deltas against a snapshot we acknowledged earlier
+    const handleSnapshotFrame = (buffer) => {
+      const header = readFrameHeader(buffer);
+      if (!header) return;
+      const baseline = header.baselineSeq ? snapshots.get(header.baselineSeq) : null;
+      if (header.baselineSeq && !baseline) {
+        // Lost track of the baseline - ask for a full snapshot
+        sendAck(0);
+        return;
+      }
+      
+      const snapshot = decodeSnapshot(buffer, baseline);
+      snapshots.set(snapshot.seq, snapshot);
+      snapshots.delete(snapshot.seq - SNAPSHOT_HISTORY);
+      
+      applySnapshot({
+        time: snapshot.time,
+        players: Array.from(snapshot.players.values(), dequantizePlayer),
+        enemies: Array.from(snapshot.enemies.values(), dequantizeEnemy),
+        inputAck: snapshot.inputAck,
+      });
+      sendAck(snapshot.seq);
+    };
+
+    const handleMessage = (event) => {
+      lastMessageAt = performance.now();
       try {
+        if (event.data instanceof ArrayBuffer) {
+          handleSnapshotFrame(event.data);
+          return;
+        }
+        
         const payload = JSON.parse(event.data);
         
+        // Heartbeat - echo the server timestamp; the server reports the RTT it measured
+        if (payload.type === "ping") {
+          if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify({ type: "pong", t: payload.t }));
+          }
+          setRtt(Number.isFinite(payload.rtt) ? payload.rtt : null);
+          return;
+        }
+        
+        // Sent on every (re)connect - a resumed session keeps its id, health and position
         if (payload.type === "welcome") {
+          attempts = 0;
+          resumeToken = payload.resumeToken ?? null;
           localIdRef.current = payload.id;
+          if (!payload.spectator) {
+            voice.setLocalId(payload.id);
+            socket.send(JSON.stringify(createHello(profileRef.current)));
+          }
+          if (payload.seed !== undefined || payload.level) {
+            try {
+              setLevel(payload.seed !== undefined ? generateDungeon(payload.seed) : payload.level);
+            } catch (error) {
+              console.error("Invalid level from server, keeping the current one", error);
+            }
+          }
+          setConnection(CONNECTION_STATES.CONNECTED);
+          setRoom(payload.room ?? null);
+          if (payload.position) {
+            predictor.reset(payload.position);
+          }
           setPlayers(Array.isArray(payload.players) ? payload.players : []);
+          voice.setPeers(Array.isArray(payload.players) ? payload.players.map((player) => player.id) : []);
           setEnemies(Array.isArray(payload.enemies) ? payload.enemies : []);
+          setWave(payload.wave ? toWaveState(payload.wave, false) : null);
+          setChatMessages(Array.isArray(payload.chat) ? payload.chat.map(toChatMessage) : []);
+          setLocalStatus({
+            ...INITIAL_LOCAL_STATUS,
+            health: payload.health ?? INITIAL_LOCAL_STATUS.health,
+            maxHealth: payload.maxHealth ?? INITIAL_LOCAL_STATUS.maxHealth,
+            alive: payload.alive !== false,
+            respawnAt: payload.alive === false ? performance.now() + (payload.respawnIn ?? 0) : null,
+          });
           return;
         }
         
-        if (payload.type === "state") {
-          setPlayers(Array.isArray(payload.players) ? payload.players : []);
+        // JSON fallback (?protocol=json) - same tick snapshot, full state every time
+        if (payload.type === "snapshot") {
+          applySnapshot({
+            time: payload.time,
+            players: Array.isArray(payload.players) ? payload.players : [],
+            enemies: Array.isArray(payload.enemies) ? payload.enemies : [],
+            inputAck: payload.inputAck,
+          });
         }
         
-        if (payload.type === "enemies") {
-          setEnemies(Array.isArray(payload.enemies) ? payload.enemies : []);
+        // Session kills/deaths/streaks, sorted by the server
+        if (payload.type === "scoreboard") {
+          setScoreboard(Array.isArray(payload.players) ? payload.players : []);
+        }
+        
+        // Wave started, or cleared with the intermission countdown to the next one
+        if (payload.type === "wave") {
+          setWave(toWaveState(payload, true));
+        }
+        
+        // Enemy navigation debug feed (?debug=paths)
+        if (payload.type === "paths") {
+          setNavPaths(Array.isArray(payload.enemies) ? payload.enemies : []);
+        }
+        
+        // Chat from anyone in the room (our own messages come back this way too, filtered)
+        if (payload.type === "chat") {
+          setChatMessages((messages) => [...messages, toChatMessage(payload)].slice(-CHAT_LOG_SIZE));
+        }
+        
+        if (payload.type === "chatRejected") {
+          const notice = {
+            id: `notice-${performance.now()}`,
+            system: true,
+            text: CHAT_REJECTIONS[payload.reason] ?? "Message not sent",
+            receivedAt: performance.now(),
+          };
+          setChatMessages((messages) => [...messages, notice].slice(-CHAT_LOG_SIZE));
+        }
+        
+        // Voice chat offer, answer or ICE candidate from another player
+        if (payload.type === "signal") {
+          voice.handleSignal(payload);
+        }
+        
+        // Server verdict on our last attack (rejected attacks carry a reason)
+        if (payload.type === "attackResult") {
+          setAttackResult({ ...payload, receivedAt: performance.now() });
+        }
+        
+        // Damage is only ever sent to the player who took it
+        if (payload.type === "damage") {
+          setDamageEvent({ ...payload, receivedAt: performance.now() });
+          setLocalStatus((status) => ({ ...status, health: payload.health }));
+        }
+        
+        if (payload.type === "death" && payload.playerId === localIdRef.current) {
+          setLocalStatus((status) => ({
+            ...status,
+            health: 0,
+            alive: false,
+            respawnAt: performance.now() + (payload.respawnIn ?? 0),
+          }));
+        }
+        
+        if (payload.type === "respawn" && payload.playerId === localIdRef.current) {
+          if (payload.position) {
+            predictor.reset(payload.position);
+          }
+          setLocalStatus((status) => ({
+            ...status,
+            health: payload.health ?? status.maxHealth,
+            alive: true,
+            respawnAt: null,
+          }));
+          setRespawnEvent({ position: payload.position, receivedAt: performance.now() });
         }
       } catch (error) {
         console.error("Invalid multiplayer payload", error);
       }
-    });
+    };
+
+    const scheduleReconnect = () => {
+      const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempts);
+      attempts += 1;
+      setConnection(CONNECTION_STATES.RECONNECTING);
+      reconnectTimer = setTimeout(connect, backoff * (0.5 + Math.random() * 0.5));
+    };
+
+    // Give up on a socket that went silent without closing, then reconnect
+    const checkServerTimeout = () => {
+      if (socket?.readyState !== WebSocket.OPEN) return;
+      if (performance.now() - lastMessageAt < SERVER_TIMEOUT) return;
+      const stale = socket;
+      stale.removeEventListener("message", handleMessage);
+      stale.removeEventListener("close", handleClose);
+      stale.close();
+      scheduleReconnect();
+    };
+
+    const handleClose = () => {
+      if (!disposed) {
+        scheduleReconnect();
+      }
+    };
+
+    const connect = () => {
+      // Delta baselines and server timestamps don't carry over between sockets
+      snapshots.clear();
+      snapshotBuffer.clear();
+      socket = new WebSocket(
+        resolveWsUrl(roomCode, {
+          protocol: resolveSnapshotProtocol(),
+          resumeToken,
+          debug: resolveDebugPaths() ? "paths" : null,
+          spectate: spectator,
+        })
+      );
+      socket.binaryType = "arraybuffer";
+      socketRef.current = socket;
+      lastMessageAt = performance.now();
+      socket.addEventListener("message", handleMessage);
+      socket.addEventListener("close", handleClose);
+    };
+
+    connect();
+    const timeoutCheck = setInterval(checkServerTimeout, SERVER_TIMEOUT / 4);
 
     return () => {
-      socket.close();
+      disposed = true;
+      clearTimeout(reconnectTimer);
+      clearInterval(timeoutCheck);
+      socket?.close();
+      socketRef.current = null;
+      voice.close();
     };
-  }, []);
+  }, [roomCode, spectator, snapshotBuffer, predictor, voice]);
+
+  // Renames and restyles mid-session go out straight away; the next welcome repeats the hello anyway
+  useEffect(() => {
+    const profile = profileRef.current;
+    if (profile.playerName === playerName && profile.appearance === appearance) return;
+    profileRef.current = { playerName, appearance };
+    const socket = socketRef.current;
+    if (!spectator && socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(createHello(profileRef.current)));
+    }
+  }, [playerName, appearance, spectator]);
 
   /**
-   * Send position/rotation update to server
+   * Send queued movement commands and the current look rotation to the server
+   * @param {THREE.Quaternion} quaternion - Head/camera rotation
    */
-  const sendMove = useCallback((position, quaternion) => {
+  const sendInput = useCallback((quaternion) => {
     const socket = socketRef.current;
     if (!socket || socket.readyState !== WebSocket.OPEN) {
       return;
@@ -66,17 +409,19 @@ export const useMultiplayer = () => {
     
     socket.send(
       JSON.stringify({
-        type: "move",
-        position: { x: position.x, y: position.y, z: position.z },
+        type: "input",
+        inputs: predictor.takeUnsent(),
         rotation: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
       })
     );
-  }, []);
+  }, [predictor]);
 
   /**
    * Send attack command to server
+   * @param {string} enemyId - Targeted enemy
+   * @param {string} attackType - "slash" (flat-screen) or "swing" (VR), selects server damage
    */
-  const sendAttack = useCallback((enemyId) => {
+  const sendAttack = useCallback((enemyId, attackType = "slash") => {
     const socket = socketRef.current;
     if (!socket || socket.readyState !== WebSocket.OPEN) {
       return;
@@ -85,9 +430,46 @@ export const useMultiplayer = () => {
       JSON.stringify({
         type: "attack",
         enemyId,
+        attackType,
       })
     );
   }, []);
 
-  return { players, enemies, localIdRef, sendMove, sendAttack };
+  /**
+   * Send a chat message to the room
+   * @param {string} text - Typed text; blank text is ignored
+   * @returns {boolean} - False when nothing was sent (blank, too long or not connected)
+   */
+  const sendChat = useCallback((text) => {
+    const socket = socketRef.current;
+    const normalized = normalizeChatText(text);
+    if (!socket || socket.readyState !== WebSocket.OPEN || !isValidChatText(normalized)) {
+      return false;
+    }
+    socket.send(JSON.stringify({ type: "chat", text: normalized }));
+    return true;
+  }, []);
+
+  return {
+    players,
+    enemies,
+    snapshotBuffer,
+    predictor,
+    attackResult,
+    localStatus,
+    damageEvent,
+    respawnEvent,
+    scoreboard,
+    wave,
+    navPaths,
+    chatMessages,
+    voice,
+    room,
+    connection,
+    rtt,
+    localIdRef,
+    sendInput,
+    sendAttack,
+    sendChat,
+  };
 };
@@ -0,0 +1,13 @@
+/**
+ * Replay state hook
+ * Subscribes components to a replay's playback clock
+ */
+import { useSyncExternalStore } from "react";
+
+/**
+ * Hook for reading a replay's playback state
+ * @param {Object} playback - Playback from createReplayPlayback (replay.js)
+ * @returns {Object} - { time, playing, speed, frame }
+ */
+export const useReplayState = (playback) =>
+  useSyncExternalStore(playback.subscribe, playback.getState, playback.getState);
@@ -0,0 +1,86 @@
+/**
+ * Voice chat hooks
+ * Subscribe components to the session's voice chat, give the scene an audio listener and bind the flat voice keys
+ */
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { MIC_STATES } from "../voice.js";
+
+const NO_VOICE_STATE = { supported: false, mic: MIC_STATES.OFF, muted: true, pushToTalk: false, transmitting: false, streams: {} };
+const noop = () => () => {};
+const getNoVoiceState = () => NO_VOICE_STATE;
+
+/**
+ * Hook for reading a voice chat's state
+ * @param {Object|null} voice - Voice chat from useMultiplayer (null outside a session)
+ * @returns {Object} - { supported, mic, muted, pushToTalk, transmitting, streams }
+ */
+export const useVoiceState = (voice) =>
+  useSyncExternalStore(voice?.subscribe ?? noop, voice?.getState ?? getNoVoiceState, voice?.getState ?? getNoVoiceState);
+
+/**
+ * Hook for the scene's audio listener, carried by the camera so voices are heard from the player's head
+ * @returns {THREE.AudioListener} - Listener for PositionalAudio sources
+ */
+export const useAudioListener = () => {
+  const camera = useThree((state) => state.camera);
+  const [listener] = useState(() => new THREE.AudioListener());
+
+  useEffect(() => {
+    camera.add(listener);
+    return () => {
+      camera.remove(listener);
+    };
+  }, [camera, listener]);
+
+  // Browsers keep audio contexts suspended until the page gets a gesture
+  useEffect(() => {
+    const resume = () => {
+      if (listener.context.state === "suspended") {
+        listener.context.resume().catch(() => {});
+      }
+    };
+    resume();
+    window.addEventListener("pointerdown", resume);
+    window.addEventListener("keydown", resume);
+    return () => {
+      window.removeEventListener("pointerdown", resume);
+      window.removeEventListener("keydown", resume);
+    };
+  }, [listener]);
+
+  return listener;
+};
+
+/**
+ * Hook for the flat-screen voice keys - M toggles the open mic, holding V talks while muted
+ * @param {Object|null} voice - Voice chat from useMultiplayer
+ * @param {boolean} enabled - False while the keyboard belongs to something else (the chat box)
+ */
+export const useVoiceKeys = (voice, enabled) => {
+  useEffect(() => {
+    if (!voice || !enabled) {
+      voice?.setPushToTalk(false);
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      if (event.repeat) return;
+      if (event.code === "KeyM") voice.setMuted(!voice.getState().muted);
+      if (event.code === "KeyV") voice.setPushToTalk(true);
+    };
+    const handleKeyUp = (event) => {
+      if (event.code === "KeyV") voice.setPushToTalk(false);
+    };
+    const handleBlur = () => voice.setPushToTalk(false);
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, [voice, enabled]);
+};
@@ -0,0 +1,29 @@
+/**
+ * Wave announcement hook
+ * Keeps a "Wave 3" / "Wave 2 cleared" banner up for a few seconds after the server announces it
+ */
+import { useEffect, useState } from "react";
+
+const ANNOUNCEMENT_DURATION = 3000; // ms
+
+/**
+ * Hook for timing the wave banner
+ * @param {Object|null} wave - Wave state from useMultiplayer
+ * @returns {boolean} - True while the latest announcement should be shown
+ */
+export const useWaveAnnouncement = (wave) => {
+  const [visible, setVisible] = useState(false);
+  const announcedAt = wave?.announcedAt ?? null;
+
+  useEffect(() => {
+    if (announcedAt === null) {
+      setVisible(false);
+      return undefined;
+    }
+    setVisible(true);
+    const timeout = setTimeout(() => setVisible(false), ANNOUNCEMENT_DURATION);
+    return () => clearTimeout(timeout);
+  }, [announcedAt]);
+
+  return visible;
+};
@@ -0,0 +1,66 @@
+/**
+ * HUD store
+ * Module-level state shared between the session worlds and the DOM HUD overlay
+ *
+ * Session worlds render inside the R3F canvas, so DOM overlays can't be their
+ * children. Like the VR combat state in xrStore.jsx, they communicate through
+ * module-level state instead; the overlay subscribes via useHudState.
+ * Chat is the one two-way field: the overlay's chat box sends through sendChat and
+ * flags chatOpen, which the flat session world reads to pause keyboard movement.
+ */
+
+const initialHudState = {
+  attackFeedback: null,
+  playerStatus: null, // { health, maxHealth, alive, respawnAt }
+  damageEvent: null,
+  room: null, // Room code confirmed by the server
+  connection: null, // CONNECTION_STATES value from useMultiplayer
+  rtt: null, // Round-trip time in ms measured by the server heartbeat
+  scoreboard: [], // Session rows from the server, best first
+  localId: null, // Highlights the local player's scoreboard row
+  wave: null, // Wave progress from useMultiplayer
+  enemiesRemaining: 0, // Alive enemies in the current wave
+  chat: [], // Chat log from useMultiplayer, oldest first
+  sendChat: null, // useMultiplayer's sendChat while a session is running
+  chatOpen: false, // The chat box has focus - movement keys are typing
+  voice: null, // Voice chat from useMultiplayer while a session is running (mute button)
+  spectator: null, // { following, playerCount, toggleFollow, cycleFollow } while spectating
+};
+
+let hudState = initialHudState;
+const listeners = new Set();
+
+/**
+ * Get the current HUD state snapshot
+ * @returns {Object} - Current HUD state
+ */
+export const getHudState = () => hudState;
+
+/**
+ * Merge a partial update into the HUD state and notify subscribers
+ * @param {Object} partial - Fields to update
+ */
+export const updateHud = (partial) => {
+  hudState = { ...hudState, ...partial };
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Reset the HUD state (used when a session world unmounts)
+ */
+export const resetHud = () => {
+  hudState = initialHudState;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribe to HUD state changes
+ * @param {Function} listener - Called after every update
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeHud = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
@@ -7,6 +7,9 @@
  * - constants.js    - Configuration values and dimensions
  * - utils.js        - Pure utility functions
  * - materials.js    - Procedural texture/material generation
+ * - hudStore.js     - Module-level state shared with the DOM HUD overlay
+ * - levelStore.js   - Current level (server-chosen, bundled default until the welcome)
+ * - interpolation.js - Snapshot buffer for rendering remote entities in the past
  * - hooks/          - React hooks (useMultiplayer, useEnemyFaceTextures)
  * - world/          - Environment components (World, Columns, Doorway, etc.)
  * - controls/       - Input handling (MovementRig, FlatControls)
@@ -25,6 +28,15 @@ export * from "./utils.js";
 // Materials
 export * from "./materials.js";
 
+// HUD store
+export * from "./hudStore.js";
+
+// Level store
+export * from "./levelStore.js";
+
+// Snapshot interpolation
+export * from "./interpolation.js";
+
 // Hooks
 export * from "./hooks/index.js";
 
@@ -0,0 +1,158 @@
+/**
+ * Snapshot interpolation
+ * Buffers timestamped server snapshots and samples remote entities a fixed delay in the past
+ *
+ * Rendering INTERPOLATION_DELAY behind the newest tick means there is nearly always a
+ * snapshot on either side of the render time to blend between, however unevenly packets
+ * arrive. When they run late the buffer extrapolates from the last two snapshots for up to
+ * MAX_EXTRAPOLATION, then holds position until the next one lands.
+ */
+import * as THREE from "three";
+import {
+  INTERPOLATION_DELAY,
+  MAX_EXTRAPOLATION,
+  SNAPSHOT_BUFFER_SIZE,
+  TELEPORT_DISTANCE,
+} from "./constants.js";
+
+const CLOCK_DRIFT = 0.05; // Blend factor when the server clock estimate moves backwards
+
+const tempQuaternion = new THREE.Quaternion();
+
+/**
+ * Index entity arrays by id
+ * @param {Object} snapshot - { time, players, enemies } as broadcast by the server
+ * @returns {Object} - Buffer entry with players/enemies Maps of { x, y, z, rotation }
+ */
+const toEntry = ({ time, players = [], enemies = [] }) => ({
+  time,
+  players: new Map(players.map((p) => [p.id, { ...p.position, rotation: p.rotation }])),
+  enemies: new Map(enemies.map((e) => [e.id, { x: e.x, y: e.y, z: e.z, rotation: null }])),
+});
+
+const writeState = (state, outPosition, outQuaternion) => {
+  outPosition.set(state.x, state.y, state.z);
+  if (outQuaternion && state.rotation) {
+    const { x, y, z, w } = state.rotation;
+    outQuaternion.set(x, y, z, w);
+  }
+};
+
+/**
+ * Blend two states of one entity - jumps further than TELEPORT_DISTANCE (respawns) snap instead of sliding
+ * Also used by replay playback (replay.js), which steps through recorded frames the same way
+ * @param {Object} a - Earlier state { x, y, z, rotation }
+ * @param {Object} b - Later state
+ * @param {number} t - Blend factor, 0 (a) to 1 (b)
+ * @param {THREE.Vector3} outPosition - Receives the position
+ * @param {THREE.Quaternion} outQuaternion - Receives the rotation (optional)
+ */
+export const blendStates = (a, b, t, outPosition, outQuaternion = null) => {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  if (dx * dx + dz * dz > TELEPORT_DISTANCE * TELEPORT_DISTANCE) {
+    writeState(t < 0.5 ? a : b, outPosition, outQuaternion);
+    return;
+  }
+  outPosition.set(a.x + dx * t, a.y + (b.y - a.y) * t, a.z + dz * t);
+  if (outQuaternion && a.rotation && b.rotation) {
+    outQuaternion.set(a.rotation.x, a.rotation.y, a.rotation.z, a.rotation.w);
+    tempQuaternion.set(b.rotation.x, b.rotation.y, b.rotation.z, b.rotation.w);
+    outQuaternion.slerp(tempQuaternion, t);
+  }
+};
+
+/**
+ * Create an interpolation buffer for one connection
+ * @returns {Object} - { push, sample, clear }
+ */
+export const createSnapshotBuffer = () => {
+  const entries = []; // Oldest first
+  let clockOffset = null; // Estimated server time minus performance.now()
+
+  /**
+   * Add a snapshot received from the server
+   * @param {Object} snapshot - { time, players, enemies } (time in server ms)
+   */
+  const push = (snapshot) => {
+    if (!Number.isFinite(snapshot.time)) return;
+    const newest = entries[entries.length - 1];
+    if (newest && snapshot.time <= newest.time) return;
+
+    // The least-delayed packet gives the best clock estimate: jump forward, drift back
+    const offset = snapshot.time - performance.now();
+    if (clockOffset === null || offset > clockOffset) {
+      clockOffset = offset;
+    } else {
+      clockOffset += (offset - clockOffset) * CLOCK_DRIFT;
+    }
+
+    entries.push(toEntry(snapshot));
+    if (entries.length > SNAPSHOT_BUFFER_SIZE) {
+      entries.shift();
+    }
+  };
+
+  /**
+   * Sample an entity at the current render time
+   * @param {string} kind - "players" or "enemies"
+   * @param {string} id - Entity id
+   * @param {THREE.Vector3} outPosition - Receives the position
+   * @param {THREE.Quaternion} outQuaternion - Receives the rotation (players only, optional)
+   * @returns {boolean} - False when the entity isn't in the buffer
+   */
+  const sample = (kind, id, outPosition, outQuaternion = null) => {
+    if (entries.length === 0) return false;
+    const renderTime = performance.now() + clockOffset - INTERPOLATION_DELAY;
+
+    // Newest snapshot at or before the render time
+    let index = entries.length - 1;
+    while (index > 0 && entries[index].time > renderTime) {
+      index--;
+    }
+    const from = entries[index];
+    const to = entries[index + 1];
+    const a = from[kind].get(id);
+    const b = to?.[kind].get(id);
+
+    if (!a) {
+      // Entity appeared after the render time - show it where it first showed up
+      if (!b) return false;
+      writeState(b, outPosition, outQuaternion);
+      return true;
+    }
+
+    // Between two snapshots - interpolate
+    if (b && renderTime >= from.time) {
+      blendStates(a, b, (renderTime - from.time) / (to.time - from.time), outPosition, outQuaternion);
+      return true;
+    }
+
+    writeState(a, outPosition, outQuaternion);
+
+    // Past the newest snapshot - extrapolate along the last known velocity
+    const prev = entries[index - 1];
+    const p = prev?.[kind].get(id);
+    if (!to && p && renderTime > from.time) {
+      const span = from.time - prev.time;
+      const dt = Math.min(renderTime - from.time, MAX_EXTRAPOLATION);
+      const dx = a.x - p.x;
+      const dz = a.z - p.z;
+      if (span > 0 && dx * dx + dz * dz <= TELEPORT_DISTANCE * TELEPORT_DISTANCE) {
+        const scale = dt / span;
+        outPosition.set(a.x + dx * scale, a.y + (a.y - p.y) * scale, a.z + dz * scale);
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Forget all snapshots (e.g. when switching rooms)
+   */
+  const clear = () => {
+    entries.length = 0;
+    clockOffset = null;
+  };
+
+  return { push, sample, clear };
+};
@@ -0,0 +1,84 @@
+/**
+ * Level store
+ * Module-level current level, shared by the world renderer, movement prediction and controls
+ *
+ * The server decides which level a room plays and sends it in every welcome - a dungeon seed
+ * (useMultiplayer runs the generator) or a fixed level file. World renders outside the
+ * session components (before a session starts it shows the bundled default), so like
+ * hudStore.js the level lives in module state; components subscribe via useLevel.
+ *
+ * The store also tracks the hall the local player stands in - the controls report their
+ * position every frame, and World streams that hall and its neighbours (useCurrentHall).
+ */
+import { getPlayerAreas } from "../../../shared/movement.js";
+import { findHallAt, parseLevel } from "../../../shared/world.js";
+import cathedral from "../../../shared/levels/cathedral.json";
+
+/**
+ * Level shown until the server says otherwise (the Home page backdrop)
+ */
+export const DEFAULT_LEVEL = parseLevel(cathedral);
+
+let level = DEFAULT_LEVEL;
+let levelJson = JSON.stringify(cathedral);
+let playerAreas = getPlayerAreas(DEFAULT_LEVEL);
+let currentHallId = DEFAULT_LEVEL.playerSpawns[0].hall;
+const listeners = new Set();
+
+/**
+ * Get the current level
+ * @returns {Object} - Parsed level (see parseLevel in shared/world.js)
+ */
+export const getLevel = () => level;
+
+/**
+ * Switch to a level sent by the server (a repeat of the current level is ignored, so a
+ * reconnect doesn't rebuild the world)
+ * @param {Object} data - Level JSON from the welcome message
+ * @throws {Error} - When the level is invalid (the current level stays)
+ */
+export const setLevel = (data) => {
+  const json = JSON.stringify(data);
+  if (json === levelJson) return;
+  level = parseLevel(data);
+  levelJson = json;
+  playerAreas = getPlayerAreas(level);
+  currentHallId = level.playerSpawns[0].hall;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Get where the local player may stand in the current level
+ * @returns {Array<Object>} - Walkable areas (getPlayerAreas in shared/movement.js)
+ */
+export const getLocalPlayerAreas = () => playerAreas;
+
+/**
+ * Get the hall the local player is in
+ * @returns {string} - Hall id
+ */
+export const getCurrentHallId = () => currentHallId;
+
+/**
+ * Report the local player's position; notifies subscribers when it enters another hall
+ * (positions inside a doorway passage keep the previous hall)
+ * @param {Object} position - { x, z }
+ */
+export const updateCurrentHall = (position) => {
+  const hall = findHallAt(level, position.x, position.z);
+  if (!hall || hall.id === currentHallId) return;
+  currentHallId = hall.id;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Subscribe to level and current hall changes
+ * @param {Function} listener - Called after the level or the local player's hall changes
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeLevel = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
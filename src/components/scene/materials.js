@@ -161,3 +161,71 @@ export const createTexturedMaterial = ({
 
   return new THREE.MeshStandardMaterial(materialConfig);
 };
+
+/**
+ * Copy a textured material with a different texture repeat
+ * The copies share the original canvases (uploaded to the GPU once), so fitting a material
+ * to another surface size generates no new textures
+ * @param {THREE.MeshStandardMaterial} material - Material from createTexturedMaterial
+ * @param {[number, number]} repeat - Texture repeat values
+ * @returns {THREE.MeshStandardMaterial}
+ */
+export const withTextureRepeat = (material, repeat) => {
+  const copy = material.clone();
+  for (const key of ["map", "bumpMap", "roughnessMap"]) {
+    if (material[key]) {
+      copy[key] = material[key].clone();
+      copy[key].repeat.set(repeat[0], repeat[1]);
+    }
+  }
+  return copy;
+};
+
+/**
+ * Create a canvas with lines of text, used for world-space readouts in VR
+ * @param {Array<string|Object>} lines - Strings or { text, color, size, weight } entries
+ * @param {Object} options - { width, height, fontSize, color, background, align, padding }
+ * @returns {HTMLCanvasElement}
+ */
+export const createTextCanvas = (
+  lines,
+  {
+    width = 512,
+    height = 256,
+    fontSize = 40,
+    color = "#ffffff",
+    background = "rgba(10, 13, 24, 0.78)",
+    align = "center",
+    padding = 24,
+  } = {}
+) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    return canvas;
+  }
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  const entries = lines.map((line) => (typeof line === "string" ? { text: line } : line));
+  const lineHeights = entries.map((entry) => (entry.size ?? fontSize) * 1.25);
+  const totalHeight = lineHeights.reduce((sum, lineHeight) => sum + lineHeight, 0);
+  const x = align === "left" ? padding : align === "right" ? width - padding : width / 2;
+  let y = Math.max(padding, (height - totalHeight) / 2);
+
+  ctx.textAlign = align;
+  ctx.textBaseline = "top";
+  entries.forEach((entry, index) => {
+    ctx.font = `${entry.weight ?? 600} ${entry.size ?? fontSize}px system-ui, sans-serif`;
+    ctx.fillStyle = entry.color ?? color;
+    ctx.fillText(entry.text ?? "", x, y, width - padding * 2);
+    y += lineHeights[index];
+  });
+
+  return canvas;
+};
@@ -0,0 +1,91 @@
+/**
+ * Movement prediction
+ * Applies local input immediately, then reconciles against the server's authoritative position
+ *
+ * Every frame of input becomes a numbered command that is both applied locally and sent to
+ * the server. Snapshots echo the last command the server applied (inputAck); the predictor
+ * drops acknowledged commands, replays the rest on top of the server position and only
+ * corrects when the two disagree by more than RECONCILE_TOLERANCE.
+ */
+import { applyMoveInput, MAX_INPUT_DT } from "../../../shared/movement.js";
+import { RECONCILE_TOLERANCE } from "./constants.js";
+import { getLocalPlayerAreas } from "./levelStore.js";
+
+const MAX_PENDING_INPUTS = 240; // Unacknowledged commands kept for replay (~2.5 s at 90 fps)
+
+/**
+ * Create a movement predictor for one connection
+ * @returns {Object} - { position, step, takeUnsent, reconcile, reset }
+ */
+export const createMovementPredictor = () => {
+  const position = { x: 0, z: 0 }; // Predicted position, read by the controls every frame
+  const pending = []; // Commands not yet acknowledged by the server, oldest first
+  let nextSeq = 1;
+  let lastSentSeq = 0;
+
+  /**
+   * Apply one frame of movement input locally and queue it for the server
+   * @param {number} x - World-space move direction x (direction length <= 1)
+   * @param {number} z - World-space move direction z
+   * @param {number} dt - Frame time in seconds
+   * @returns {Object} - The predicted { x, z }
+   */
+  const step = (x, z, dt) => {
+    // Standing still needs no command; long frames (tab switches) are capped
+    if ((x === 0 && z === 0) || !(dt > 0)) return position;
+    const input = { seq: nextSeq++, x, z, dt: Math.min(dt, MAX_INPUT_DT) };
+    applyMoveInput(position, input, getLocalPlayerAreas());
+    pending.push(input);
+    if (pending.length > MAX_PENDING_INPUTS) {
+      pending.shift();
+    }
+    return position;
+  };
+
+  /**
+   * Collect commands that haven't been sent yet
+   * @returns {Array} - Commands in seq order
+   */
+  const takeUnsent = () => {
+    const unsent = pending.filter((input) => input.seq > lastSentSeq);
+    if (unsent.length > 0) {
+      lastSentSeq = unsent[unsent.length - 1].seq;
+    }
+    return unsent;
+  };
+
+  /**
+   * Reconcile with an authoritative server position
+   * @param {Object} serverPosition - { x, z } after the server applied inputAck
+   * @param {number} inputAck - Last command seq the server applied
+   */
+  const reconcile = (serverPosition, inputAck) => {
+    while (pending.length > 0 && pending[0].seq <= inputAck) {
+      pending.shift();
+    }
+    const corrected = { x: serverPosition.x, z: serverPosition.z };
+    const areas = getLocalPlayerAreas();
+    for (const input of pending) {
+      applyMoveInput(corrected, input, areas);
+    }
+    const dx = corrected.x - position.x;
+    const dz = corrected.z - position.z;
+    if (dx * dx + dz * dz > RECONCILE_TOLERANCE * RECONCILE_TOLERANCE) {
+      position.x = corrected.x;
+      position.z = corrected.z;
+    }
+  };
+
+  /**
+   * Jump to a server-chosen position (spawn/respawn), discarding pending commands
+   * @param {Object} target - { x, z }
+   */
+  const reset = (target) => {
+    pending.length = 0;
+    lastSentSeq = nextSeq - 1;
+    position.x = target.x;
+    position.z = target.z;
+  };
+
+  return { position, step, takeUnsent, reconcile, reset };
+};
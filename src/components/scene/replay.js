@@ -0,0 +1,159 @@
+/**
+ * Replay playback
+ * Steps through a parsed replay (shared/replay.js) on a clock the viewer controls
+ *
+ * The playback has the same sample() as the snapshot buffer (interpolation.js), so
+ * RemoteAvatar, Enemy and SpectatorControls render a recording exactly as they render a
+ * live room. Subscribers are notified when the clock reaches another recorded frame (10
+ * times a second at normal speed), not every rendered frame.
+ */
+import { blendStates } from "./interpolation.js";
+
+// Newest frame at or before the time (0 when the time is before the first frame)
+const findFrameIndex = (frames, time) => {
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (frames[mid].t <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+};
+
+/**
+ * Players in a recorded frame, in the order they joined
+ * @param {Object|null} frame - Frame from the playback state
+ * @param {Map} roster - Player id -> { name, appearance } from parseReplay
+ * @returns {Array<Object>} - { id, name, appearance, position, rotation, health, alive } - appearance
+ *   is null for a player missing from the roster
+ */
+export const getFramePlayers = (frame, roster) =>
+  frame
+    ? Array.from(frame.players.values(), ({ id, x, y, z, rotation, health, alive }) => ({
+        id,
+        name: roster.get(id)?.name ?? null,
+        appearance: roster.get(id)?.appearance ?? null,
+        position: { x, y, z },
+        rotation,
+        health,
+        alive,
+      }))
+    : [];
+
+/**
+ * Create playback for a replay
+ * @param {Object} replay - Result of parseReplay
+ * @returns {Object} - { startTime, duration, getState, subscribe, advance, seek, setPlaying, setSpeed, sample }
+ */
+export const createReplayPlayback = ({ frames, duration }) => {
+  const startTime = frames[0]?.t ?? 0;
+  const listeners = new Set();
+  let time = startTime;
+  let frameIndex = 0;
+  let playing = frames.length > 1;
+  let speed = 1;
+  let state = null;
+
+  const notify = () => {
+    state = { time, playing, speed, frame: frames[frameIndex] ?? null };
+    listeners.forEach((listener) => listener());
+  };
+  notify();
+
+  // Move the clock; true when it reached another frame or the end
+  const moveTo = (nextTime) => {
+    time = Math.min(Math.max(nextTime, startTime), duration);
+    const index = findFrameIndex(frames, time);
+    let changed = index !== frameIndex;
+    frameIndex = index;
+    if (playing && time >= duration) {
+      playing = false;
+      changed = true;
+    }
+    return changed;
+  };
+
+  /**
+   * Current playback state, replaced (never mutated) on every notification
+   * @returns {Object} - { time, playing, speed, frame } - frame is the recorded { t, players, enemies } being shown
+   */
+  const getState = () => state;
+
+  /**
+   * Subscribe to playback changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Run the clock - called every rendered frame
+   * @param {number} elapsed - Real time since the last call (ms), scaled by the speed
+   */
+  const advance = (elapsed) => {
+    if (!playing) return;
+    if (moveTo(time + elapsed * speed)) {
+      notify();
+    }
+  };
+
+  /**
+   * Jump to a time
+   * @param {number} target - Replay time (ms), clamped to the recording
+   */
+  const seek = (target) => {
+    moveTo(target);
+    notify();
+  };
+
+  /**
+   * Play or pause - playing from the end starts over
+   * @param {boolean} value - True to play
+   */
+  const setPlaying = (value) => {
+    if (value && time >= duration) {
+      moveTo(startTime);
+    }
+    playing = Boolean(value) && frames.length > 1;
+    notify();
+  };
+
+  /**
+   * Change the playback rate
+   * @param {number} value - Multiplier (1 is real time)
+   */
+  const setSpeed = (value) => {
+    speed = value;
+    notify();
+  };
+
+  /**
+   * Sample an entity at the playback time - same contract as the snapshot buffer's sample
+   * @param {string} kind - "players" or "enemies"
+   * @param {string} id - Entity id
+   * @param {THREE.Vector3} outPosition - Receives the position
+   * @param {THREE.Quaternion} outQuaternion - Receives the rotation (players only, optional)
+   * @returns {boolean} - False when the entity isn't in the recording at this time
+   */
+  const sample = (kind, id, outPosition, outQuaternion = null) => {
+    const from = frames[frameIndex];
+    const a = from?.[kind].get(id);
+    if (!a) return false;
+    const to = frames[frameIndex + 1];
+    const b = to?.[kind].get(id) ?? a;
+    const t = to ? Math.min(Math.max((time - from.t) / (to.t - from.t), 0), 1) : 0;
+    blendStates(a, b, t, outPosition, outQuaternion);
+    return true;
+  };
+
+  return { startTime, duration, getState, subscribe, advance, seek, setPlaying, setSpeed, sample };
+};
@@ -0,0 +1,139 @@
+/**
+ * Avatar Model
+ * Procedural player body built from an appearance: capsule body, head shape, accessory and sword
+ */
+import React from "react";
+import { Sword } from "../../Combat.jsx";
+import { SWORD_TINTS } from "../constants.js";
+
+const EYE_COLOR = "#10131c";
+const HEAD_Y = 0.55; // Head center, above the body's top (model spans -0.75 to 0.75)
+const EYE_SPACING = 0.07;
+
+// Distance from the head's center to its front face (-z, the way the player looks)
+const FACE_DEPTH = { round: 0.185, box: 0.17, cone: 0.12, helm: 0.2 };
+
+// Held low at the right side, blade pointing forward
+const SWORD_POSITION = [0.36, -0.3, -0.12];
+const SWORD_ROTATION = [-1.1, 0, 0];
+
+const Head = ({ shape, color }) => {
+  switch (shape) {
+    case "box":
+      return (
+        <mesh castShadow>
+          <boxGeometry args={[0.34, 0.34, 0.34]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+      );
+    case "cone":
+      return (
+        <mesh position={[0, 0.04, 0]} castShadow>
+          <coneGeometry args={[0.22, 0.44, 12]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+      );
+    case "helm":
+      return (
+        <group>
+          <mesh castShadow>
+            <cylinderGeometry args={[0.2, 0.21, 0.36, 14]} />
+            <meshStandardMaterial color={color} metalness={0.4} roughness={0.5} />
+          </mesh>
+          <mesh position={[0, 0.18, 0]} castShadow>
+            <sphereGeometry args={[0.2, 14, 8, 0, Math.PI * 2, 0, Math.PI / 2]} />
+            <meshStandardMaterial color={color} metalness={0.4} roughness={0.5} />
+          </mesh>
+        </group>
+      );
+    default:
+      return (
+        <mesh castShadow>
+          <sphereGeometry args={[0.2, 16, 12]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+      );
+  }
+};
+
+const Accessory = ({ type }) => {
+  switch (type) {
+    case "horns":
+      return (
+        <group>
+          {[-1, 1].map((side) => (
+            <mesh key={side} position={[side * 0.15, 0.2, 0]} rotation={[0, 0, -side * 0.5]} castShadow>
+              <coneGeometry args={[0.045, 0.2, 8]} />
+              <meshStandardMaterial color="#efe6d2" />
+            </mesh>
+          ))}
+        </group>
+      );
+    case "halo":
+      return (
+        <mesh position={[0, 0.42, 0]} rotation={[Math.PI / 2, 0, 0]}>
+          <torusGeometry args={[0.16, 0.02, 8, 24]} />
+          <meshStandardMaterial color="#ffd86b" emissive="#ffb400" emissiveIntensity={0.8} />
+        </mesh>
+      );
+    case "crest":
+      return (
+        <mesh position={[0, 0.24, 0.02]} castShadow>
+          <boxGeometry args={[0.05, 0.12, 0.36]} />
+          <meshStandardMaterial color="#c0392b" />
+        </mesh>
+      );
+    case "antenna":
+      return (
+        <group position={[0, 0.2, 0]}>
+          <mesh position={[0, 0.1, 0]}>
+            <cylinderGeometry args={[0.01, 0.01, 0.2, 6]} />
+            <meshStandardMaterial color="#5b6273" />
+          </mesh>
+          <mesh position={[0, 0.22, 0]}>
+            <sphereGeometry args={[0.04, 10, 8]} />
+            <meshStandardMaterial color="#7df9ff" emissive="#3fe0ff" emissiveIntensity={0.8} />
+          </mesh>
+        </group>
+      );
+    default:
+      return null;
+  }
+};
+
+/**
+ * AvatarModel - A player's body as others see it, centered on the player's position
+ *
+ * @param {Object} props
+ * @param {Object} props.appearance - { body, head, accessory, sword } (see shared/appearance.js)
+ * @param {string} props.color - Overrides the body color (grey while dead)
+ * @param {boolean} props.armed - Show the sword
+ */
+const AvatarModel = ({ appearance, color = appearance.body, armed = true }) => {
+  const faceZ = -(FACE_DEPTH[appearance.head] ?? FACE_DEPTH.round);
+  return (
+    <group>
+      <mesh position={[0, -0.2, 0]} castShadow>
+        <capsuleGeometry args={[0.25, 0.6, 4, 8]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
+      <group position={[0, HEAD_Y, 0]}>
+        <Head shape={appearance.head} color={color} />
+        {[-1, 1].map((side) => (
+          <mesh key={side} position={[side * EYE_SPACING, 0.02, faceZ]}>
+            <sphereGeometry args={[0.03, 8, 6]} />
+            <meshBasicMaterial color={EYE_COLOR} />
+          </mesh>
+        ))}
+        <Accessory type={appearance.accessory} />
+      </group>
+      {armed && (
+        <group position={SWORD_POSITION} rotation={SWORD_ROTATION}>
+          <Sword scale={0.8} tint={SWORD_TINTS[appearance.sword]} />
+        </group>
+      )}
+    </group>
+  );
+};
+
+export default AvatarModel;
@@ -2,51 +2,146 @@
  * Flat (Non-VR) Session World
  * Manages multiplayer state and desktop/mobile interactions
  */
-import React, { useCallback, useMemo, useRef } from "react";
+import React, { useCallback, useEffect, useMemo } from "react";
 import { useThree } from "@react-three/fiber";
-import * as THREE from "three";
-import { Enemy, FlatSword, useAttackInput, useRaycastAttack } from "../../Combat.jsx";
-import { useMultiplayer, useEnemyFaceTextures } from "../hooks/index.js";
+import { Enemy, FlatSword, useAttackInput, useRaycastAttack, ATTACK_TYPES } from "../../Combat.jsx";
+import {
+  useMultiplayer,
+  useEnemyFaceTextures,
+  useChatOpen,
+  useAudioListener,
+  useVoiceKeys,
+  useVoiceState,
+  CONNECTION_STATES,
+} from "../hooks/index.js";
 import { FlatControls } from "../controls/index.js";
 import { AVATAR_HEIGHT } from "../constants.js";
+import { getSwordTint } from "../utils.js";
+import { updateHud, resetHud } from "../hudStore.js";
 import RemoteAvatar from "./RemoteAvatar.jsx";
+import PathDebugOverlay from "./PathDebugOverlay.jsx";
 
 /**
  * FlatSessionWorld - Desktop/mobile session with multiplayer and combat
  */
-const FlatSessionWorld = ({ leftAxisRef, rightAxisRef, enablePointerLock, isMobile }) => {
+const FlatSessionWorld = ({ leftAxisRef, rightAxisRef, enablePointerLock, isMobile, roomCode, playerName, appearance }) => {
   const { camera } = useThree();
-  const { players, enemies, localIdRef, sendMove, sendAttack } = useMultiplayer();
-  const sendPositionRef = useRef(new THREE.Vector3(0, AVATAR_HEIGHT, 0));
+  const {
+    players,
+    enemies,
+    snapshotBuffer,
+    predictor,
+    attackResult,
+    localStatus,
+    damageEvent,
+    respawnEvent,
+    scoreboard,
+    wave,
+    navPaths,
+    chatMessages,
+    voice,
+    room,
+    connection,
+    rtt,
+    localIdRef,
+    sendInput,
+    sendAttack,
+    sendChat,
+  } = useMultiplayer({ roomCode, playerName, appearance });
+  const chatOpen = useChatOpen();
+  const listener = useAudioListener();
+  const { streams: voiceStreams } = useVoiceState(voice);
+  useVoiceKeys(voice, !chatOpen);
   const faceTextures = useEnemyFaceTextures();
 
   const remotePlayers = useMemo(
     () => players.filter((player) => player.id && player.id !== localIdRef.current),
     [players, localIdRef]
   );
+  const enemiesRemaining = useMemo(() => enemies.filter((enemy) => enemy.alive).length, [enemies]);
   
+  // Position is server-simulated from the predictor's commands; only the look rotation is ours
   const handleMove = useCallback(
     (position, quaternion) => {
-      sendPositionRef.current.set(position.x, AVATAR_HEIGHT, position.z);
-      sendMove(sendPositionRef.current, quaternion);
+      sendInput(quaternion);
     },
-    [sendMove]
+    [sendInput]
   );
 
-  // Raycast attack handler
-  const performRaycastAttack = useRaycastAttack(camera, enemies, sendAttack);
+  const handleAttack = useCallback(
+    (enemyId) => {
+      sendAttack(enemyId, ATTACK_TYPES.SLASH);
+    },
+    [sendAttack]
+  );
+
+  // Raycast attack handler (dead players can't attack)
+  const performRaycastAttack = useRaycastAttack(camera, enemies, handleAttack);
   
   // Attack input handling
-  const { isAttacking } = useAttackInput(isMobile, false, performRaycastAttack);
+  const { isAttacking } = useAttackInput(isMobile, false, localStatus.alive ? performRaycastAttack : null);
+
+  // Surface server attack verdicts (misses), health and damage in the DOM HUD
+  useEffect(() => {
+    updateHud({ attackFeedback: attackResult });
+  }, [attackResult]);
+
+  useEffect(() => {
+    updateHud({ playerStatus: localStatus });
+  }, [localStatus]);
+
+  useEffect(() => {
+    updateHud({ damageEvent });
+  }, [damageEvent]);
+
+  useEffect(() => {
+    updateHud({ room });
+  }, [room]);
+
+  useEffect(() => {
+    updateHud({ connection });
+  }, [connection]);
+
+  useEffect(() => {
+    updateHud({ rtt });
+  }, [rtt]);
+
+  useEffect(() => {
+    updateHud({ scoreboard, localId: localIdRef.current });
+  }, [scoreboard, localIdRef]);
+
+  useEffect(() => {
+    updateHud({ wave, enemiesRemaining });
+  }, [wave, enemiesRemaining]);
+
+  useEffect(() => {
+    updateHud({ chat: chatMessages });
+  }, [chatMessages]);
+
+  useEffect(() => {
+    updateHud({ sendChat });
+  }, [sendChat]);
+
+  useEffect(() => {
+    updateHud({ voice });
+  }, [voice]);
+
+  useEffect(() => resetHud, []);
 
   return (
     <>
       {remotePlayers.map((player) => (
         <RemoteAvatar
           key={player.id}
-          color={player.color}
+          id={player.id}
+          snapshotBuffer={snapshotBuffer}
+          appearance={player.appearance}
+          alive={player.alive !== false}
+          name={player.name ?? null}
           position={player.position || { x: 0, y: AVATAR_HEIGHT, z: 0 }}
           rotation={player.rotation || { x: 0, y: 0, z: 0, w: 1 }}
+          voiceStream={voiceStreams[player.id] ?? null}
+          listener={listener}
         />
       ))}
       
@@ -59,16 +154,27 @@ const FlatSessionWorld = ({ leftAxisRef, rightAxisRef, enablePointerLock, isMobi
           y={enemy.y}
           z={enemy.z}
           alive={enemy.alive}
+          health={enemy.health}
+          maxHealth={enemy.maxHealth}
+          windup={enemy.windup}
           faceIndex={enemy.faceIndex}
           faceTextures={faceTextures}
+          snapshotBuffer={snapshotBuffer}
         />
       ))}
       
+      {/* Enemy navigation paths - only sent with ?debug=paths */}
+      {navPaths.length > 0 && <PathDebugOverlay paths={navPaths} />}
+      
       {/* FPS-style sword */}
-      <FlatSword onAttack={sendAttack} isAttacking={isAttacking} />
+      {localStatus.alive && <FlatSword onAttack={handleAttack} isAttacking={isAttacking} tint={getSwordTint(appearance)} />}
       
       <FlatControls
+        frozen={!localStatus.alive || connection !== CONNECTION_STATES.CONNECTED}
+        teleport={respawnEvent}
+        keyboardPaused={chatOpen}
         onMove={handleMove}
+        predictor={predictor}
         leftAxisRef={leftAxisRef}
         rightAxisRef={rightAxisRef}
         enablePointerLock={enablePointerLock}
@@ -0,0 +1,46 @@
+/**
+ * Enemy Path Debug Overlay
+ * Draws the routes the server's enemy AI is following (open the page with ?debug=paths)
+ */
+import React, { useEffect, useMemo } from "react";
+import * as THREE from "three";
+
+const PATH_HEIGHT = 0.2; // units above the floor, clear of z-fighting
+const ROUTED_COLOR = new THREE.Color("#ffd54a"); // A* path around columns
+const DIRECT_COLOR = new THREE.Color("#8a8a8a"); // Straight line, seek point in sight
+
+/**
+ * PathDebugOverlay - One polyline per enemy, from its position through each waypoint
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.paths - navPaths from useMultiplayer ({ id, direct, points: [[x, z]...] })
+ */
+const PathDebugOverlay = ({ paths }) => {
+  const geometry = useMemo(() => {
+    const positions = [];
+    const colors = [];
+    for (const { direct, points } of paths) {
+      const color = direct ? DIRECT_COLOR : ROUTED_COLOR;
+      for (let i = 1; i < points.length; i++) {
+        const [fromX, fromZ] = points[i - 1];
+        const [toX, toZ] = points[i];
+        positions.push(fromX, PATH_HEIGHT, fromZ, toX, PATH_HEIGHT, toZ);
+        colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
+      }
+    }
+    const buffer = new THREE.BufferGeometry();
+    buffer.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+    buffer.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    return buffer;
+  }, [paths]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <lineSegments geometry={geometry} frustumCulled={false}>
+      <lineBasicMaterial vertexColors depthTest={false} transparent opacity={0.9} />
+    </lineSegments>
+  );
+};
+
+export default PathDebugOverlay;
@@ -2,38 +2,134 @@
  * Remote Player Avatar
  * Represents other players in the multiplayer session
  */
-import React, { useRef, useEffect } from "react";
+import React, { useEffect, useMemo, useRef } from "react";
 import { useFrame } from "@react-three/fiber";
 import * as THREE from "three";
-import { REMOTE_LERP, AVATAR_HEIGHT } from "../constants.js";
+import { AVATAR_HEIGHT, VOICE_MAX_DISTANCE, VOICE_REF_DISTANCE } from "../constants.js";
+import { getPlayerLabel } from "../utils.js";
+import AvatarModel from "./AvatarModel.jsx";
+import TextPanel from "./TextPanel.jsx";
+
+const DEAD_COLOR = "#4a4a4a";
+const MOUTH_HEIGHT = 0.55; // units above the avatar's center
+
+// Nameplate - sized to read at NAMEPLATE_READABLE_DISTANCE, then scaled up with distance
+const NAMEPLATE_WIDTH = 0.9; // units
+const NAMEPLATE_HEIGHT = 0.18;
+const NAMEPLATE_FONT_SIZE = 60; // px at TextPanel's default 512 px per unit
+const NAMEPLATE_OFFSET = 1.1; // units above the avatar's center - clears the tallest accessory
+const NAMEPLATE_DEAD_OFFSET = 0.6 - AVATAR_HEIGHT; // Just above the capsule lying on the floor
+const NAMEPLATE_READABLE_DISTANCE = 6; // units
+const NAMEPLATE_MAX_SCALE = 4; // Further away the plate shrinks with the avatar
+
+const cameraPosition = new THREE.Vector3();
 
 /**
- * RemoteAvatar - Smoothly interpolated avatar for remote players
+ * VoiceAudio - Plays a player's voice stream from their avatar, quieter with distance
+ *
+ * @param {Object} props
+ * @param {MediaStream} props.stream - Remote audio from the voice chat
+ * @param {THREE.AudioListener} props.listener - Scene listener (useAudioListener)
  */
-const RemoteAvatar = ({ color, position, rotation }) => {
-  const meshRef = useRef(null);
-  const targetPosition = useRef(new THREE.Vector3());
-  const targetQuaternion = useRef(new THREE.Quaternion());
+const VoiceAudio = ({ stream, listener }) => {
+  const audio = useMemo(() => new THREE.PositionalAudio(listener), [listener]);
+
+  // The audio's gain node stays wired to the listener until the source is gone for good
+  useEffect(() => () => audio.gain.disconnect(), [audio]);
 
   useEffect(() => {
-    const safeY = Number.isFinite(position.y) ? position.y : AVATAR_HEIGHT;
-    targetPosition.current.set(position.x, safeY, position.z);
-    targetQuaternion.current.set(rotation.x, rotation.y, rotation.z, rotation.w);
-  }, [position, rotation]);
+    audio.setDistanceModel("linear");
+    audio.setRefDistance(VOICE_REF_DISTANCE);
+    audio.setMaxDistance(VOICE_MAX_DISTANCE);
+    audio.setMediaStreamSource(stream);
 
-  useFrame((_, delta) => {
-    if (!meshRef.current) return;
+    // Chrome only feeds remote WebRTC audio into Web Audio while a media element plays the stream too
+    const element = new Audio();
+    element.muted = true;
+    element.srcObject = stream;
+    element.play().catch(() => {});
+
+    return () => {
+      audio.disconnect();
+      element.srcObject = null;
+    };
+  }, [audio, stream]);
+
+  return <primitive object={audio} position={[0, MOUTH_HEIGHT, 0]} />;
+};
+
+/**
+ * RemoteAvatar - Avatar for a remote player, sampled from the snapshot interpolation buffer
+ * Dead players are shown grey and lying on the floor, without their sword, until they respawn
+ *
+ * @param {Object} props
+ * @param {string} props.id - Player id (key into the snapshot buffer)
+ * @param {Object} props.snapshotBuffer - Interpolation buffer from useMultiplayer
+ * @param {Object} props.appearance - { body, head, accessory, sword } chosen by the player
+ * @param {Object} props.position - Latest known position, used until the buffer has samples
+ * @param {Object} props.rotation - Latest known rotation quaternion
+ * @param {string|null} props.name - Display name (null shows "Player 1a2b")
+ * @param {MediaStream|null} props.voiceStream - The player's voice, when voice chat is connected to them
+ * @param {THREE.AudioListener|null} props.listener - Scene audio listener, required for voiceStream
+ */
+const RemoteAvatar = ({
+  id,
+  snapshotBuffer,
+  appearance,
+  position,
+  rotation,
+  alive = true,
+  name = null,
+  voiceStream = null,
+  listener = null,
+}) => {
+  const groupRef = useRef(null);
+  const plateRef = useRef(null);
+
+  const updateNameplate = (group, camera) => {
+    const plate = plateRef.current;
+    if (!plate) return;
+    plate.position.copy(group.position);
+    plate.position.y += alive ? NAMEPLATE_OFFSET : NAMEPLATE_DEAD_OFFSET;
+    // Billboard: face the same way as the camera, so the text is never seen edge-on or mirrored
+    camera.getWorldQuaternion(plate.quaternion);
+    camera.getWorldPosition(cameraPosition);
+    const distance = cameraPosition.distanceTo(plate.position);
+    plate.scale.setScalar(THREE.MathUtils.clamp(distance / NAMEPLATE_READABLE_DISTANCE, 1, NAMEPLATE_MAX_SCALE));
+  };
+
+  useFrame(({ camera }) => {
+    const group = groupRef.current;
+    if (!group) return;
     
-    const lerpAlpha = 1 - Math.exp(-delta * REMOTE_LERP);
-    meshRef.current.position.lerp(targetPosition.current, lerpAlpha);
-    meshRef.current.quaternion.slerp(targetQuaternion.current, lerpAlpha);
+    if (!snapshotBuffer?.sample("players", id, group.position, group.quaternion)) {
+      const safeY = Number.isFinite(position.y) ? position.y : AVATAR_HEIGHT;
+      group.position.set(position.x, safeY, position.z);
+      group.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+    }
+
+    updateNameplate(group, camera);
   });
 
   return (
-    <mesh ref={meshRef}>
-      <capsuleGeometry args={[0.25, 1, 4, 8]} />
-      <meshStandardMaterial color={color} />
-    </mesh>
+    <>
+      <TextPanel
+        ref={plateRef}
+        width={NAMEPLATE_WIDTH}
+        height={NAMEPLATE_HEIGHT}
+        textOptions={{ background: "rgba(10, 13, 24, 0.6)", padding: 8 }}
+        lines={[{ text: getPlayerLabel({ id, name }), size: NAMEPLATE_FONT_SIZE, color: alive ? appearance.body : DEAD_COLOR }]}
+      />
+      <group ref={groupRef}>
+        <group
+          position={alive ? [0, 0, 0] : [0, 0.25 - AVATAR_HEIGHT, 0]}
+          rotation={alive ? [0, 0, 0] : [Math.PI / 2, 0, 0]}
+        >
+          <AvatarModel appearance={appearance} color={alive ? appearance.body : DEAD_COLOR} armed={alive} />
+        </group>
+        {voiceStream && listener && <VoiceAudio stream={voiceStream} listener={listener} />}
+      </group>
+    </>
   );
 };
 
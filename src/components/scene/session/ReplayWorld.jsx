@@ -0,0 +1,84 @@
+/**
+ * Replay World
+ * Plays a recorded session back in the world - the recorded avatars and enemies, seen through the spectator camera
+ */
+import React, { useMemo } from "react";
+import { useFrame } from "@react-three/fiber";
+import { Enemy } from "../../Combat.jsx";
+import { useEnemyFaceTextures, useReplayState } from "../hooks/index.js";
+import { SpectatorControls } from "../controls/index.js";
+import { getFramePlayers } from "../replay.js";
+import { createDefaultAppearance } from "../utils.js";
+import RemoteAvatar from "./RemoteAvatar.jsx";
+
+// Players recorded without a roster entry (a cut-off file) get the first swatch and plain options
+const UNKNOWN_APPEARANCE = createDefaultAppearance(() => 0);
+
+/**
+ * ReplayWorld - Renders a replay at its playback time and runs the playback clock
+ * The playback stands in for the snapshot buffer, so avatars and enemies interpolate between
+ * recorded frames the same way they do between live snapshots.
+ *
+ * @param {Object} props
+ * @param {Object} props.playback - Playback from createReplayPlayback
+ * @param {Map} props.roster - Player id -> { name, appearance } from parseReplay
+ * @param {string|null} props.followId - Player the camera follows, null for the free camera
+ * @param {Object} props.leftAxisRef - Touch stick for flying
+ * @param {Object} props.rightAxisRef - Touch stick for looking
+ * @param {boolean} props.enablePointerLock - Lock the pointer on click for mouse look
+ */
+const ReplayWorld = ({ playback, roster, followId, leftAxisRef, rightAxisRef, enablePointerLock }) => {
+  const { frame } = useReplayState(playback);
+  const faceTextures = useEnemyFaceTextures();
+  const players = useMemo(() => getFramePlayers(frame, roster), [frame, roster]);
+  const enemies = useMemo(() => (frame ? Array.from(frame.enemies.values()) : []), [frame]);
+
+  useFrame((state, delta) => {
+    playback.advance(delta * 1000);
+  });
+
+  return (
+    <>
+      {players.map((player) => (
+        <RemoteAvatar
+          key={player.id}
+          id={player.id}
+          snapshotBuffer={playback}
+          appearance={player.appearance ?? UNKNOWN_APPEARANCE}
+          alive={player.alive}
+          name={player.name}
+          position={player.position}
+          rotation={player.rotation}
+        />
+      ))}
+
+      {enemies.map((enemy) => (
+        <Enemy
+          key={enemy.id}
+          id={enemy.id}
+          x={enemy.x}
+          y={enemy.y}
+          z={enemy.z}
+          alive={enemy.alive}
+          health={enemy.health}
+          maxHealth={enemy.maxHealth}
+          windup={enemy.windup}
+          faceIndex={enemy.faceIndex}
+          faceTextures={faceTextures}
+          snapshotBuffer={playback}
+        />
+      ))}
+
+      <SpectatorControls
+        followId={followId}
+        snapshotBuffer={playback}
+        players={players}
+        leftAxisRef={leftAxisRef}
+        rightAxisRef={rightAxisRef}
+        enablePointerLock={enablePointerLock}
+      />
+    </>
+  );
+};
+
+export default ReplayWorld;
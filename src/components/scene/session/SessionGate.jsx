@@ -9,7 +9,7 @@ import SessionWorld from "./SessionWorld.jsx";
 /**
  * SessionGate - Renders SessionWorld only when XR session is active
  */
-const SessionGate = ({ onSessionChange }) => {
+const SessionGate = ({ onSessionChange, roomCode, playerName, appearance }) => {
   const session = useXR((state) => state.session);
 
   useEffect(() => {
@@ -22,7 +22,7 @@ const SessionGate = ({ onSessionChange }) => {
     return null;
   }
 
-  return <SessionWorld />;
+  return <SessionWorld roomCode={roomCode} playerName={playerName} appearance={appearance} />;
 };
 
 export default SessionGate;
@@ -2,14 +2,21 @@
  * VR Session World
  * Manages multiplayer state and VR interactions
  */
-import React, { useCallback, useMemo, useRef } from "react";
-import * as THREE from "three";
-import { Enemy } from "../../Combat.jsx";
-import { useMultiplayer, useEnemyFaceTextures } from "../hooks/index.js";
+import React, { useCallback, useMemo } from "react";
+import { Enemy, ATTACK_TYPES } from "../../Combat.jsx";
+import { useMultiplayer, useEnemyFaceTextures, useAudioListener, useVoiceState, CONNECTION_STATES } from "../hooks/index.js";
 import { MovementRig } from "../controls/index.js";
 import { AVATAR_HEIGHT } from "../constants.js";
+import { getSwordTint } from "../utils.js";
 import RemoteAvatar from "./RemoteAvatar.jsx";
-import { useVRCombatSync } from "../../../xrStore.jsx";
+import PathDebugOverlay from "./PathDebugOverlay.jsx";
+import VrStatusOverlay from "./VrStatusOverlay.jsx";
+import VrScoreboard from "./VrScoreboard.jsx";
+import VrChatFeed from "./VrChatFeed.jsx";
+import VrVoiceControls from "./VrVoiceControls.jsx";
+import { useVRCombatSync, useVRSwordTint } from "../../../xrStore.jsx";
+
+const NO_ENEMIES = [];
 
 /**
  * SessionWorld - VR session with multiplayer and combat
@@ -19,42 +26,69 @@ import { useVRCombatSync } from "../../../xrStore.jsx";
  * which uses a module-level state to communicate with the controller model
  * since it's rendered outside our component tree by @react-three/xr.
  */
-const SessionWorld = () => {
-  const { players, enemies, localIdRef, sendMove, sendAttack } = useMultiplayer();
-  const sendPositionRef = useRef(new THREE.Vector3(0, AVATAR_HEIGHT, 0));
+const SessionWorld = ({ roomCode, playerName, appearance }) => {
+  const {
+    players,
+    enemies,
+    snapshotBuffer,
+    predictor,
+    localStatus,
+    damageEvent,
+    respawnEvent,
+    scoreboard,
+    wave,
+    navPaths,
+    chatMessages,
+    voice,
+    connection,
+    localIdRef,
+    sendInput,
+    sendAttack,
+  } = useMultiplayer({ roomCode, playerName, appearance });
   const faceTextures = useEnemyFaceTextures();
+  const listener = useAudioListener();
+  const { streams: voiceStreams } = useVoiceState(voice);
 
   const remotePlayers = useMemo(
     () => players.filter((player) => player.id && player.id !== localIdRef.current),
     [players, localIdRef]
   );
+  const enemiesRemaining = useMemo(() => enemies.filter((enemy) => enemy.alive).length, [enemies]);
   
+  // Position is server-simulated from the predictor's commands; only the look rotation is ours
   const handleMove = useCallback(
     (position, quaternion) => {
-      sendPositionRef.current.set(position.x, AVATAR_HEIGHT, position.z);
-      sendMove(sendPositionRef.current, quaternion);
+      sendInput(quaternion);
     },
-    [sendMove]
+    [sendInput]
   );
 
   const handleAttack = useCallback(
     (enemyId) => {
-      sendAttack(enemyId);
+      sendAttack(enemyId, ATTACK_TYPES.SWING);
     },
     [sendAttack]
   );
 
   // Sync combat state to the VR sword component (rendered in controller model)
-  useVRCombatSync(handleAttack, enemies);
+  // Dead players get no targets, so swings can't land until respawn
+  useVRCombatSync(handleAttack, localStatus.alive ? enemies : NO_ENEMIES);
+  useVRSwordTint(getSwordTint(appearance));
 
   return (
     <>
       {remotePlayers.map((player) => (
         <RemoteAvatar
           key={player.id}
-          color={player.color}
+          id={player.id}
+          snapshotBuffer={snapshotBuffer}
+          appearance={player.appearance}
+          alive={player.alive !== false}
+          name={player.name ?? null}
           position={player.position || { x: 0, y: AVATAR_HEIGHT, z: 0 }}
           rotation={player.rotation || { x: 0, y: 0, z: 0, w: 1 }}
+          voiceStream={voiceStreams[player.id] ?? null}
+          listener={listener}
         />
       ))}
       
@@ -67,13 +101,43 @@ const SessionWorld = () => {
           y={enemy.y}
           z={enemy.z}
           alive={enemy.alive}
+          health={enemy.health}
+          maxHealth={enemy.maxHealth}
+          windup={enemy.windup}
           faceIndex={enemy.faceIndex}
           faceTextures={faceTextures}
+          snapshotBuffer={snapshotBuffer}
         />
       ))}
       
+      {/* Enemy navigation paths - only sent with ?debug=paths */}
+      {navPaths.length > 0 && <PathDebugOverlay paths={navPaths} />}
+      
+      {/* Hit flash, death screen and wave progress locked to the headset */}
+      <VrStatusOverlay
+        status={localStatus}
+        damageEvent={damageEvent}
+        connection={connection}
+        wave={wave}
+        enemiesRemaining={enemiesRemaining}
+      />
+      
+      {/* Session leaderboard - X on the left controller */}
+      <VrScoreboard rows={scoreboard} localId={localIdRef.current} />
+      
+      {/* Recent chat above the left controller (VR reads chat, typing is flat-screen only) */}
+      <VrChatFeed messages={chatMessages} localId={localIdRef.current} />
+      
+      {/* Voice - Y toggles the mic, grip held to talk */}
+      <VrVoiceControls voice={voice} />
+      
       {/* VR Sword is rendered inside the right controller model - see xrStore.jsx */}
-      <MovementRig onMove={handleMove} />
+      <MovementRig
+        onMove={handleMove}
+        predictor={predictor}
+        frozen={!localStatus.alive || connection !== CONNECTION_STATES.CONNECTED}
+        teleport={respawnEvent}
+      />
     </>
   );
 };
@@ -0,0 +1,110 @@
+/**
+ * Spectator Session World
+ * Watches a room without a body - no avatar, sword, input or voice, just the fight
+ */
+import React, { useEffect, useMemo } from "react";
+import { Enemy } from "../../Combat.jsx";
+import { useMultiplayer, useEnemyFaceTextures, useFollowTarget } from "../hooks/index.js";
+import { SpectatorControls } from "../controls/index.js";
+import { AVATAR_HEIGHT } from "../constants.js";
+import { getPlayerLabel } from "../utils.js";
+import { updateHud, resetHud } from "../hudStore.js";
+import RemoteAvatar from "./RemoteAvatar.jsx";
+import PathDebugOverlay from "./PathDebugOverlay.jsx";
+
+/**
+ * SpectatorWorld - Desktop/mobile spectator session
+ * F switches between the free camera and following a player; Q and E pick the previous or
+ * next player (useFollowTarget). The DOM HUD offers the same as buttons for touch screens.
+ *
+ * @param {Object} props
+ * @param {Object} props.leftAxisRef - Touch stick for flying
+ * @param {Object} props.rightAxisRef - Touch stick for looking
+ * @param {boolean} props.enablePointerLock - Lock the pointer on click for mouse look
+ * @param {string|null} props.roomCode - Room to watch
+ */
+const SpectatorWorld = ({ leftAxisRef, rightAxisRef, enablePointerLock, roomCode }) => {
+  const { players, enemies, snapshotBuffer, scoreboard, wave, navPaths, chatMessages, room, connection, rtt } =
+    useMultiplayer({ roomCode, spectator: true });
+  const faceTextures = useEnemyFaceTextures();
+
+  const enemiesRemaining = useMemo(() => enemies.filter((enemy) => enemy.alive).length, [enemies]);
+  const { followId, followed, toggleFollow, cycleFollow } = useFollowTarget(players);
+
+  useEffect(() => {
+    updateHud({
+      spectator: {
+        following: followed ? getPlayerLabel(followed) : null,
+        playerCount: players.length,
+        toggleFollow,
+        cycleFollow,
+      },
+    });
+  }, [followed, players.length, toggleFollow, cycleFollow]);
+
+  useEffect(() => {
+    updateHud({ room, connection, rtt });
+  }, [room, connection, rtt]);
+
+  useEffect(() => {
+    updateHud({ scoreboard });
+  }, [scoreboard]);
+
+  useEffect(() => {
+    updateHud({ wave, enemiesRemaining });
+  }, [wave, enemiesRemaining]);
+
+  useEffect(() => {
+    updateHud({ chat: chatMessages });
+  }, [chatMessages]);
+
+  useEffect(() => resetHud, []);
+
+  return (
+    <>
+      {players.map((player) => (
+        <RemoteAvatar
+          key={player.id}
+          id={player.id}
+          snapshotBuffer={snapshotBuffer}
+          appearance={player.appearance}
+          alive={player.alive !== false}
+          name={player.name ?? null}
+          position={player.position || { x: 0, y: AVATAR_HEIGHT, z: 0 }}
+          rotation={player.rotation || { x: 0, y: 0, z: 0, w: 1 }}
+        />
+      ))}
+
+      {enemies.map((enemy) => (
+        <Enemy
+          key={enemy.id}
+          id={enemy.id}
+          x={enemy.x}
+          y={enemy.y}
+          z={enemy.z}
+          alive={enemy.alive}
+          health={enemy.health}
+          maxHealth={enemy.maxHealth}
+          windup={enemy.windup}
+          faceIndex={enemy.faceIndex}
+          faceTextures={faceTextures}
+          snapshotBuffer={snapshotBuffer}
+        />
+      ))}
+
+      {/* Enemy navigation paths - only sent with ?debug=paths */}
+      {navPaths.length > 0 && <PathDebugOverlay paths={navPaths} />}
+
+      <SpectatorControls
+        followId={followId}
+        snapshotBuffer={snapshotBuffer}
+        players={players}
+        leftAxisRef={leftAxisRef}
+        rightAxisRef={rightAxisRef}
+        enablePointerLock={enablePointerLock}
+      />
+    </>
+  );
+};
+
+export default SpectatorWorld;
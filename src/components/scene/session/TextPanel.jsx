@@ -0,0 +1,69 @@
+/**
+ * Text Panel
+ * World-space text readout rendered from a canvas texture (VR has no DOM overlay)
+ */
+import React, { useEffect, useMemo } from "react";
+import * as THREE from "three";
+import { createTextCanvas } from "../materials.js";
+
+const PIXELS_PER_UNIT = 512;
+
+/**
+ * TextPanel - Flat plane showing lines of text
+ *
+ * @param {Object} props
+ * @param {Array<string|Object>} props.lines - Strings or { text, color, size, weight } entries
+ * @param {number} props.width - Panel width in world units
+ * @param {number} props.height - Panel height in world units
+ * @param {Object} props.textOptions - Extra createTextCanvas options (background, align, fontSize...)
+ * @param {boolean} props.depthTest - Set false for head-locked panels that must draw over the world
+ * @param {number} props.pixelsPerUnit - Canvas resolution; raise it for small panels read up close
+ */
+const TextPanel = React.forwardRef(({
+  lines,
+  width = 1,
+  height = 0.5,
+  textOptions,
+  depthTest = true,
+  pixelsPerUnit = PIXELS_PER_UNIT,
+  ...groupProps
+}, ref) => {
+  // Keyed on serialized content so callers can pass fresh arrays each render
+  const linesKey = JSON.stringify(lines);
+  const optionsKey = JSON.stringify(textOptions ?? {});
+
+  const texture = useMemo(() => {
+    if (typeof document === "undefined") return null;
+    const canvas = createTextCanvas(lines, {
+      ...textOptions,
+      width: Math.round(width * pixelsPerUnit),
+      height: Math.round(height * pixelsPerUnit),
+    });
+    const canvasTexture = new THREE.CanvasTexture(canvas);
+    canvasTexture.colorSpace = THREE.SRGBColorSpace;
+    return canvasTexture;
+  }, [linesKey, optionsKey, width, height, pixelsPerUnit]);
+
+  useEffect(() => () => texture?.dispose(), [texture]);
+
+  if (!texture) return null;
+
+  return (
+    <group ref={ref} {...groupProps}>
+      <mesh renderOrder={10}>
+        <planeGeometry args={[width, height]} />
+        <meshBasicMaterial
+          map={texture}
+          transparent
+          depthTest={depthTest}
+          depthWrite={false}
+          toneMapped={false}
+        />
+      </mesh>
+    </group>
+  );
+});
+
+TextPanel.displayName = "TextPanel";
+
+export default TextPanel;
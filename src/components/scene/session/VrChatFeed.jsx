@@ -0,0 +1,100 @@
+/**
+ * VR Chat Feed
+ * Read-only chat readout above the left controller, shown for a while after each message
+ */
+import React, { useEffect, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useXR } from "@react-three/xr";
+import { useChatFeed } from "../hooks/index.js";
+import { getChatLine } from "../utils.js";
+import TextPanel from "./TextPanel.jsx";
+
+const PANEL_WIDTH = 0.34; // meters
+const PIXELS_PER_METER = 2048; // Held about 40 cm from the eyes - needs more texels than head-locked panels
+const FONT_SIZE = 24; // px - rows are 1.25x this (createTextCanvas)
+const PADDING = 12; // px
+const MAX_LINES = 7;
+const CHARS_PER_LINE = 42; // createTextCanvas squeezes longer lines, so messages are wrapped instead
+const PANEL_ANCHOR = [0, 0.065, -0.03]; // Bottom edge, above the controller and its mic tag (VrVoiceControls)
+const PANEL_TILT = [-Math.PI / 4, 0, 0]; // Leaning back toward the face
+
+// Break a chat line at spaces into rows of at most CHARS_PER_LINE (long words are cut)
+const wrapLine = (text) => {
+  const rows = [];
+  let row = "";
+  for (const word of text.split(" ")) {
+    const joined = row ? `${row} ${word}` : word;
+    if (joined.length <= CHARS_PER_LINE) {
+      row = joined;
+      continue;
+    }
+    if (row) rows.push(row);
+    row = word;
+    while (row.length > CHARS_PER_LINE) {
+      rows.push(row.slice(0, CHARS_PER_LINE));
+      row = row.slice(CHARS_PER_LINE);
+    }
+  }
+  if (row) rows.push(row);
+  return rows;
+};
+
+/**
+ * VrChatFeed - Follows the left controller while recent chat is showing
+ *
+ * @param {Object} props
+ * @param {Array} props.messages - Chat log from useMultiplayer, oldest first
+ * @param {string|null} props.localId - Local player's id ("You" in the feed)
+ */
+const VrChatFeed = ({ messages, localId }) => {
+  const inputSourceStates = useXR((state) => state.inputSourceStates);
+  const groupRef = useRef();
+  const leftControllerRef = useRef(null);
+  const visible = useChatFeed(messages);
+
+  useEffect(() => {
+    leftControllerRef.current = inputSourceStates.find(
+      (state) => state.type === "controller" && state.inputSource?.handedness === "left"
+    );
+  }, [inputSourceStates]);
+
+  useFrame(() => {
+    const controller = leftControllerRef.current?.object;
+    if (!groupRef.current || !controller) return;
+    controller.getWorldPosition(groupRef.current.position);
+    controller.getWorldQuaternion(groupRef.current.quaternion);
+  });
+
+  // Newest rows last; older messages scroll off the top
+  const lines = messages
+    .flatMap((message) =>
+      wrapLine(getChatLine(message, localId)).map((text) => ({
+        text,
+        size: FONT_SIZE,
+        color: message.system ? "#ffd27a" : message.color,
+      }))
+    )
+    .slice(-MAX_LINES);
+
+  // Grows upward from the anchor as rows are added
+  const height = (lines.length * FONT_SIZE * 1.25 + PADDING * 2) / PIXELS_PER_METER;
+
+  return (
+    <group ref={groupRef}>
+      {visible && lines.length > 0 && (
+        <group position={PANEL_ANCHOR} rotation={PANEL_TILT}>
+          <TextPanel
+            position={[0, height / 2, 0]}
+            width={PANEL_WIDTH}
+            height={height}
+            pixelsPerUnit={PIXELS_PER_METER}
+            textOptions={{ align: "left", padding: PADDING }}
+            lines={lines}
+          />
+        </group>
+      )}
+    </group>
+  );
+};
+
+export default VrChatFeed;
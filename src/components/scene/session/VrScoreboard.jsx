@@ -0,0 +1,75 @@
+/**
+ * VR Scoreboard
+ * Head-locked session leaderboard, toggled with the X button on the left controller
+ */
+import React, { useEffect, useRef, useState } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { useXR } from "@react-three/xr";
+import { getPlayerLabel } from "../utils.js";
+import TextPanel from "./TextPanel.jsx";
+
+const TOGGLE_BUTTON = 4; // xr-standard mapping: X on the left controller
+const PANEL_DISTANCE = 1.2; // meters in front of the headset
+const MAX_ROWS = 8;
+
+/**
+ * VrScoreboard - Follows the XR camera while open
+ *
+ * @param {Object} props
+ * @param {Array} props.rows - Scoreboard rows from useMultiplayer (best first)
+ * @param {string|null} props.localId - Local player's id, highlighted in the list
+ */
+const VrScoreboard = ({ rows, localId }) => {
+  const { camera } = useThree();
+  const inputSourceStates = useXR((state) => state.inputSourceStates);
+  const groupRef = useRef();
+  const leftControllerRef = useRef(null);
+  const wasPressedRef = useRef(false);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    leftControllerRef.current = inputSourceStates.find(
+      (state) => state.type === "controller" && state.inputSource?.handedness === "left"
+    );
+  }, [inputSourceStates]);
+
+  useFrame(() => {
+    // Toggle on press, not while held
+    const pressed = Boolean(leftControllerRef.current?.inputSource?.gamepad?.buttons?.[TOGGLE_BUTTON]?.pressed);
+    if (pressed && !wasPressedRef.current) {
+      setOpen((value) => !value);
+    }
+    wasPressedRef.current = pressed;
+
+    if (!groupRef.current) return;
+    camera.getWorldPosition(groupRef.current.position);
+    camera.getWorldQuaternion(groupRef.current.quaternion);
+  });
+
+  const lines = [
+    { text: "Scoreboard", size: 40, color: "#9fd8ff" },
+    ...rows.slice(0, MAX_ROWS).map((row, index) => ({
+      text: `${index + 1}. ${getPlayerLabel(row, localId)}   ${row.kills} K / ${row.deaths} D   streak ${row.streak} (best ${row.bestStreak})`,
+      size: 26,
+      color: row.id === localId ? "#9fd8ff" : row.color,
+    })),
+    { text: "Press X to close", size: 20, color: "rgba(234, 241, 255, 0.6)" },
+  ];
+
+  return (
+    <group ref={groupRef}>
+      {open && (
+        <TextPanel
+          position={[0, -0.05, -PANEL_DISTANCE]}
+          width={1.1}
+          height={0.2 + Math.min(rows.length, MAX_ROWS) * 0.07}
+          depthTest={false}
+          textOptions={{ align: "left" }}
+          lines={lines}
+        />
+      )}
+    </group>
+  );
+};
+
+export default VrScoreboard;
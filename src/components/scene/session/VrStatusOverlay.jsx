@@ -0,0 +1,121 @@
+/**
+ * VR Status Overlay
+ * Head-locked hit flash, death screen, wave progress and connection notice for VR sessions (no DOM HUD in the headset)
+ */
+import React, { useEffect, useMemo, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from "three";
+import { useCountdown, useWaveAnnouncement, CONNECTION_STATES } from "../hooks/index.js";
+import { getWaveAnnouncement, getWaveLabel } from "../utils.js";
+import TextPanel from "./TextPanel.jsx";
+
+const HIT_FLASH_DURATION = 0.35; // seconds
+const HIT_FLASH_OPACITY = 0.45;
+const PANEL_DISTANCE = 1.4; // meters in front of the headset
+
+/**
+ * VrStatusOverlay - Follows the XR camera each frame
+ *
+ * @param {Object} props
+ * @param {Object} props.status - Local player status from useMultiplayer ({ alive, respawnAt })
+ * @param {Object} props.damageEvent - Latest damage event, triggers the red flash
+ * @param {string} props.connection - Connection state from useMultiplayer
+ * @param {Object|null} props.wave - Wave state from useMultiplayer
+ * @param {number} props.enemiesRemaining - Alive enemies in the current wave
+ */
+const VrStatusOverlay = ({ status, damageEvent, connection, wave, enemiesRemaining }) => {
+  const { camera } = useThree();
+  const groupRef = useRef();
+  const flashRef = useRef(0);
+  const seconds = useCountdown(status.alive ? null : status.respawnAt);
+  const waveSeconds = useCountdown(wave?.startsAt ?? null);
+  const announcing = useWaveAnnouncement(wave);
+  const announcement = wave && announcing ? getWaveAnnouncement(wave) : null;
+
+  const flashMaterial = useMemo(
+    () =>
+      new THREE.MeshBasicMaterial({
+        color: "#b0140c",
+        transparent: true,
+        opacity: 0,
+        side: THREE.BackSide,
+        depthTest: false,
+        depthWrite: false,
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (damageEvent) {
+      flashRef.current = HIT_FLASH_DURATION;
+    }
+  }, [damageEvent]);
+
+  useFrame((_, delta) => {
+    if (!groupRef.current) return;
+    camera.getWorldPosition(groupRef.current.position);
+    camera.getWorldQuaternion(groupRef.current.quaternion);
+
+    flashRef.current = Math.max(0, flashRef.current - delta);
+    const flashOpacity = (flashRef.current / HIT_FLASH_DURATION) * HIT_FLASH_OPACITY;
+    flashMaterial.opacity = status.alive ? flashOpacity : Math.max(flashOpacity, 0.25);
+  });
+
+  return (
+    <group ref={groupRef}>
+      {/* Sphere around the head tinted red on hits, stays dim red while dead */}
+      <mesh material={flashMaterial} renderOrder={9}>
+        <sphereGeometry args={[0.3, 16, 12]} />
+      </mesh>
+
+      {!status.alive && (
+        <TextPanel
+          position={[0, 0, -PANEL_DISTANCE]}
+          width={0.9}
+          height={0.36}
+          depthTest={false}
+          lines={[
+            { text: "You were slain", size: 64, color: "#ff7a66" },
+            { text: seconds > 0 ? `Respawning in ${seconds}…` : "Respawning…", size: 36 },
+          ]}
+        />
+      )}
+
+      {/* Small wave line low in view, big banner above center on announcements */}
+      {wave && (
+        <TextPanel
+          position={[0, -0.42, -PANEL_DISTANCE]}
+          width={0.6}
+          height={0.08}
+          depthTest={false}
+          lines={[{ text: getWaveLabel(wave, enemiesRemaining, waveSeconds), size: 28, color: "#eaf1ff" }]}
+        />
+      )}
+
+      {status.alive && announcement && (
+        <TextPanel
+          position={[0, 0.12, -PANEL_DISTANCE]}
+          width={0.9}
+          height={0.26}
+          depthTest={false}
+          lines={[
+            { text: announcement.title, size: 64, color: "#ffd27a" },
+            ...(announcement.detail ? [{ text: announcement.detail, size: 30 }] : []),
+          ]}
+        />
+      )}
+
+      {connection === CONNECTION_STATES.RECONNECTING && (
+        <TextPanel
+          position={[0, 0.32, -PANEL_DISTANCE]}
+          width={0.8}
+          height={0.14}
+          depthTest={false}
+          lines={[{ text: "Connection lost - reconnecting…", size: 30, color: "#ffd27a" }]}
+        />
+      )}
+    </group>
+  );
+};
+
+export default VrStatusOverlay;
@@ -0,0 +1,80 @@
+/**
+ * VR Voice Controls
+ * Mute toggle and push-to-talk on the left controller, with a mic status tag on its top
+ */
+import React, { useEffect, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useXR } from "@react-three/xr";
+import { useVoiceState } from "../hooks/index.js";
+import { getVoiceStatus } from "../utils.js";
+import TextPanel from "./TextPanel.jsx";
+
+const MUTE_BUTTON = 5; // xr-standard mapping: Y on the left controller
+const TALK_BUTTON = 1; // Squeeze (grip) - held to talk while muted
+const TAG_OFFSET = [0, 0.035, -0.02]; // Just above the controller, under the chat feed
+const TAG_TILT = [-Math.PI / 4, 0, 0];
+
+/**
+ * VrVoiceControls - Follows the left controller and drives the voice chat from its buttons
+ *
+ * @param {Object} props
+ * @param {Object} props.voice - Voice chat from useMultiplayer
+ */
+const VrVoiceControls = ({ voice }) => {
+  const inputSourceStates = useXR((state) => state.inputSourceStates);
+  const state = useVoiceState(voice);
+  const groupRef = useRef();
+  const leftControllerRef = useRef(null);
+  const wasMutePressedRef = useRef(false);
+
+  useEffect(() => {
+    leftControllerRef.current = inputSourceStates.find(
+      (entry) => entry.type === "controller" && entry.inputSource?.handedness === "left"
+    );
+  }, [inputSourceStates]);
+
+  // Stop transmitting if the controls go away mid-press
+  useEffect(() => () => voice.setPushToTalk(false), [voice]);
+
+  useFrame(() => {
+    const controller = leftControllerRef.current;
+    const buttons = controller?.inputSource?.gamepad?.buttons;
+
+    // Toggle on press, not while held
+    const mutePressed = Boolean(buttons?.[MUTE_BUTTON]?.pressed);
+    if (mutePressed && !wasMutePressedRef.current) {
+      voice.setMuted(!voice.getState().muted);
+    }
+    wasMutePressedRef.current = mutePressed;
+    voice.setPushToTalk(Boolean(buttons?.[TALK_BUTTON]?.pressed));
+
+    if (!groupRef.current || !controller?.object) return;
+    controller.object.getWorldPosition(groupRef.current.position);
+    controller.object.getWorldQuaternion(groupRef.current.quaternion);
+  });
+
+  if (!state.supported) {
+    return null;
+  }
+
+  const hint = state.muted ? "Y unmute · grip to talk" : "Y mute";
+
+  return (
+    <group ref={groupRef}>
+      <TextPanel
+        position={TAG_OFFSET}
+        rotation={TAG_TILT}
+        width={0.16}
+        height={0.04}
+        pixelsPerUnit={2048}
+        textOptions={{ padding: 8 }}
+        lines={[
+          { text: getVoiceStatus(state), size: 26, color: state.transmitting ? "#2fd36f" : "#eaf1ff" },
+          { text: hint, size: 18, color: "rgba(234, 241, 255, 0.6)" },
+        ]}
+      />
+    </group>
+  );
+};
+
+export default VrVoiceControls;
@@ -3,5 +3,13 @@
  */
 export { default as SessionWorld } from "./SessionWorld.jsx";
 export { default as FlatSessionWorld } from "./FlatSessionWorld.jsx";
+export { default as SpectatorWorld } from "./SpectatorWorld.jsx";
+export { default as ReplayWorld } from "./ReplayWorld.jsx";
 export { default as SessionGate } from "./SessionGate.jsx";
 export { default as RemoteAvatar } from "./RemoteAvatar.jsx";
+export { default as TextPanel } from "./TextPanel.jsx";
+export { default as VrStatusOverlay } from "./VrStatusOverlay.jsx";
+export { default as VrScoreboard } from "./VrScoreboard.jsx";
+export { default as VrChatFeed } from "./VrChatFeed.jsx";
+export { default as VrVoiceControls } from "./VrVoiceControls.jsx";
+export { default as PathDebugOverlay } from "./PathDebugOverlay.jsx";
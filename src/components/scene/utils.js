@@ -2,8 +2,10 @@
  * Utility functions for the Scene
  * Pure helper functions with no dependencies on React or Three.js state
  */
-import * as THREE from "three";
-import { DEADZONE, BOUNDARY_MARGIN, HALL_HALF_WIDTH, HALL_HALF_LENGTH } from "./constants.js";
+import { clampToAreas } from "../../../shared/movement.js";
+import { DEADZONE, SWORD_TINTS, VOICE_ICE_SERVERS } from "./constants.js";
+import { getLocalPlayerAreas } from "./levelStore.js";
+import { MIC_STATES } from "./voice.js";
 
 /**
  * Apply deadzone to a joystick axis value
@@ -20,17 +22,11 @@ export const applyDeadzone = (value) => (Math.abs(value) < DEADZONE ? 0 : value)
 export const clampAxis = (value) => Math.min(1, Math.max(-1, value));
 
 /**
- * Clamp position to stay within hall boundaries
+ * Clamp position to the current level's halls and the doorway passages between them
  * @param {THREE.Vector3} position - Position vector to clamp (mutated in place)
  * @returns {THREE.Vector3} - The clamped position
  */
-export const clampToHall = (position) => {
-  const limitX = HALL_HALF_WIDTH - BOUNDARY_MARGIN;
-  const limitZ = HALL_HALF_LENGTH - BOUNDARY_MARGIN;
-  position.x = THREE.MathUtils.clamp(position.x, -limitX, limitX);
-  position.z = THREE.MathUtils.clamp(position.z, -limitZ, limitZ);
-  return position;
-};
+export const clampToLevel = (position) => clampToAreas(position, getLocalPlayerAreas());
 
 /**
  * Get the first connected gamepad
@@ -49,29 +45,208 @@ export const getPrimaryGamepad = () => {
   return null;
 };
 
+/**
+ * Normalize a room code from the page URL (?room=)
+ * Mirrors ROOM_CODE_PATTERN in server.js; invalid codes fall back to the shared lobby
+ * @param {string|null} value - Raw room parameter
+ * @returns {string|null} - Normalized room code, or null for the default lobby
+ */
+export const resolveRoomCode = (value) => {
+  const normalized = (value ?? "").trim().toLowerCase();
+  return /^[a-z0-9-]{1,32}$/.test(normalized) ? normalized : null;
+};
+
+/**
+ * Display label for a player - matches the server's getDisplayName for unnamed players
+ * @param {Object} player - { id, name } (name is null until the player picks one)
+ * @param {string|null} localId - Local player's id
+ * @returns {string} - "You" for the local player, otherwise their name or "Player 1a2b"
+ */
+export const getPlayerLabel = ({ id, name = null }, localId = null) =>
+  id === localId ? "You" : name ?? `Player ${String(id).slice(0, 4)}`;
+
+/**
+ * Chat line shared by the DOM chat box and the VR chat feed
+ * @param {Object} message - Chat entry from useMultiplayer ({ playerId, name, text } or a { system, text } notice)
+ * @param {string|null} localId - Local player's id
+ * @returns {string} - e.g. "Player 1a2b: hello", or the notice text on its own
+ */
+export const getChatLine = (message, localId = null) =>
+  message.system ? message.text : `${getPlayerLabel({ id: message.playerId, name: message.name }, localId)}: ${message.text}`;
+
+/**
+ * Voice chat status shared by the DOM HUD and the VR controller readout
+ * @param {Object} voice - State from useVoiceState
+ * @returns {string} - e.g. "Mic muted", "Talking", "Mic blocked - listening only"
+ */
+export const getVoiceStatus = (voice) => {
+  if (!voice.supported) return "Voice unavailable";
+  if (voice.mic === MIC_STATES.DENIED) return "Mic blocked - listening only";
+  if (voice.mic === MIC_STATES.REQUESTING) return "Waiting for mic permission…";
+  if (voice.transmitting) return voice.muted ? "Talking" : "Mic on";
+  return "Mic muted";
+};
+
+/**
+ * Wave progress line shared by the DOM HUD and the VR overlay
+ * @param {Object} wave - Wave state from useMultiplayer
+ * @param {number} remaining - Enemies still alive
+ * @param {number} seconds - Whole seconds left in the intermission
+ * @returns {string} - e.g. "Wave 3 · 6 left" or "Wave 4 in 5s"
+ */
+export const getWaveLabel = (wave, remaining, seconds) =>
+  wave.state === "intermission" ? `Wave ${wave.wave + 1} in ${seconds}s` : `Wave ${wave.wave} · ${remaining} left`;
+
+/**
+ * Banner text for a wave announcement
+ * @param {Object} wave - Wave state from useMultiplayer
+ * @returns {Object} - { title, detail }
+ */
+export const getWaveAnnouncement = (wave) =>
+  wave.state === "intermission"
+    ? {
+        title: `Wave ${wave.wave} cleared`,
+        detail: Number.isFinite(wave.clearTime) ? `in ${(wave.clearTime / 1000).toFixed(1)}s` : "",
+      }
+    : { title: `Wave ${wave.wave}`, detail: `${wave.enemyCount} enemies incoming` };
+
+/**
+ * Replay clock readout
+ * @param {number} ms - Time into the replay
+ * @returns {string} - e.g. "4:07"
+ */
+export const formatReplayTime = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Line for a replay's event list
+ * @param {Object} event - Kill (an attack with killed), death or wave record (shared/replay.js)
+ * @param {Map} roster - Player id -> { name } from parseReplay
+ * @returns {string} - e.g. "Ada killed enemy-3", "Player 1a2b was slain by enemy-1", "Wave 2 cleared"
+ */
+export const getReplayEventLabel = (event, roster) => {
+  const label = (id) => getPlayerLabel({ id, name: roster.get(id)?.name ?? null });
+  if (event.type === "wave") {
+    return event.state === "intermission" ? `Wave ${event.wave} cleared` : `Wave ${event.wave} started`;
+  }
+  if (event.type === "death") {
+    return `${label(event.playerId)} was slain by ${event.killerId}`;
+  }
+  return `${label(event.playerId)} killed ${event.enemyId}`;
+};
+
+/**
+ * Generate a short random room code for private sessions
+ * @returns {string} - Room code like "crypt-4821"
+ */
+export const createRoomCode = () => {
+  const words = ["crypt", "vault", "nave", "apse", "aisle", "choir", "arch", "spire"];
+  const word = words[Math.floor(Math.random() * words.length)];
+  return `${word}-${Math.floor(1000 + Math.random() * 9000)}`;
+};
+
+/**
+ * Snapshot encoding requested from the server - binary unless the page URL has ?protocol=json
+ * (readable frames for debugging in the browser network panel)
+ * @returns {string} - "binary" or "json"
+ */
+export const resolveSnapshotProtocol = () => {
+  if (typeof window === "undefined") return "binary";
+  const value = new URLSearchParams(window.location.search).get("protocol");
+  return value === "json" ? "json" : "binary";
+};
+
+/**
+ * Whether to draw enemy navigation paths - set with ?debug=paths on the page URL
+ * @returns {boolean}
+ */
+export const resolveDebugPaths = () => {
+  if (typeof window === "undefined") return false;
+  return new URLSearchParams(window.location.search).get("debug") === "paths";
+};
+
 /**
  * Resolve WebSocket URL for multiplayer connection
+ * @param {string|null} roomCode - Room to join (omitted for the default lobby)
+ * @param {Object} options
+ * @param {string} options.protocol - Snapshot encoding ("binary" default, "json" for debugging)
+ * @param {string|null} options.resumeToken - Token from the last welcome, to resume that session
+ * @param {string|null} options.debug - Debug feed to request ("paths" for enemy navigation paths)
+ * @param {boolean} options.spectate - Join as a spectator (no player, only watches the room)
  * @returns {string} - WebSocket URL
  */
-export const resolveWsUrl = () => {
+export const resolveWsUrl = (
+  roomCode = null,
+  { protocol = "binary", resumeToken = null, debug = null, spectate = false } = {}
+) => {
+  const params = new URLSearchParams();
+  if (roomCode) params.set("room", roomCode);
+  if (spectate) params.set("spectate", "1");
+  if (protocol !== "binary") params.set("protocol", protocol);
+  if (resumeToken) params.set("resume", resumeToken);
+  if (debug) params.set("debug", debug);
+  const query = params.size ? `?${params}` : "";
   const override = import.meta.env?.VITE_WS_URL;
   if (override) {
-    return override;
+    return `${override}${query}`;
+  }
+  if (typeof window === "undefined") {
+    return `ws://localhost:4000${query}`;
+  }
+  const scheme = window.location.protocol === "https:" ? "wss" : "ws";
+  const hostname = window.location.hostname || "localhost";
+  return `${scheme}://${hostname}:4000${query}`;
+};
+
+/**
+ * Resolve an HTTP endpoint on the game server (same host and port as the WebSocket)
+ * @param {string} pathname - Endpoint path, e.g. "/api/leaderboard"
+ * @returns {string} - Absolute URL
+ */
+export const resolveApiUrl = (pathname) => {
+  const override = import.meta.env?.VITE_API_URL;
+  if (override) {
+    return `${override.replace(/\/+$/, "")}${pathname}`;
   }
   if (typeof window === "undefined") {
-    return "ws://localhost:4000";
+    return `http://localhost:4000${pathname}`;
   }
-  const protocol = window.location.protocol === "https:" ? "wss" : "ws";
   const hostname = window.location.hostname || "localhost";
-  return `${protocol}://${hostname}:4000`;
+  return `${window.location.protocol}//${hostname}:4000${pathname}`;
 };
 
 /**
- * Seeded random number generator for consistent procedural generation
- * @param {number} seed - Seed value
- * @returns {number} - Pseudo-random value in [0, 1)
+ * ICE servers for voice chat peer connections
+ * @returns {Array<Object>} - VITE_ICE_SERVERS (a JSON RTCIceServer list) when set, otherwise the public STUN default
  */
-export const seededRandom = (seed) => {
-  const x = Math.sin(seed * 12.9898 + seed * 78.233) * 43758.5453;
-  return x - Math.floor(x);
+export const resolveIceServers = () => {
+  const override = import.meta.env?.VITE_ICE_SERVERS;
+  if (!override) {
+    return VOICE_ICE_SERVERS;
+  }
+  try {
+    const servers = JSON.parse(override);
+    return Array.isArray(servers) ? servers : VOICE_ICE_SERVERS;
+  } catch (error) {
+    console.warn("Invalid VITE_ICE_SERVERS, using the default STUN server", error);
+    return VOICE_ICE_SERVERS;
+  }
 };
+
+// Seeded random numbers - shared with the dungeon generator (shared/random.js)
+export { seededRandom } from "../../../shared/random.js";
+
+// Player name cleanup - the server applies the same rules (shared/names.js)
+export { normalizeName } from "../../../shared/names.js";
+
+// Appearance defaults and checks - the server validates hellos with the same rules (shared/appearance.js)
+export { createDefaultAppearance, isValidAppearance } from "../../../shared/appearance.js";
+
+/**
+ * Blade color for the local player's sword
+ * @param {Object|null} appearance - Local appearance (null before one is picked)
+ * @returns {string} - Hex color, steel by default
+ */
+export const getSwordTint = (appearance) => SWORD_TINTS[appearance?.sword] ?? SWORD_TINTS.steel;
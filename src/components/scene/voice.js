@@ -0,0 +1,292 @@
+/**
+ * Voice chat
+ * Peer-to-peer WebRTC audio between the players in a room, signaled through the game server
+ *
+ * Every pair of players shares one RTCPeerConnection carrying a single audio transceiver.
+ * The player with the lower id makes the offer, so two peers never offer to each other at
+ * once. The microphone is only requested the first time the player talks; until then, and
+ * while muted, the transceivers send silence. Picking up the mic swaps its track in with
+ * replaceTrack, which needs no renegotiation.
+ *
+ * Remote streams are exposed through getState().streams and played positionally by the
+ * avatars (see RemoteAvatar), so volume falls off with distance.
+ */
+export const MIC_STATES = {
+  OFF: "off", // Not requested yet
+  REQUESTING: "requesting",
+  ON: "on",
+  DENIED: "denied", // Permission refused or no input device
+};
+
+const MIC_CONSTRAINTS = { audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true } };
+
+const isSupported = () =>
+  typeof RTCPeerConnection !== "undefined" && typeof navigator !== "undefined" && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const INITIAL_STATE = {
+  supported: true,
+  mic: MIC_STATES.OFF,
+  muted: true, // Open mic off - push-to-talk still works
+  pushToTalk: false, // Push-to-talk key or button held
+  transmitting: false, // The mic track is live and enabled
+  streams: {}, // Remote player id -> MediaStream
+};
+
+/**
+ * Create the voice chat for one session
+ * @param {Object} options
+ * @param {Function} options.sendSignal - (to, { kind, sdp | candidate }) - relays a signal through the game server
+ * @param {Array<Object>} options.iceServers - RTCIceServer list for the peer connections
+ * @returns {Object} - { getState, subscribe, setLocalId, setPeers, handleSignal, setMuted, setPushToTalk, close }
+ */
+export const createVoiceChat = ({ sendSignal, iceServers }) => {
+  const peers = new Map(); // Remote player id -> { connection, initiator, listed, pendingCandidates }
+  const listeners = new Set();
+  let state = { ...INITIAL_STATE, supported: isSupported() };
+  let localId = null;
+  let micStream = null;
+  let micRequest = null;
+  let generation = 0; // Bumped by close, so a mic request that outlives the session is dropped
+
+  const setState = (partial) => {
+    state = { ...state, ...partial };
+    listeners.forEach((listener) => listener());
+  };
+
+  const getMicTrack = () => micStream?.getAudioTracks()[0] ?? null;
+
+  // The track is enabled while unmuted or while push-to-talk is held
+  const updateTransmitting = () => {
+    const wanted = !state.muted || state.pushToTalk;
+    const track = getMicTrack();
+    if (track) {
+      track.enabled = wanted;
+    } else if (wanted) {
+      requestMic();
+    }
+    const transmitting = Boolean(track) && wanted;
+    if (transmitting !== state.transmitting) {
+      setState({ transmitting });
+    }
+  };
+
+  // Attach the mic to a peer's audio transceiver (answerers only have one after the offer)
+  const attachMic = (peer) => {
+    const transceiver = peer.connection.getTransceivers().find((entry) => entry.receiver.track.kind === "audio");
+    if (!transceiver) return;
+    transceiver.direction = "sendrecv";
+    transceiver.sender.replaceTrack(getMicTrack()).catch(() => {});
+  };
+
+  const requestMic = () => {
+    if (micRequest || state.mic === MIC_STATES.DENIED || !state.supported) return;
+    setState({ mic: MIC_STATES.REQUESTING });
+    const requestGeneration = generation;
+    micRequest = navigator.mediaDevices
+      .getUserMedia(MIC_CONSTRAINTS)
+      .then((stream) => {
+        if (requestGeneration !== generation) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        micStream = stream;
+        setState({ mic: MIC_STATES.ON });
+        peers.forEach(attachMic);
+        updateTransmitting();
+      })
+      .catch((error) => {
+        if (requestGeneration !== generation) return;
+        console.warn("Microphone unavailable, voice chat is listen-only", error);
+        setState({ mic: MIC_STATES.DENIED });
+      })
+      .finally(() => {
+        if (requestGeneration === generation) micRequest = null;
+      });
+  };
+
+  const setStream = (remoteId, stream) => {
+    const streams = { ...state.streams };
+    if (stream) {
+      streams[remoteId] = stream;
+    } else {
+      delete streams[remoteId];
+    }
+    setState({ streams });
+  };
+
+  const removePeer = (remoteId) => {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+    peer.connection.close();
+    peers.delete(remoteId);
+    if (state.streams[remoteId]) {
+      setStream(remoteId, null);
+    }
+  };
+
+  const createPeer = (remoteId, initiator) => {
+    const connection = new RTCPeerConnection({ iceServers });
+    const peer = { connection, initiator, listed: false, pendingCandidates: [] };
+    peers.set(remoteId, peer);
+
+    connection.addEventListener("icecandidate", (event) => {
+      if (event.candidate) {
+        sendSignal(remoteId, { kind: "candidate", candidate: event.candidate.toJSON() });
+      }
+    });
+    connection.addEventListener("track", (event) => {
+      setStream(remoteId, event.streams[0] ?? new MediaStream([event.track]));
+    });
+    // A failed peer is dropped; the initiator offers again on the next player update
+    connection.addEventListener("connectionstatechange", () => {
+      if (connection.connectionState === "failed" && peers.get(remoteId) === peer) {
+        removePeer(remoteId);
+      }
+    });
+
+    if (initiator) {
+      connection.addTransceiver("audio", { direction: "sendrecv" });
+      attachMic(peer);
+      connection
+        .createOffer()
+        .then((offer) => connection.setLocalDescription(offer))
+        .then(() => sendSignal(remoteId, { kind: "offer", sdp: connection.localDescription.sdp }))
+        .catch((error) => console.warn("Voice offer failed", error));
+    }
+    return peer;
+  };
+
+  // Candidates can arrive before the description they belong to
+  const applyPendingCandidates = (peer) => {
+    for (const candidate of peer.pendingCandidates) {
+      peer.connection.addIceCandidate(candidate).catch(() => {});
+    }
+    peer.pendingCandidates = [];
+  };
+
+  /**
+   * Get the current voice state snapshot
+   * @returns {Object} - { supported, mic, muted, pushToTalk, transmitting, streams }
+   */
+  const getState = () => state;
+
+  /**
+   * Subscribe to voice state changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} - Unsubscribe function
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  };
+
+  /**
+   * Set the local player's id from the welcome; a new id (session not resumed) drops every peer
+   * @param {string} id - Local player id
+   */
+  const setLocalId = (id) => {
+    if (id === localId) return;
+    localId = id;
+    Array.from(peers.keys()).forEach(removePeer);
+  };
+
+  /**
+   * Match peers to the players in the room - called with every player list update
+   * @param {Array<string>} ids - Connected player ids (the local id is skipped)
+   */
+  const setPeers = (ids) => {
+    if (!state.supported || !localId) return;
+    const present = new Set(ids);
+    present.delete(localId);
+    for (const id of present) {
+      const peer = peers.get(id) ?? (localId < id ? createPeer(id, true) : null);
+      if (peer) peer.listed = true;
+    }
+    // Answerer peers are created by an offer, possibly before the player shows up in the list
+    for (const [id, peer] of peers) {
+      if (!present.has(id) && peer.listed) removePeer(id);
+    }
+  };
+
+  /**
+   * Apply a signal relayed by the server
+   * @param {Object} message - { from, kind, sdp | candidate }
+   */
+  const handleSignal = ({ from, kind, sdp, candidate }) => {
+    if (!state.supported || !localId || from === localId) return;
+
+    if (kind === "offer") {
+      // A repeated offer means the other side started over (reload, failed connection)
+      removePeer(from);
+      const peer = createPeer(from, false);
+      const { connection } = peer;
+      connection
+        .setRemoteDescription({ type: "offer", sdp })
+        .then(() => {
+          applyPendingCandidates(peer);
+          attachMic(peer);
+          return connection.createAnswer();
+        })
+        .then((answer) => connection.setLocalDescription(answer))
+        .then(() => sendSignal(from, { kind: "answer", sdp: connection.localDescription.sdp }))
+        .catch((error) => console.warn("Voice answer failed", error));
+      return;
+    }
+
+    const peer = peers.get(from);
+    if (!peer) return;
+
+    if (kind === "answer" && peer.initiator) {
+      peer.connection
+        .setRemoteDescription({ type: "answer", sdp })
+        .then(() => applyPendingCandidates(peer))
+        .catch((error) => console.warn("Voice answer rejected", error));
+      return;
+    }
+
+    if (kind === "candidate") {
+      if (peer.connection.remoteDescription) {
+        peer.connection.addIceCandidate(candidate).catch(() => {});
+      } else {
+        peer.pendingCandidates.push(candidate);
+      }
+    }
+  };
+
+  /**
+   * Mute or unmute the open mic (the first unmute asks for microphone permission)
+   * @param {boolean} muted - True to stop transmitting
+   */
+  const setMuted = (muted) => {
+    if (muted === state.muted) return;
+    setState({ muted });
+    updateTransmitting();
+  };
+
+  /**
+   * Hold or release push-to-talk - transmits while held, even when muted
+   * @param {boolean} held - Whether the key or button is down
+   */
+  const setPushToTalk = (held) => {
+    if (held === state.pushToTalk) return;
+    setState({ pushToTalk: held });
+    updateTransmitting();
+  };
+
+  /**
+   * Hang up every peer and release the microphone (used when the session ends)
+   */
+  const close = () => {
+    generation += 1;
+    micRequest = null;
+    Array.from(peers.keys()).forEach(removePeer);
+    micStream?.getTracks().forEach((track) => track.stop());
+    micStream = null;
+    localId = null;
+    setState({ ...INITIAL_STATE, supported: state.supported });
+  };
+
+  return { getState, subscribe, setLocalId, setPeers, handleSignal, setMuted, setPushToTalk, close };
+};
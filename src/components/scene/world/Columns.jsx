@@ -10,7 +10,9 @@ import {
   COLUMN_RING_HEIGHT,
   COLUMN_CAP_HEIGHT,
   COLUMN_TOP_HEIGHT,
-  COLUMN_SHAFT_HEIGHT,
+  getColumnShaftHeight,
+  COLUMN_BASE_WIDTH,
+  COLUMN_OFFSET_JITTER,
 } from "../constants.js";
 import { seededRandom } from "../utils.js";
 
@@ -19,7 +21,7 @@ import { seededRandom } from "../utils.js";
  * Square cathedral-style columns with wider base and capital
  * Includes random tilts and position offsets for ruins aesthetic
  */
-const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
+const InstancedColumns = ({ positions, hallHeight, stoneMaterial, trimMaterial }) => {
   const baseRef = useRef();
   const ringRef = useRef();
   const shaftRef = useRef();
@@ -27,20 +29,21 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
   const topRef = useRef();
 
   const count = positions.length;
+  const shaftBaseHeight = getColumnShaftHeight(hallHeight); // Reaches just under the ceiling
   
   // Pre-create geometries - SQUARE cathedral columns
   const geometries = useMemo(() => ({
     // Plinth (base) - slightly wider than shaft for visual grounding
-    base: new THREE.BoxGeometry(SCALE(7.0), COLUMN_BASE_HEIGHT, SCALE(7.0)),
+    base: new THREE.BoxGeometry(SCALE(COLUMN_BASE_WIDTH), COLUMN_BASE_HEIGHT, SCALE(COLUMN_BASE_WIDTH)),
     // Base molding - transition between plinth and shaft
     ring: new THREE.BoxGeometry(SCALE(6.2), COLUMN_RING_HEIGHT, SCALE(6.2)),
     // Main shaft - the primary column body
-    shaft: new THREE.BoxGeometry(SCALE(5.5), COLUMN_SHAFT_HEIGHT, SCALE(5.5)),
+    shaft: new THREE.BoxGeometry(SCALE(5.5), shaftBaseHeight, SCALE(5.5)),
     // Capital - subtle widening from shaft
     cap: new THREE.BoxGeometry(SCALE(6.2), COLUMN_CAP_HEIGHT, SCALE(6.2)),
     // Abacus (top) - slightly wider to support ceiling, matching base
-    top: new THREE.BoxGeometry(SCALE(7.0), COLUMN_TOP_HEIGHT, SCALE(7.0)),
-  }), []);
+    top: new THREE.BoxGeometry(SCALE(COLUMN_BASE_WIDTH), COLUMN_TOP_HEIGHT, SCALE(COLUMN_BASE_WIDTH)),
+  }), [shaftBaseHeight]);
 
   // Generate random imperfections per column (seeded by position for consistency)
   const columnImperfections = useMemo(() => {
@@ -48,9 +51,9 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
       const seed = pos[0] * 1000 + pos[2];
       const tiltX = (seededRandom(seed) - 0.5) * 0.06;
       const tiltZ = (seededRandom(seed + 1) - 0.5) * 0.06;
-      const offsetX = (seededRandom(seed + 2) - 0.5) * SCALE(0.4);
-      const offsetZ = (seededRandom(seed + 3) - 0.5) * SCALE(0.4);
-      const scaleVar = 0.92 + seededRandom(seed + 4) * 0.16;
+      const offsetX = (seededRandom(seed + 2) - 0.5) * SCALE(COLUMN_OFFSET_JITTER);
+      const offsetZ = (seededRandom(seed + 3) - 0.5) * SCALE(COLUMN_OFFSET_JITTER);
+      const scaleVar = 0.92 + seededRandom(seed + 4) * 0.16; // Up to COLUMN_MAX_WIDTH_SCALE
       const heightVar = 0.85 + seededRandom(seed + 5) * 0.18;
       return { tiltX, tiltZ, offsetX, offsetZ, scaleVar, heightVar };
     });
@@ -94,7 +97,7 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
 
       // Shaft (full tilt, height variation for broken columns)
       if (shaftRef.current) {
-        const shaftHeight = COLUMN_SHAFT_HEIGHT * imp.heightVar;
+        const shaftHeight = shaftBaseHeight * imp.heightVar;
         tempPosition.set(
           baseX + Math.sin(imp.tiltZ) * shaftHeight * 0.5,
           COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + shaftHeight / 2,
@@ -109,7 +112,7 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
 
       // Cap (follows shaft tilt)
       if (capRef.current) {
-        const shaftHeight = COLUMN_SHAFT_HEIGHT * imp.heightVar;
+        const shaftHeight = shaftBaseHeight * imp.heightVar;
         tempPosition.set(
           baseX + Math.sin(imp.tiltZ) * shaftHeight,
           COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + shaftHeight + COLUMN_CAP_HEIGHT / 2,
@@ -124,7 +127,7 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
 
       // Top (more tilt at the peak)
       if (topRef.current) {
-        const shaftHeight = COLUMN_SHAFT_HEIGHT * imp.heightVar;
+        const shaftHeight = shaftBaseHeight * imp.heightVar;
         tempPosition.set(
           baseX + Math.sin(imp.tiltZ) * (shaftHeight + COLUMN_CAP_HEIGHT),
           COLUMN_BASE_HEIGHT + COLUMN_RING_HEIGHT + shaftHeight + COLUMN_CAP_HEIGHT + COLUMN_TOP_HEIGHT / 2,
@@ -143,7 +146,7 @@ const InstancedColumns = ({ positions, stoneMaterial, trimMaterial }) => {
         ref.current.instanceMatrix.needsUpdate = true;
       }
     });
-  }, [positions, columnImperfections]);
+  }, [positions, columnImperfections, shaftBaseHeight]);
 
   return (
     <group>
@@ -6,8 +6,6 @@ import React, { useMemo } from "react";
 import * as THREE from "three";
 import {
   SCALE,
-  HALL_WIDTH,
-  HALL_HEIGHT,
   WALL_THICKNESS,
   DOOR_WIDTH,
   DOOR_HEIGHT,
@@ -60,10 +58,11 @@ const createArchedPanelGeometry = (width, height, archRadius, depth, segments =
 
 /**
  * Doorway - Arched doorway with stone frame and metal doors
+ * An open doorway leads into a mounted hall and shows it; otherwise a black void fills the arch
  */
-const Doorway = ({ z, rotation, stoneMaterial, trimMaterial, metalMaterial }) => {
-  const sideWidth = (HALL_WIDTH - DOOR_WIDTH) / 2;
-  const lintelHeight = HALL_HEIGHT - TOTAL_DOOR_HEIGHT;
+const Doorway = ({ z, rotation, hall, open = false, stoneMaterial, trimMaterial, metalMaterial }) => {
+  const sideWidth = (hall.width - DOOR_WIDTH) / 2;
+  const lintelHeight = hall.height - TOTAL_DOOR_HEIGHT;
   const frameWidth = SCALE(0.8);
   const frameDepth = WALL_THICKNESS + SCALE(0.4);
   const doorPanelWidth = DOOR_WIDTH / 2 - SCALE(1);
@@ -112,11 +111,11 @@ const Doorway = ({ z, rotation, stoneMaterial, trimMaterial, metalMaterial }) =>
   return (
     <group position={[0, 0, z]} rotation={[0, rotation, 0]}>
       {/* Side walls */}
-      <mesh position={[-(DOOR_WIDTH / 2 + sideWidth / 2), HALL_HEIGHT / 2, 0]} material={stoneMaterial} receiveShadow>
-        <boxGeometry args={[sideWidth, HALL_HEIGHT, WALL_THICKNESS]} />
+      <mesh position={[-(DOOR_WIDTH / 2 + sideWidth / 2), hall.height / 2, 0]} material={stoneMaterial} receiveShadow>
+        <boxGeometry args={[sideWidth, hall.height, WALL_THICKNESS]} />
       </mesh>
-      <mesh position={[DOOR_WIDTH / 2 + sideWidth / 2, HALL_HEIGHT / 2, 0]} material={stoneMaterial} receiveShadow>
-        <boxGeometry args={[sideWidth, HALL_HEIGHT, WALL_THICKNESS]} />
+      <mesh position={[DOOR_WIDTH / 2 + sideWidth / 2, hall.height / 2, 0]} material={stoneMaterial} receiveShadow>
+        <boxGeometry args={[sideWidth, hall.height, WALL_THICKNESS]} />
       </mesh>
       
       {/* Lintel above the arch */}
@@ -194,14 +193,16 @@ const Doorway = ({ z, rotation, stoneMaterial, trimMaterial, metalMaterial }) =>
         />
       </group>
       
-      {/* Black void behind door - arched shape */}
-      <mesh
-        position={[0, 0, -WALL_THICKNESS / 2 - voidDepth]}
-        geometry={archVoidGeometry}
-        castShadow={false}
-      >
-        <meshBasicMaterial color="#000000" side={THREE.BackSide} />
-      </mesh>
+      {/* Black void behind door - arched shape (an open doorway shows the next hall instead) */}
+      {!open && (
+        <mesh
+          position={[0, 0, -WALL_THICKNESS / 2 - voidDepth]}
+          geometry={archVoidGeometry}
+          castShadow={false}
+        >
+          <meshBasicMaterial color="#000000" side={THREE.BackSide} />
+        </mesh>
+      )}
       
       {/* Threshold at bottom */}
       <mesh position={[0, SCALE(0.1), SCALE(1.8)]} material={trimMaterial} receiveShadow>
@@ -2,57 +2,45 @@
  * Scene Lighting Configuration
  * All lighting components for the ruins environment
  */
-import React, { useMemo } from "react";
-import {
-  SCALE,
-  HALL_HEIGHT,
-  HALL_HALF_WIDTH,
-  HALL_HALF_LENGTH,
-  RENDER_DISTANCE,
-} from "../constants.js";
+import React, { useMemo, useState } from "react";
+import * as THREE from "three";
+import { SCALE, RENDER_DISTANCE } from "../constants.js";
 
-const ceilingLightY = HALL_HEIGHT - SCALE(4);
-const wallLightY = SCALE(6);
+const CEILING_LIGHT_DROP = SCALE(4); // Ceiling lights hang this far below the ceiling
+const WALL_LIGHT_Y = SCALE(6);
 
 /**
- * Fixed ceiling light positions - 4x2 grid covering key areas
+ * Point light slots needed to light any hall together with its neighbours
+ * Streamed halls change as the player walks, but the number of lights in the scene must
+ * not (three.js recompiles every lit material when it does), so lights come from fixed pools
+ * @param {Object} level - Parsed level
+ * @returns {Object} - { ceiling, sconces } pool sizes
  */
-const CEILING_LIGHT_POSITIONS = [
-  // Front section
-  { x: -SCALE(80), z: -SCALE(180) },
-  { x: SCALE(80), z: -SCALE(180) },
-  // Center-front
-  { x: -SCALE(80), z: -SCALE(60) },
-  { x: SCALE(80), z: -SCALE(60) },
-  // Center-back
-  { x: -SCALE(80), z: SCALE(60) },
-  { x: SCALE(80), z: SCALE(60) },
-  // Back section
-  { x: -SCALE(80), z: SCALE(180) },
-  { x: SCALE(80), z: SCALE(180) },
-];
+export const getLightPoolSizes = (level) => {
+  const sizes = { ceiling: 0, sconces: 0 };
+  for (const hall of level.halls) {
+    const group = [hall, ...hall.links.map((id) => level.hallsById.get(id))];
+    sizes.ceiling = Math.max(sizes.ceiling, group.reduce((sum, { lights }) => sum + lights.ceiling.length, 0));
+    sizes.sconces = Math.max(sizes.sconces, group.reduce((sum, { lights }) => sum + lights.sconces.length, 0));
+  }
+  return sizes;
+};
 
-/**
- * Fixed wall sconce positions - 4 per side at key intervals
- */
-const WALL_SCONCE_POSITIONS = [
-  // Left wall
-  { x: -HALL_HALF_WIDTH + SCALE(2), z: -SCALE(200) },
-  { x: -HALL_HALF_WIDTH + SCALE(2), z: -SCALE(65) },
-  { x: -HALL_HALF_WIDTH + SCALE(2), z: SCALE(65) },
-  { x: -HALL_HALF_WIDTH + SCALE(2), z: SCALE(200) },
-  // Right wall
-  { x: HALL_HALF_WIDTH - SCALE(2), z: -SCALE(200) },
-  { x: HALL_HALF_WIDTH - SCALE(2), z: -SCALE(65) },
-  { x: HALL_HALF_WIDTH - SCALE(2), z: SCALE(65) },
-  { x: HALL_HALF_WIDTH - SCALE(2), z: SCALE(200) },
-];
+// Fill a fixed number of light slots from the streamed halls' lights (spare slots stay dark)
+const fillSlots = (size, positions) =>
+  Array.from({ length: size }, (_, i) => positions[i] ?? null);
 
 /**
- * SceneLighting - All lighting for the ruins environment
- * Fixed 16-light configuration for performance
+ * SceneLighting - Atmosphere and the main light for the hall the player is in
+ *
+ * @param {Object} props
+ * @param {Object} props.hall - Current level hall ({ x, z, height, halfWidth, halfLength })
  */
-const SceneLighting = () => {
+const SceneLighting = ({ hall }) => {
+  // The main light shines straight down on the current hall; its target has to be in the
+  // scene so it follows the hall
+  const [sunTarget] = useState(() => new THREE.Object3D());
+
   return (
     <>
       {/* Atmospheric fog - near 300, far 1500 for depth and mystery */}
@@ -65,21 +53,25 @@ const SceneLighting = () => {
       <hemisphereLight color="#f0f8e8" groundColor="#404838" intensity={1.2} />
       
       {/* Main directional light with green-white tint for ancient ruins feel */}
-      <directionalLight
-        position={[0, HALL_HEIGHT - SCALE(2), 0]}
-        intensity={2.0}
-        color="#e8f0d8"
-        castShadow
-        shadow-mapSize-width={1024}
-        shadow-mapSize-height={1024}
-        shadow-camera-near={1}
-        shadow-camera-far={RENDER_DISTANCE}
-        shadow-camera-left={-HALL_HALF_WIDTH}
-        shadow-camera-right={HALL_HALF_WIDTH}
-        shadow-camera-top={HALL_HALF_LENGTH}
-        shadow-camera-bottom={-HALL_HALF_LENGTH}
-        shadow-bias={-0.0001}
-      />
+      <group position={[hall.x, 0, hall.z]}>
+        <primitive object={sunTarget} />
+        <directionalLight
+          target={sunTarget}
+          position={[0, hall.height - SCALE(2), 0]}
+          intensity={2.0}
+          color="#e8f0d8"
+          castShadow
+          shadow-mapSize-width={1024}
+          shadow-mapSize-height={1024}
+          shadow-camera-near={1}
+          shadow-camera-far={RENDER_DISTANCE}
+          shadow-camera-left={-hall.halfWidth}
+          shadow-camera-right={hall.halfWidth}
+          shadow-camera-top={hall.halfLength}
+          shadow-camera-bottom={-hall.halfLength}
+          shadow-bias={-0.0001}
+        />
+      </group>
       
       {/* Secondary fill light with green-white tint */}
       <directionalLight
@@ -87,25 +79,49 @@ const SceneLighting = () => {
         intensity={0.6}
         color="#dde8cc"
       />
-      
-      {/* Fixed 8 ceiling point lights - green-white tint */}
-      {CEILING_LIGHT_POSITIONS.map((pos, i) => (
+    </>
+  );
+};
+
+/**
+ * HallLights - Ceiling lights and wall sconces of the streamed halls, from fixed pools
+ * (16 in the cathedral nave)
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.halls - Streamed level halls
+ * @param {Object} props.poolSizes - { ceiling, sconces } from getLightPoolSizes
+ */
+export const HallLights = ({ halls, poolSizes }) => {
+  const { ceiling, sconces } = useMemo(() => {
+    const ceilingLights = halls.flatMap((hall) =>
+      hall.lights.ceiling.map((pos) => ({ x: hall.x + pos.x, y: hall.height - CEILING_LIGHT_DROP, z: hall.z + pos.z }))
+    );
+    const sconceLights = halls.flatMap((hall) =>
+      hall.lights.sconces.map((pos) => ({ x: hall.x + pos.x, y: WALL_LIGHT_Y, z: hall.z + pos.z, side: pos.side }))
+    );
+    return { ceiling: ceilingLights, sconces: sconceLights };
+  }, [halls]);
+
+  return (
+    <>
+      {/* Ceiling point lights - green-white tint */}
+      {fillSlots(poolSizes.ceiling, ceiling).map((pos, i) => (
         <pointLight
           key={`ceiling-light-${i}`}
-          position={[pos.x, ceilingLightY, pos.z]}
-          intensity={2400}
+          position={pos ? [pos.x, pos.y, pos.z] : [0, 0, 0]}
+          intensity={pos ? 2400 : 0}
           distance={SCALE(200)}
           decay={2}
           color="#e0f0d0"
         />
       ))}
       
-      {/* Fixed 8 wall sconce lights - green-white tint */}
-      {WALL_SCONCE_POSITIONS.map((pos, i) => (
+      {/* Wall sconce lights - green-white tint */}
+      {fillSlots(poolSizes.sconces, sconces).map((pos, i) => (
         <pointLight
           key={`wall-sconce-${i}`}
-          position={[pos.x, wallLightY, pos.z]}
-          intensity={800}
+          position={pos ? [pos.x, pos.y, pos.z] : [0, 0, 0]}
+          intensity={pos ? 800 : 0}
           distance={SCALE(100)}
           decay={2}
           color="#d8e8c8"
@@ -113,8 +129,8 @@ const SceneLighting = () => {
       ))}
       
       {/* Emissive ceiling light fixtures - green-white tint */}
-      {CEILING_LIGHT_POSITIONS.map((pos, i) => (
-        <mesh key={`light-fixture-${i}`} position={[pos.x, ceilingLightY + SCALE(0.5), pos.z]}>
+      {ceiling.map((pos) => (
+        <mesh key={`light-fixture-${pos.x}-${pos.z}`} position={[pos.x, pos.y + SCALE(0.5), pos.z]}>
           <boxGeometry args={[SCALE(4), SCALE(0.3), SCALE(4)]} />
           <meshStandardMaterial
             color="#e8f8e0"
@@ -126,8 +142,8 @@ const SceneLighting = () => {
       ))}
       
       {/* Emissive wall sconce fixtures - green-white tint */}
-      {WALL_SCONCE_POSITIONS.map((pos, i) => (
-        <mesh key={`sconce-fixture-${i}`} position={[pos.x < 0 ? pos.x + SCALE(1) : pos.x - SCALE(1), wallLightY, pos.z]}>
+      {sconces.map((pos) => (
+        <mesh key={`sconce-fixture-${pos.x}-${pos.z}`} position={[pos.x - pos.side * SCALE(1), pos.y, pos.z]}>
           <boxGeometry args={[SCALE(0.4), SCALE(1.5), SCALE(1)]} />
           <meshStandardMaterial
             color="#e0f0d8"
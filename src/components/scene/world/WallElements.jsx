@@ -3,34 +3,29 @@
  * Cracks, ribs, and bands for the ruins aesthetic
  */
 import React, { useMemo } from "react";
-import {
-  SCALE,
-  HALL_LENGTH,
-  HALL_HEIGHT,
-  HALL_HALF_WIDTH,
-} from "../constants.js";
+import { SCALE } from "../constants.js";
 import { seededRandom } from "../utils.js";
 
 /**
  * WallCracks - Procedural crack damage on walls
+ * hall is the level hall; count is the level's cracksPerWall
  */
-export const WallCracks = ({ side, material }) => {
+export const WallCracks = ({ side, hall, count, material }) => {
   const crackPositions = useMemo(() => {
     const positions = [];
-    const crackCount = 12;
-    for (let i = 0; i < crackCount; i++) {
+    for (let i = 0; i < count; i++) {
       const seed = (side + 2) * 1000 + i * 137;
-      const z = (seededRandom(seed) - 0.5) * (HALL_LENGTH - SCALE(40));
-      const y = SCALE(2) + seededRandom(seed + 1) * (HALL_HEIGHT - SCALE(8));
+      const z = (seededRandom(seed) - 0.5) * (hall.length - SCALE(40));
+      const y = SCALE(2) + seededRandom(seed + 1) * (hall.height - SCALE(8));
       const width = SCALE(0.3 + seededRandom(seed + 2) * 0.4);
       const height = SCALE(1 + seededRandom(seed + 3) * 3);
       const depth = SCALE(0.2 + seededRandom(seed + 4) * 0.3);
       positions.push({ z, y, width, height, depth });
     }
     return positions;
-  }, [side]);
+  }, [side, hall, count]);
 
-  const x = side * (HALL_HALF_WIDTH - SCALE(0.3));
+  const x = side * (hall.halfWidth - SCALE(0.3));
 
   return (
     <group>
@@ -50,8 +45,8 @@ export const WallCracks = ({ side, material }) => {
 /**
  * WallRibs - Vertical architectural ribs along walls
  */
-export const WallRibs = ({ side, material, ribZPositions }) => {
-  const x = side * (HALL_HALF_WIDTH - SCALE(0.45));
+export const WallRibs = ({ side, hall, material, ribZPositions }) => {
+  const x = side * (hall.halfWidth - SCALE(0.45));
   
   return (
     <group>
@@ -72,19 +67,19 @@ export const WallRibs = ({ side, material, ribZPositions }) => {
 /**
  * WallBands - Horizontal decorative bands
  */
-export const WallBands = ({ side, material }) => {
-  const x = side * (HALL_HALF_WIDTH - SCALE(0.6));
+export const WallBands = ({ side, hall, material }) => {
+  const x = side * (hall.halfWidth - SCALE(0.6));
   
   return (
     <group>
       <mesh position={[x, SCALE(1.1), 0]} castShadow receiveShadow material={material}>
-        <boxGeometry args={[SCALE(1), SCALE(1.2), HALL_LENGTH - SCALE(20)]} />
+        <boxGeometry args={[SCALE(1), SCALE(1.2), hall.length - SCALE(20)]} />
       </mesh>
       <mesh position={[x, SCALE(7.4), 0]} castShadow receiveShadow material={material}>
-        <boxGeometry args={[SCALE(1), SCALE(0.6), HALL_LENGTH - SCALE(20)]} />
+        <boxGeometry args={[SCALE(1), SCALE(0.6), hall.length - SCALE(20)]} />
       </mesh>
       <mesh position={[x, SCALE(10.2), 0]} castShadow receiveShadow material={material}>
-        <boxGeometry args={[SCALE(0.8), SCALE(0.5), HALL_LENGTH - SCALE(40)]} />
+        <boxGeometry args={[SCALE(0.8), SCALE(0.5), hall.length - SCALE(40)]} />
       </mesh>
     </group>
   );
@@ -1,32 +1,31 @@
 /**
  * World Component
- * Main 3D environment with hall geometry, columns, and decorations
+ * Main 3D environment with hall geometry, columns, and decorations, built from the
+ * current level (levelStore.js)
+ *
+ * Only the hall the local player is in and the halls its doorways lead to are mounted.
+ * Walking into a neighbour mounts the halls beyond it before their doorways come into
+ * view, so the level streams in without loading screens.
  */
-import React, { useMemo } from "react";
+import React, { useEffect, useMemo } from "react";
 import * as THREE from "three";
 import {
   SCALE,
-  HALL_WIDTH,
-  HALL_LENGTH,
-  HALL_HEIGHT,
-  HALL_HALF_WIDTH,
-  HALL_HALF_LENGTH,
   WALL_THICKNESS,
   FLOOR_THICKNESS,
   CEILING_THICKNESS,
-  FLOOR_REPEAT_X,
-  FLOOR_REPEAT_Z,
-  WALL_REPEAT_H,
-  WALL_REPEAT_V,
+  FLOOR_TILE_SIZE,
+  WALL_TILE_SIZE,
 } from "../constants.js";
-import { createTexturedMaterial } from "../materials.js";
-import SceneLighting from "./Lighting.jsx";
+import { useCurrentHall, useLevel } from "../hooks/useLevel.js";
+import { createTexturedMaterial, withTextureRepeat } from "../materials.js";
+import SceneLighting, { getLightPoolSizes, HallLights } from "./Lighting.jsx";
 import InstancedColumns from "./Columns.jsx";
 import Doorway from "./Doorway.jsx";
 import { WallCracks, WallRibs, WallBands } from "./WallElements.jsx";
 
 /**
- * Create all materials for the world
+ * Create all materials for the world (shared by every hall)
  */
 const useWorldMaterials = () => {
   return useMemo(() => {
@@ -34,7 +33,7 @@ const useWorldMaterials = () => {
     const stone = createTexturedMaterial({
       baseColor: "#5a6058",
       accentColor: "#4a5048",
-      repeat: [WALL_REPEAT_H, WALL_REPEAT_V],
+      repeat: [1, 1], // Fitted to each hall by useHallMaterials
       roughness: 0.85,
       metalness: 0.05,
       bumpScale: 0.4,
@@ -49,7 +48,7 @@ const useWorldMaterials = () => {
     const stoneDark = createTexturedMaterial({
       baseColor: "#3d3830",
       accentColor: "#2e2a24",
-      repeat: [FLOOR_REPEAT_X, FLOOR_REPEAT_Z],
+      repeat: [1, 1], // Fitted to each hall by useHallMaterials
       roughness: 1.0,
       metalness: 0.0,
       bumpScale: 0.6,
@@ -99,183 +98,222 @@ const useWorldMaterials = () => {
 };
 
 /**
- * Generate column positions for the hall
+ * Wall and floor materials with texture repeats that follow a hall's size
  */
-const useColumnPositions = () => {
-  return useMemo(() => {
-    const columnSpacingX = SCALE(42);
-    const columnSpacingZ = SCALE(38);
-    
-    const numColumnsX = Math.floor((HALL_WIDTH - SCALE(16)) / columnSpacingX);
-    const numColumnsZ = Math.floor((HALL_LENGTH - SCALE(20)) / columnSpacingZ);
-    
-    const positions = [];
-    
-    for (let xi = 0; xi < numColumnsX; xi++) {
-      const xOffset = (numColumnsX - 1) * columnSpacingX / 2;
-      const x = xi * columnSpacingX - xOffset;
-      
-      // Skip columns too close to center walkway
-      if (Math.abs(x) < SCALE(8)) continue;
-      
-      for (let zi = 0; zi < numColumnsZ; zi++) {
-        const zOffset = (numColumnsZ - 1) * columnSpacingZ / 2;
-        const z = zi * columnSpacingZ - zOffset;
-        positions.push([x, 0, z]);
-      }
-    }
-    
-    return positions;
-  }, []);
+const useHallMaterials = (materials, hall) => {
+  return useMemo(() => ({
+    ...materials,
+    stone: withTextureRepeat(materials.stone, [
+      Math.ceil(hall.length / WALL_TILE_SIZE),
+      Math.ceil(hall.height / WALL_TILE_SIZE),
+    ]),
+    stoneDark: withTextureRepeat(materials.stoneDark, [
+      Math.ceil(hall.width / FLOOR_TILE_SIZE),
+      Math.ceil(hall.length / FLOOR_TILE_SIZE),
+    ]),
+  }), [materials, hall]);
+};
+
+// Front (-z) and back (+z) walls; doorways face into the hall
+const END_WALLS = [
+  { wall: "front", side: -1, rotation: 0 },
+  { wall: "back", side: 1, rotation: Math.PI },
+];
+
+// Evenly spaced positions along a length, centered on 0 (none when spacing is 0)
+const getSpacedPositions = (length, spacing) => {
+  if (!spacing) return [];
+  const count = Math.floor(length / spacing);
+  const positions = [];
+  for (let i = 0; i <= count; i++) {
+    positions.push(i * spacing - length / 2 + spacing / 2);
+  }
+  return positions;
 };
 
 /**
  * Generate rib positions along the walls
  */
-const useRibPositions = () => {
-  return useMemo(() => {
-    const spacing = SCALE(32);
-    const count = Math.floor(HALL_LENGTH / spacing);
-    const positions = [];
-    for (let i = 0; i <= count; i++) {
-      positions.push(i * spacing - HALL_LENGTH / 2 + spacing / 2);
-    }
-    return positions;
-  }, []);
+const useRibPositions = (hall, spacing) => {
+  return useMemo(() => getSpacedPositions(hall.length, spacing), [hall, spacing]);
 };
 
 /**
  * Generate beam positions for ceiling
  */
-const useBeamPositions = () => {
+const useBeamPositions = (hall, { transverseSpacing, longitudinalSpacing }) => {
   return useMemo(() => {
     // Transverse beams
-    const spacing = SCALE(40);
-    const count = Math.floor(HALL_LENGTH / spacing);
-    const transverse = [];
-    for (let i = 0; i <= count; i++) {
-      transverse.push(i * spacing - HALL_LENGTH / 2 + spacing / 2);
-    }
+    const transverse = getSpacedPositions(hall.length, transverseSpacing);
     
     // Longitudinal beams
-    const beamSpacing = SCALE(25);
-    const numBeams = Math.floor((HALL_WIDTH - SCALE(20)) / beamSpacing);
     const longitudinal = [];
-    for (let i = 0; i <= numBeams; i++) {
-      longitudinal.push(i * beamSpacing - (numBeams * beamSpacing) / 2);
+    if (longitudinalSpacing) {
+      const numBeams = Math.floor((hall.width - SCALE(20)) / longitudinalSpacing);
+      for (let i = 0; i <= numBeams; i++) {
+        longitudinal.push(i * longitudinalSpacing - (numBeams * longitudinalSpacing) / 2);
+      }
     }
     
     return { transverse, longitudinal };
-  }, []);
+  }, [hall, transverseSpacing, longitudinalSpacing]);
 };
 
 /**
- * World - Main 3D environment component
+ * Hall - One hall's floor, walls, doorways, columns and decorations, drawn around its center
+ *
+ * @param {Object} props
+ * @param {Object} props.hall - Level hall
+ * @param {Set<string>} props.streamed - Ids of mounted halls; doorways into them stand open
+ * @param {Object} props.materials - Shared world materials (useWorldMaterials)
  */
-const World = () => {
-  const materials = useWorldMaterials();
-  const columnPositions = useColumnPositions();
-  const ribZPositions = useRibPositions();
-  const { transverse: beamZPositions, longitudinal: longBeamXPositions } = useBeamPositions();
+const Hall = ({ hall, streamed, materials: worldMaterials }) => {
+  const { decorations } = hall;
+  const materials = useHallMaterials(worldMaterials, hall);
+  const ribZPositions = useRibPositions(hall, decorations.ribSpacing);
+  const { transverse: beamZPositions, longitudinal: longBeamXPositions } = useBeamPositions(hall, decorations.beams);
+  const doorways = useMemo(() => new Map(hall.doorways.map((doorway) => [doorway.wall, doorway])), [hall]);
+
+  useEffect(
+    () => () => {
+      materials.stone.dispose();
+      materials.stoneDark.dispose();
+    },
+    [materials]
+  );
 
   return (
-    <>
-      <SceneLighting />
+    <group position={[hall.x, 0, hall.z]}>
+      {/* Floor - runs under the end walls and meets a linked hall's floor mid-doorway */}
+      <mesh position={[0, -FLOOR_THICKNESS / 2, 0]} receiveShadow material={materials.stoneDark}>
+        <boxGeometry args={[hall.width + SCALE(6), FLOOR_THICKNESS, hall.length + WALL_THICKNESS * 2]} />
+      </mesh>
       
-      <group>
-        {/* Floor */}
-        <mesh position={[0, -FLOOR_THICKNESS / 2, 0]} receiveShadow material={materials.stoneDark}>
-          <boxGeometry args={[HALL_WIDTH + SCALE(6), FLOOR_THICKNESS, HALL_LENGTH + SCALE(6)]} />
-        </mesh>
-        
-        {/* Ceiling */}
-        <mesh
-          position={[0, HALL_HEIGHT + CEILING_THICKNESS / 2, 0]}
-          receiveShadow
-          material={materials.stone}
-        >
-          <boxGeometry args={[HALL_WIDTH + SCALE(6), CEILING_THICKNESS, HALL_LENGTH + SCALE(6)]} />
-        </mesh>
-        
-        {/* Left Wall */}
+      {/* Ceiling */}
+      <mesh
+        position={[0, hall.height + CEILING_THICKNESS / 2, 0]}
+        receiveShadow
+        material={materials.stone}
+      >
+        <boxGeometry args={[hall.width + SCALE(6), CEILING_THICKNESS, hall.length + WALL_THICKNESS * 2]} />
+      </mesh>
+      
+      {/* Left Wall */}
+      <mesh
+        position={[-hall.halfWidth - WALL_THICKNESS / 2, hall.height / 2, 0]}
+        receiveShadow
+        material={materials.stone}
+      >
+        <boxGeometry args={[WALL_THICKNESS, hall.height, hall.length]} />
+      </mesh>
+      
+      {/* Right Wall */}
+      <mesh
+        position={[hall.halfWidth + WALL_THICKNESS / 2, hall.height / 2, 0]}
+        receiveShadow
+        material={materials.stone}
+      >
+        <boxGeometry args={[WALL_THICKNESS, hall.height, hall.length]} />
+      </mesh>
+      
+      {/* End walls - a doorway where the level has one, solid stone otherwise */}
+      {END_WALLS.map(({ wall, side, rotation }) => {
+        const z = side * (hall.halfLength + WALL_THICKNESS / 2);
+        const doorway = doorways.get(wall);
+        if (doorway) {
+          return (
+            <Doorway
+              key={`doorway-${wall}`}
+              z={z}
+              rotation={rotation}
+              hall={hall}
+              open={doorway.to !== null && streamed.has(doorway.to)}
+              stoneMaterial={materials.stone}
+              trimMaterial={materials.stoneTrim}
+              metalMaterial={materials.metal}
+            />
+          );
+        }
+        return (
+          <mesh key={`wall-${wall}`} position={[0, hall.height / 2, z]} receiveShadow material={materials.stone}>
+            <boxGeometry args={[hall.width, hall.height, WALL_THICKNESS]} />
+          </mesh>
+        );
+      })}
+      
+      {/* GPU Instanced columns */}
+      <InstancedColumns
+        positions={hall.columns}
+        hallHeight={hall.height}
+        stoneMaterial={materials.stone}
+        trimMaterial={materials.stoneTrim}
+      />
+      
+      {/* Wall decorations */}
+      <WallRibs side={-1} hall={hall} material={materials.stoneTrim} ribZPositions={ribZPositions} />
+      <WallRibs side={1} hall={hall} material={materials.stoneTrim} ribZPositions={ribZPositions} />
+      {decorations.bands && (
+        <>
+          <WallBands side={-1} hall={hall} material={materials.stoneTrim} />
+          <WallBands side={1} hall={hall} material={materials.stoneTrim} />
+        </>
+      )}
+      
+      {/* Ruins imperfections - wall damage */}
+      <WallCracks side={-1} hall={hall} count={decorations.cracksPerWall} material={materials.voidMaterial} />
+      <WallCracks side={1} hall={hall} count={decorations.cracksPerWall} material={materials.voidMaterial} />
+      
+      {/* Transverse ceiling beams */}
+      {beamZPositions.map((z) => (
         <mesh
-          position={[-HALL_HALF_WIDTH - WALL_THICKNESS / 2, HALL_HEIGHT / 2, 0]}
+          key={`beam-${z}`}
+          position={[0, hall.height - SCALE(0.6), z]}
+          castShadow
           receiveShadow
-          material={materials.stone}
+          material={materials.stoneTrim}
         >
-          <boxGeometry args={[WALL_THICKNESS, HALL_HEIGHT, HALL_LENGTH]} />
+          <boxGeometry args={[hall.width - SCALE(2), SCALE(0.5), SCALE(1.6)]} />
         </mesh>
-        
-        {/* Right Wall */}
+      ))}
+      
+      {/* Longitudinal ceiling beams */}
+      {longBeamXPositions.map((x) => (
         <mesh
-          position={[HALL_HALF_WIDTH + WALL_THICKNESS / 2, HALL_HEIGHT / 2, 0]}
+          key={`long-beam-${x}`}
+          position={[x, hall.height - SCALE(0.9), 0]}
+          castShadow
           receiveShadow
-          material={materials.stone}
+          material={materials.stoneTrim}
         >
-          <boxGeometry args={[WALL_THICKNESS, HALL_HEIGHT, HALL_LENGTH]} />
+          <boxGeometry args={[SCALE(1.2), SCALE(0.6), hall.length - SCALE(40)]} />
         </mesh>
-        
-        {/* Front Doorway */}
-        <Doorway
-          z={-HALL_HALF_LENGTH - WALL_THICKNESS / 2}
-          rotation={0}
-          stoneMaterial={materials.stone}
-          trimMaterial={materials.stoneTrim}
-          metalMaterial={materials.metal}
-        />
-        
-        {/* Back Doorway */}
-        <Doorway
-          z={HALL_HALF_LENGTH + WALL_THICKNESS / 2}
-          rotation={Math.PI}
-          stoneMaterial={materials.stone}
-          trimMaterial={materials.stoneTrim}
-          metalMaterial={materials.metal}
-        />
-        
-        {/* GPU Instanced columns */}
-        <InstancedColumns
-          positions={columnPositions}
-          stoneMaterial={materials.stone}
-          trimMaterial={materials.stoneTrim}
-        />
-        
-        {/* Wall decorations */}
-        <WallRibs side={-1} material={materials.stoneTrim} ribZPositions={ribZPositions} />
-        <WallRibs side={1} material={materials.stoneTrim} ribZPositions={ribZPositions} />
-        <WallBands side={-1} material={materials.stoneTrim} />
-        <WallBands side={1} material={materials.stoneTrim} />
-        
-        {/* Ruins imperfections - wall damage */}
-        <WallCracks side={-1} material={materials.voidMaterial} />
-        <WallCracks side={1} material={materials.voidMaterial} />
-        
-        {/* Transverse ceiling beams */}
-        {beamZPositions.map((z) => (
-          <mesh
-            key={`beam-${z}`}
-            position={[0, HALL_HEIGHT - SCALE(0.6), z]}
-            castShadow
-            receiveShadow
-            material={materials.stoneTrim}
-          >
-            <boxGeometry args={[HALL_WIDTH - SCALE(2), SCALE(0.5), SCALE(1.6)]} />
-          </mesh>
-        ))}
-        
-        {/* Longitudinal ceiling beams */}
-        {longBeamXPositions.map((x) => (
-          <mesh
-            key={`long-beam-${x}`}
-            position={[x, HALL_HEIGHT - SCALE(0.9), 0]}
-            castShadow
-            receiveShadow
-            material={materials.stoneTrim}
-          >
-            <boxGeometry args={[SCALE(1.2), SCALE(0.6), HALL_LENGTH - SCALE(40)]} />
-          </mesh>
-        ))}
-      </group>
+      ))}
+    </group>
+  );
+};
+
+/**
+ * World - Main 3D environment component
+ */
+const World = () => {
+  const level = useLevel();
+  const currentHallId = useCurrentHall();
+  const materials = useWorldMaterials();
+  const poolSizes = useMemo(() => getLightPoolSizes(level), [level]);
+  const currentHall = level.hallsById.get(currentHallId) ?? level.halls[0];
+
+  // The player's hall plus every hall a doorway of it leads to
+  const streamed = useMemo(() => new Set([currentHall.id, ...currentHall.links]), [currentHall]);
+  const streamedHalls = useMemo(() => level.halls.filter((hall) => streamed.has(hall.id)), [level, streamed]);
+
+  return (
+    <>
+      <SceneLighting hall={currentHall} />
+      <HallLights halls={streamedHalls} poolSizes={poolSizes} />
+      
+      {streamedHalls.map((hall) => (
+        <Hall key={hall.id} hall={hall} streamed={streamed} materials={materials} />
+      ))}
     </>
   );
 };
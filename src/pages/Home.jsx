@@ -2,6 +2,7 @@ import React, { useEffect, useRef } from "react";
 import { Link } from "react-router-dom";
 import { animate, createTimeline, stagger } from "animejs";
 import Guestbook from "../components/Guestbook.jsx";
+import Leaderboard from "../components/Leaderboard.jsx";
 
 const Home = () => {
   const brandNameRef = useRef(null);
@@ -191,19 +192,22 @@ const Home = () => {
               </Link>
             </div>
           </section>
-          <section className="glass experience">
-            <div>
-              <h2>Entering Matt’s world</h2>
-              <p>
-                Step into the same world from VR headsets, desktop browsers, mobile screens, and even the Steam Deck.
-              </p>
-            </div>
-            <div className="experience__actions">
-              <Link className="guestbook-button" to="/game">
-                Enter Matt’s world
-              </Link>
-            </div>
-          </section>
+          <div className="content-grid">
+            <section className="glass experience">
+              <div>
+                <h2>Entering Matt’s world</h2>
+                <p>
+                  Step into the same world from VR headsets, desktop browsers, mobile screens, and even the Steam Deck.
+                </p>
+              </div>
+              <div className="experience__actions">
+                <Link className="guestbook-button" to="/game">
+                  Enter Matt’s world
+                </Link>
+              </div>
+            </section>
+            <Leaderboard />
+          </div>
 
           <Guestbook />
 
@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import ReplayControls from "../components/ReplayControls.jsx";
+import Scene from "../components/Scene.jsx";
+import TouchControls from "../components/TouchControls.jsx";
+import { useFollowTarget, useReplayState } from "../components/scene/hooks/index.js";
+import { REPLAY_SEEK_STEP } from "../components/scene/constants.js";
+import { setLevel } from "../components/scene/levelStore.js";
+import { createReplayPlayback, getFramePlayers } from "../components/scene/replay.js";
+import { formatReplayTime, resolveApiUrl, resolveRoomCode } from "../components/scene/utils.js";
+import { generateDungeon } from "../../shared/dungeon.js";
+import { parseReplay, parseReplayId } from "../../shared/replay.js";
+
+// Recent recordings of one room, newest first - the public lobby unless ?room= names a private room
+const ReplayList = () => {
+  const [searchParams] = useSearchParams();
+  const roomCode = resolveRoomCode(searchParams.get("room"));
+  const [replays, setReplays] = useState([]);
+  const [status, setStatus] = useState("Loading…");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const query = roomCode ? `?room=${encodeURIComponent(roomCode)}` : "";
+
+    const loadReplays = async () => {
+      try {
+        const response = await fetch(resolveApiUrl(`/api/replays${query}`), {
+          cache: "no-store",
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error("Failed to load replays.");
+        }
+        const data = await response.json();
+        const list = Array.isArray(data.replays) ? data.replays : [];
+        setReplays(list);
+        setStatus(list.length ? "" : "No sessions recorded yet. Play a round and come back.");
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        setStatus("Replays unavailable right now.");
+      }
+    };
+
+    loadReplays();
+    return () => controller.abort();
+  }, [roomCode]);
+
+  return (
+    <div className="vr-intro">
+      <div className="vr-intro__content">
+        <h1 className="vr-intro__title">Replays</h1>
+        <p className="vr-intro__text">
+          {roomCode ? (
+            <>
+              Recorded sessions from room <strong>{roomCode}</strong>.
+            </>
+          ) : (
+            "Recorded sessions from the public lobby."
+          )}{" "}
+          Pick one to watch it back.
+        </p>
+        {status ? <span className="vr-intro__notice">{status}</span> : null}
+        {replays.length > 0 && (
+          <ul className="replay-list">
+            {replays.map((replay) => (
+              <li key={replay.id}>
+                <Link to={`/replay/${replay.id}`}>
+                  <strong>{replay.room}</strong>
+                  <span>{new Date(replay.startedAt).toLocaleString()}</span>
+                  <span>{formatReplayTime(replay.updatedAt - replay.startedAt)}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+        <span className="vr-intro__room">
+          <Link to={roomCode ? `/game?room=${roomCode}` : "/game"}>Back to the game</Link>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// A loaded replay in the world, with its playback controls
+const ReplayStage = ({ replay }) => {
+  const [playback] = useState(() => createReplayPlayback(replay));
+  const { frame } = useReplayState(playback);
+  const players = useMemo(() => getFramePlayers(frame, replay.roster), [frame, replay]);
+  const follow = useFollowTarget(players);
+  const leftAxisRef = useRef({ x: 0, y: 0 });
+  const rightAxisRef = useRef({ x: 0, y: 0 });
+  const isTouchDevice =
+    typeof window !== "undefined" &&
+    (navigator.maxTouchPoints > 0 || window.matchMedia?.("(pointer: coarse)")?.matches);
+
+  // K plays and pauses, J and L jump back and forward
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.repeat) return;
+      const { time, playing } = playback.getState();
+      if (event.code === "KeyK") playback.setPlaying(!playing);
+      if (event.code === "KeyJ") playback.seek(time - REPLAY_SEEK_STEP);
+      if (event.code === "KeyL") playback.seek(time + REPLAY_SEEK_STEP);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [playback]);
+
+  const flatControls = useMemo(
+    () => ({ active: true, leftAxisRef, rightAxisRef, enablePointerLock: !isTouchDevice }),
+    [isTouchDevice]
+  );
+  const sceneReplay = useMemo(
+    () => ({ playback, roster: replay.roster, followId: follow.followId }),
+    [playback, replay, follow.followId]
+  );
+
+  return (
+    <>
+      <Scene flatControls={flatControls} xrEnabled={false} isMobile={isTouchDevice} replay={sceneReplay} />
+      <ReplayControls replay={replay} playback={playback} follow={follow} playerCount={players.length} />
+      <TouchControls leftAxisRef={leftAxisRef} rightAxisRef={rightAxisRef} visible={isTouchDevice} />
+    </>
+  );
+};
+
+// Download and parse one replay, then hand it to the stage
+const ReplayPlayer = ({ id }) => {
+  const [replay, setReplay] = useState(null);
+  const [status, setStatus] = useState("Loading replay…");
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadReplay = async () => {
+      try {
+        const response = await fetch(resolveApiUrl(`/api/replays/${encodeURIComponent(id)}`), {
+          cache: "no-store",
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          setStatus(response.status === 404 ? "This replay doesn’t exist or has been deleted." : "Replays unavailable right now.");
+          return;
+        }
+        const parsed = parseReplay(await response.text());
+        const { header } = parsed;
+        setLevel(header.seed !== undefined ? generateDungeon(header.seed) : header.level);
+        setReplay(parsed);
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        console.error("Unable to load replay", error);
+        setStatus("This replay couldn’t be read.");
+      }
+    };
+
+    loadReplay();
+    return () => controller.abort();
+  }, [id]);
+
+  if (replay) {
+    return <ReplayStage replay={replay} />;
+  }
+  return (
+    <div className="vr-intro">
+      <div className="vr-intro__content">
+        <h1 className="vr-intro__title">Replay</h1>
+        <span className="vr-intro__notice">{status}</span>
+        <span className="vr-intro__room">
+          <Link to={`/replay?room=${parseReplayId(id)?.room ?? ""}`}>All replays</Link>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+const ReplayViewer = () => {
+  const { id } = useParams();
+  return id ? <ReplayPlayer key={id} id={id} /> : <ReplayList />;
+};
+
+export default ReplayViewer;
@@ -1,8 +1,58 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import AppearanceEditor from "../components/AppearanceEditor.jsx";
+import GameHud from "../components/GameHud.jsx";
 import Scene from "../components/Scene.jsx";
 import TouchControls from "../components/TouchControls.jsx";
+import { APPEARANCE_STORAGE_KEY, MAX_NAME_LENGTH, PLAYER_NAME_STORAGE_KEY } from "../components/scene/constants.js";
+import {
+  createDefaultAppearance,
+  createRoomCode,
+  isValidAppearance,
+  normalizeName,
+  resolveRoomCode,
+} from "../components/scene/utils.js";
 import xrStore from "../xrStore.jsx";
 
+// Last name typed into the prompt (storage can be unavailable, e.g. in private modes)
+const loadPlayerName = () => {
+  try {
+    return window.localStorage.getItem(PLAYER_NAME_STORAGE_KEY) ?? "";
+  } catch (error) {
+    return "";
+  }
+};
+
+const savePlayerName = (name) => {
+  try {
+    if (name) {
+      window.localStorage.setItem(PLAYER_NAME_STORAGE_KEY, name);
+    } else {
+      window.localStorage.removeItem(PLAYER_NAME_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Not persisted - the name still applies to this visit
+  }
+};
+
+// Saved look, or a random body color with plain options for first visits
+const loadAppearance = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(APPEARANCE_STORAGE_KEY));
+    return isValidAppearance(saved) ? saved : createDefaultAppearance();
+  } catch (error) {
+    return createDefaultAppearance();
+  }
+};
+
+const saveAppearance = (appearance) => {
+  try {
+    window.localStorage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify(appearance));
+  } catch (error) {
+    // Not persisted - the look still applies to this visit
+  }
+};
+
 const VrIntro = () => {
   const [xrSupported, setXrSupported] = useState(false);
   const [xrChecking, setXrChecking] = useState(true);
@@ -14,6 +64,13 @@ const VrIntro = () => {
   const leftAxisRef = useRef({ x: 0, y: 0 });
   const rightAxisRef = useRef({ x: 0, y: 0 });
   const [entered, setEntered] = useState(false);
+  const [spectating, setSpectating] = useState(false);
+  const [searchParams] = useSearchParams();
+  const roomCode = resolveRoomCode(searchParams.get("room"));
+  const privateRoomCode = useMemo(() => createRoomCode(), []);
+  const [nameInput, setNameInput] = useState(loadPlayerName);
+  const playerName = normalizeName(nameInput);
+  const [appearance, setAppearance] = useState(loadAppearance);
   const xrAvailable = typeof navigator !== "undefined" && Boolean(navigator.xr);
   const isTouchDevice =
     typeof window !== "undefined" &&
@@ -139,6 +196,10 @@ const VrIntro = () => {
         flatControls={flatControls}
         xrEnabled={xrAvailable}
         isMobile={isTouchDevice}
+        roomCode={roomCode}
+        playerName={playerName}
+        appearance={appearance}
+        spectator={spectating}
       />
       {!session && !entered && (
         <div className="vr-intro">
@@ -161,6 +222,28 @@ const VrIntro = () => {
                 <strong>Gamepad:</strong> analog sticks. Trigger to attack.
               </li>
             </ul>
+            <label className="vr-intro__name">
+              <span>Your name</span>
+              <input
+                type="text"
+                value={nameInput}
+                maxLength={MAX_NAME_LENGTH}
+                placeholder="Shown above your avatar"
+                autoComplete="nickname"
+                onChange={(event) => setNameInput(event.target.value)}
+                onBlur={() => savePlayerName(playerName)}
+              />
+            </label>
+            <details className="vr-intro__appearance">
+              <summary>Customize your look</summary>
+              <AppearanceEditor
+                appearance={appearance}
+                onChange={(next) => {
+                  setAppearance(next);
+                  saveAppearance(next);
+                }}
+              />
+            </details>
             {xrSupported || session ? (
               <button
                 className="vr-intro__button"
@@ -175,10 +258,33 @@ const VrIntro = () => {
                 {buttonLabel}
               </button>
             )}
+            <button
+              className="vr-intro__button vr-intro__button--secondary"
+              type="button"
+              onClick={() => {
+                setSpectating(true);
+                setEntered(true);
+              }}
+              disabled={!sceneReady}
+            >
+              Watch as spectator
+            </button>
+            {roomCode ? (
+              <span className="vr-intro__room">
+                Private room <strong>{roomCode}</strong> · share this page’s link to play together ·{" "}
+                <Link to={`/replay?room=${roomCode}`}>Replays</Link> · <Link to="/game">Back to the lobby</Link>
+              </span>
+            ) : (
+              <span className="vr-intro__room">
+                Playing in the public lobby · <Link to="/replay">Replays</Link> ·{" "}
+                <Link to={`/game?room=${privateRoomCode}`}>Start a private room</Link>
+              </span>
+            )}
             {noticeMessage ? <span className="vr-intro__notice">{noticeMessage}</span> : null}
           </div>
         </div>
       )}
+      <GameHud visible={flatActive} />
       <TouchControls leftAxisRef={leftAxisRef} rightAxisRef={rightAxisRef} visible={showTouchControls} />
     </>
   );
@@ -9,6 +9,7 @@ import * as THREE from "three";
 const vrCombatState = {
   onAttack: null,
   enemies: [],
+  swordTint: "#c0c0c0", // Blade color from the player's appearance
 };
 
 // Function to update VR combat state from SessionWorld
@@ -56,16 +57,17 @@ const createBladeGeometry = () => {
 };
 
 // Inline sword component for controller model
-const ControllerSword = ({ isAttacking }) => {
+const ControllerSword = ({ isAttacking, tint }) => {
   const bladeGeometry = React.useMemo(() => createBladeGeometry(), []);
+  const fullerColor = React.useMemo(() => new THREE.Color(tint).multiplyScalar(0.7), [tint]);
   
   const bladeMaterial = React.useMemo(() => new THREE.MeshStandardMaterial({
-    color: "#c0c0c0",
+    color: tint,
     metalness: 0.9,
     roughness: 0.2,
     emissive: isAttacking ? "#ffffff" : "#000000",
     emissiveIntensity: isAttacking ? 0.3 : 0,
-  }), [isAttacking]);
+  }), [isAttacking, tint]);
   
   const guardMaterial = React.useMemo(() => new THREE.MeshStandardMaterial({
     color: "#8b7355", metalness: 0.6, roughness: 0.4,
@@ -98,7 +100,7 @@ const ControllerSword = ({ isAttacking }) => {
       </mesh>
       <mesh position={[0, SWORD_HANDLE_LENGTH + SWORD_GUARD_HEIGHT + SWORD_LENGTH * 0.4, SWORD_BLADE_THICKNESS * 0.6]} castShadow>
         <boxGeometry args={[SWORD_BLADE_WIDTH * 0.3, SWORD_LENGTH * 0.6, 0.002]} />
-        <meshStandardMaterial color="#888888" metalness={0.95} roughness={0.15} />
+        <meshStandardMaterial color={fullerColor} metalness={0.95} roughness={0.15} />
       </mesh>
     </group>
   );
@@ -111,11 +113,17 @@ const RightControllerWithSword = () => {
   const velocityRef = useRef(new THREE.Vector3());
   const lastAttackRef = useRef(0);
   const [isAttacking, setIsAttacking] = useState(false);
+  const [tint, setTint] = useState(vrCombatState.swordTint);
   const worldPosRef = useRef(new THREE.Vector3());
   const worldQuatRef = useRef(new THREE.Quaternion());
 
   useFrame((state, delta) => {
     if (!groupRef.current) return;
+
+    // Pick up appearance changes (the controller model renders outside SessionWorld)
+    if (vrCombatState.swordTint !== tint) {
+      setTint(vrCombatState.swordTint);
+    }
     
     // Get world position/rotation of the controller (parent of this group)
     groupRef.current.getWorldPosition(worldPosRef.current);
@@ -157,7 +165,7 @@ const RightControllerWithSword = () => {
   return (
     <group ref={groupRef}>
       <group position={[0, 0, -0.05]} rotation={[Math.PI * 0.1, 0, 0]}>
-        <ControllerSword isAttacking={isAttacking} />
+        <ControllerSword isAttacking={isAttacking} tint={tint} />
       </group>
     </group>
   );
@@ -189,4 +197,11 @@ export const useVRCombatSync = (onAttack, enemies) => {
   }, [onAttack, enemies]);
 };
 
+// Hook for SessionWorld to tint the controller sword's blade
+export const useVRSwordTint = (tint) => {
+  useEffect(() => {
+    vrCombatState.swordTint = tint;
+  }, [tint]);
+};
+
 export default xrStore;